@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../../middleware/auth.middleware');
+const webhookEventService = require('../../services/webhook-event.service');
+const schedulerService = require('../../services/scheduler.service');
+
+// GET /api/admin/webhook-events?status=dead&vapi_call_id=... - List stored webhook events
+router.get('/webhook-events', requireAdmin, async (req, res) => {
+    try {
+        const { status, vapi_call_id } = req.query;
+
+        if (status && !webhookEventService.isValidStatus(status)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid status filter'
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const { events, total } = await webhookEventService.getEvents({
+            status,
+            vapiCallId: vapi_call_id,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            data: events,
+            pagination: {
+                limit,
+                offset,
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching webhook events:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook events'
+        });
+    }
+});
+
+// POST /api/admin/webhook-events/replay-dead - Replay every dead-lettered event (MUST BE BEFORE /:id routes)
+router.post('/webhook-events/replay-dead', requireAdmin, async (req, res) => {
+    try {
+        const result = await webhookEventService.replayDeadEvents();
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(500).json(result);
+        }
+    } catch (error) {
+        console.error('Error replaying dead webhook events:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to replay events'
+        });
+    }
+});
+
+// GET /api/admin/webhook-events/:id - Get event with its raw payload
+router.get('/webhook-events/:id', requireAdmin, async (req, res) => {
+    try {
+        const event = await webhookEventService.getEvent(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: event
+        });
+    } catch (error) {
+        console.error('Error fetching webhook event:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook event'
+        });
+    }
+});
+
+// POST /api/admin/webhook-events/:id/replay - Queue an event to run again
+router.post('/webhook-events/:id/replay', requireAdmin, async (req, res) => {
+    try {
+        const result = await webhookEventService.replayEvent(req.params.id);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error === 'Failed to replay event' ? 500 : 404).json(result);
+        }
+    } catch (error) {
+        console.error('Error replaying webhook event:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to replay event'
+        });
+    }
+});
+
+// GET /api/admin/jobs - List scheduled jobs with their last run
+router.get('/jobs', requireAdmin, async (req, res) => {
+    res.json({
+        success: true,
+        data: schedulerService.getJobs()
+    });
+});
+
+// POST /api/admin/jobs/:name/run - Run a scheduled job now
+router.post('/jobs/:name/run', requireAdmin, async (req, res) => {
+    try {
+        const result = await schedulerService.runJob(req.params.name);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            const statusMap = {
+                'Job not found': 404,
+                'Job is already running': 409
+            };
+            res.status(statusMap[result.error] || 500).json(result);
+        }
+    } catch (error) {
+        console.error('Error running scheduled job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run job'
+        });
+    }
+});
+
+module.exports = router;
@@ -62,6 +62,38 @@ router.get('/export/calls', requireAuth, async (req, res) => {
     }
 });
 
+// GET /api/analytics/conversation-metrics?from=2024-03-01&to=2024-04-01 - Talk time and sentiment averaged per assistant (UTC days, to exclusive)
+router.get('/conversation-metrics', requireAuth, async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+        if ((from && (!datePattern.test(from) || isNaN(new Date(from).getTime()))) ||
+            (to && (!datePattern.test(to) || isNaN(new Date(to).getTime())))) {
+            return res.status(400).json({
+                success: false,
+                error: 'from and to must be dates (YYYY-MM-DD)'
+            });
+        }
+
+        const metrics = await analyticsService.getAssistantConversationMetrics(req.userId, {
+            from: from ? `${from}T00:00:00Z` : undefined,
+            to: to ? `${to}T00:00:00Z` : undefined
+        });
+
+        res.json({
+            success: true,
+            data: metrics
+        });
+    } catch (error) {
+        console.error('Error fetching conversation metrics:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch conversation metrics'
+        });
+    }
+});
+
 // Get call details
 router.get('/calls/:callId', requireAuth, async (req, res) => {
     try {
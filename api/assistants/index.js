@@ -2,6 +2,20 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../../middleware/auth.middleware');
 const assistantService = require('../../services/assistant.service');
+const assistantVersionService = require('../../services/assistant-version.service');
+const templateService = require('../../services/template.service');
+const voiceCatalogService = require('../../services/voice-catalog.service');
+const languageService = require('../../services/language.service');
+const toolService = require('../../services/tool.service');
+const callTransferService = require('../../services/call-transfer.service');
+const businessHoursService = require('../../services/business-hours.service');
+const collectedDataService = require('../../services/collected-data.service');
+const UserLimitsService = require('../../services/user-limits.service');
+const knowledgeRoutes = require('./knowledge');
+const { supabaseAdmin } = require('../../services/supabase.service');
+
+// Initialize service (admin client: user_limits rows are not readable through the anon client)
+const userLimitsService = new UserLimitsService(supabaseAdmin);
 
 // GET /api/assistants - Get all assistants for user
 router.get('/', requireAuth, async (req, res) => {
@@ -10,7 +24,7 @@ router.get('/', requireAuth, async (req, res) => {
         
         res.json({
             success: true,
-            data: assistants
+            data: assistants.map(withActiveMode)
         });
     } catch (error) {
         console.error('Error fetching assistants:', error);
@@ -39,6 +53,9 @@ router.get('/usage', requireAuth, async (req, res) => {
     }
 });
 
+// Knowledge base routes (/api/assistants/:id/knowledge)
+router.use('/:id/knowledge', knowledgeRoutes);
+
 // GET /api/assistants/:id - Get specific assistant
 router.get('/:id', requireAuth, async (req, res) => {
     try {
@@ -53,7 +70,7 @@ router.get('/:id', requireAuth, async (req, res) => {
         
         res.json({
             success: true,
-            data: assistant
+            data: withActiveMode(assistant)
         });
     } catch (error) {
         console.error('Error fetching assistant:', error);
@@ -64,6 +81,14 @@ router.get('/:id', requireAuth, async (req, res) => {
     }
 });
 
+// Add the current business-hours mode to an assistant row
+function withActiveMode(assistant) {
+    return {
+        ...assistant,
+        active_mode: businessHoursService.getStatus(assistant.configuration?.business_hours)
+    };
+}
+
 // Validate assistant creation data
 function validateAssistantData(data) {
     const errors = [];
@@ -91,6 +116,17 @@ function validateAssistantData(data) {
     
     if (data.voice_id && (typeof data.voice_id !== 'string' || data.voice_id.length > 50)) {
         errors.push('Invalid voice ID');
+    } else if (data.voice_id && !voiceCatalogService.isValidVoice(data.voice_id)) {
+        errors.push(`Unknown voice: ${data.voice_id}`);
+    }
+    
+    if (data.language && !languageService.isSupported(data.language)) {
+        errors.push(`Unsupported language: ${data.language}`);
+    } else if (data.voice_id && voiceCatalogService.isValidVoice(data.voice_id)) {
+        const voiceLanguage = voiceCatalogService.getVoice(data.voice_id).language;
+        if (voiceLanguage !== (data.language || 'en')) {
+            errors.push(`Voice ${data.voice_id} does not speak the selected language`);
+        }
     }
     
     if (data.evaluation_method && !['NumericScale', 'DescriptiveScale', 'Checklist', 'BinaryEvaluation', 'NoEvaluation'].includes(data.evaluation_method)) {
@@ -101,6 +137,47 @@ function validateAssistantData(data) {
         errors.push('Invalid background sound option');
     }
     
+    if (data.knowledge_mode && !['prompt', 'tool'].includes(data.knowledge_mode)) {
+        errors.push('Invalid knowledge base mode');
+    }
+    
+    if (data.tools !== undefined && data.tools !== null) {
+        errors.push(...toolService.validateTools(data.tools));
+    }
+    
+    errors.push(...callTransferService.validateTransferSettings(data));
+    errors.push(...businessHoursService.validateSchedule(data.business_hours));
+    
+    // Model settings (plan allow-list is checked separately)
+    if (data.model_provider && (typeof data.model_provider !== 'string' || data.model_provider.length > 50)) {
+        errors.push('Invalid model provider');
+    }
+    
+    if (data.model_name && (typeof data.model_name !== 'string' || data.model_name.length > 100)) {
+        errors.push('Invalid model name');
+    }
+    
+    if (data.temperature !== undefined && data.temperature !== '') {
+        const temperature = parseFloat(data.temperature);
+        if (isNaN(temperature) || temperature < 0 || temperature > 2) {
+            errors.push('Temperature must be between 0 and 2');
+        }
+    }
+    
+    if (data.max_tokens) {
+        const maxTokens = parseInt(data.max_tokens);
+        if (isNaN(maxTokens) || maxTokens < 50 || maxTokens > 4000) {
+            errors.push('Max tokens must be between 50 and 4000');
+        }
+    }
+    
+    if (data.response_delay !== undefined && data.response_delay !== '') {
+        const responseDelay = parseFloat(data.response_delay);
+        if (isNaN(responseDelay) || responseDelay < 0 || responseDelay > 5) {
+            errors.push('Response delay must be between 0 and 5 seconds');
+        }
+    }
+    
     // Validate personality traits
     if (data.personality_traits) {
         const validTraits = ['Professional', 'Friendly', 'Energetic', 'Calming', 'Confident', 'Empathetic', 'Witty', 'Patient', 'Knowledgeable', 'Supportive'];
@@ -139,14 +216,35 @@ function validateAssistantData(data) {
     return errors;
 }
 
+// Validate assistant data including the checks that depend on the user's plan
+async function validateAssistantForUser(data, userId) {
+    const errors = validateAssistantData(data);
+    const planErrors = await userLimitsService.validateModelSettings(userId, data);
+    
+    return [...errors, ...planErrors];
+}
+
 // POST /api/assistants - Create new assistant
 router.post('/', requireAuth, async (req, res) => {
     try {
         console.log(`\n🔍 Assistant creation request for user: ${req.userId}`);
         console.log('📝 Request body:', JSON.stringify(req.body, null, 2));
         
+        // Merge overrides on top of the template when creating from one
+        let assistantData = req.body;
+        if (req.body.template_id) {
+            const template = await templateService.getTemplate(req.body.template_id, req.userId);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Template not found'
+                });
+            }
+            assistantData = templateService.applyTemplate(template, req.body);
+        }
+        
         // Validate input data
-        const validationErrors = validateAssistantData(req.body);
+        const validationErrors = await validateAssistantForUser(assistantData, req.userId);
         if (validationErrors.length > 0) {
             console.log('❌ Validation errors:', validationErrors);
             return res.status(400).json({
@@ -185,7 +283,7 @@ router.post('/', requireAuth, async (req, res) => {
         console.log('✅ Validation passed, limit check passed, creating assistant...');
         
         // Create assistant
-        const assistant = await assistantService.createAssistant(req.userId, req.body);
+        const assistant = await assistantService.createAssistant(req.userId, assistantData);
         
         if (!assistant) {
             console.log('❌ Assistant creation failed in service layer');
@@ -218,6 +316,338 @@ router.post('/', requireAuth, async (req, res) => {
     }
 });
 
+// POST /api/assistants/:id/clone - Duplicate an assistant with optional overrides
+router.post('/:id/clone', requireAuth, async (req, res) => {
+    try {
+        const source = await assistantService.getAssistant(req.params.id, req.userId);
+        
+        if (!source) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assistant not found'
+            });
+        }
+        
+        const assistantData = assistantService.buildCloneData(source, req.body);
+        
+        // Validate merged data
+        const validationErrors = await validateAssistantForUser(assistantData, req.userId);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+        
+        // Check limits first
+        const limits = await assistantService.canCreateAssistant(req.userId);
+        
+        if (!limits.can_create_assistant) {
+            return res.json({
+                success: true,
+                data: null,
+                debug: {
+                    blocked: true,
+                    reason: limits.reason,
+                    assistantCount: limits.assistant_count,
+                    maxAssistants: limits.max_assistants,
+                    demoExpired: limits.demo_expired
+                }
+            });
+        }
+        
+        // Create a fresh VAPI assistant from the copied configuration
+        const assistant = await assistantService.createAssistant(req.userId, assistantData);
+        
+        if (!assistant) {
+            return res.json({
+                success: true,
+                data: null,
+                debug: {
+                    blocked: true,
+                    reason: 'service_creation_failed'
+                }
+            });
+        }
+        
+        console.log(`✅ Assistant ${source.id} cloned as ${assistant.id}`);
+        
+        res.json({
+            success: true,
+            data: assistant
+        });
+    } catch (error) {
+        console.error('Error cloning assistant:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to clone assistant'
+        });
+    }
+});
+
+// Update assistant (shared by PUT and PATCH)
+async function handleAssistantUpdate(req, res, partial) {
+    try {
+        let assistantData = req.body;
+        
+        // PATCH merges the changed fields over the stored configuration
+        if (partial) {
+            const existing = await assistantService.getAssistant(req.params.id, req.userId);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Assistant not found'
+                });
+            }
+            assistantData = { ...existing.configuration, ...req.body };
+        }
+        
+        // Validate input data
+        const validationErrors = await validateAssistantForUser(assistantData, req.userId);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+        
+        const result = await assistantService.updateAssistant(req.params.id, req.userId, assistantData);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            const statusMap = {
+                'Assistant not found': 404,
+                'Assistant is not linked to VAPI': 409,
+                'VAPI rejected the assistant update': 502
+            };
+            res.status(statusMap[result.error] || 500).json(result);
+        }
+    } catch (error) {
+        console.error('Error updating assistant:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update assistant'
+        });
+    }
+}
+
+// PUT /api/assistants/:id - Replace assistant configuration
+router.put('/:id', requireAuth, (req, res) => handleAssistantUpdate(req, res, false));
+
+// PATCH /api/assistants/:id - Update selected assistant fields
+router.patch('/:id', requireAuth, (req, res) => handleAssistantUpdate(req, res, true));
+
+// GET /api/assistants/:id/versions - Get configuration history
+router.get('/:id/versions', requireAuth, async (req, res) => {
+    try {
+        const assistant = await assistantService.getAssistant(req.params.id, req.userId);
+        
+        if (!assistant) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assistant not found'
+            });
+        }
+        
+        const versions = await assistantVersionService.getVersions(req.params.id, req.userId);
+        
+        res.json({
+            success: true,
+            data: versions
+        });
+    } catch (error) {
+        console.error('Error fetching assistant versions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch assistant versions'
+        });
+    }
+});
+
+// GET /api/assistants/:id/versions/diff?from=1&to=2 - Compare two versions (MUST BE BEFORE /:version route)
+router.get('/:id/versions/diff', requireAuth, async (req, res) => {
+    try {
+        const fromNumber = parseInt(req.query.from);
+        const toNumber = parseInt(req.query.to);
+        
+        if (isNaN(fromNumber) || isNaN(toNumber)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Both from and to version numbers are required'
+            });
+        }
+        
+        const [fromVersion, toVersion] = await Promise.all([
+            assistantVersionService.getVersion(req.params.id, req.userId, fromNumber),
+            assistantVersionService.getVersion(req.params.id, req.userId, toNumber)
+        ]);
+        
+        if (!fromVersion || !toVersion) {
+            return res.status(404).json({
+                success: false,
+                error: 'Version not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: assistantVersionService.diffVersions(fromVersion, toVersion)
+        });
+    } catch (error) {
+        console.error('Error comparing assistant versions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to compare assistant versions'
+        });
+    }
+});
+
+// GET /api/assistants/:id/versions/:version - Get a specific version snapshot
+router.get('/:id/versions/:version', requireAuth, async (req, res) => {
+    try {
+        const version = await assistantVersionService.getVersion(req.params.id, req.userId, parseInt(req.params.version));
+        
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: 'Version not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: version
+        });
+    } catch (error) {
+        console.error('Error fetching assistant version:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch assistant version'
+        });
+    }
+});
+
+// POST /api/assistants/:id/versions/:version/rollback - Restore an earlier version
+router.post('/:id/versions/:version/rollback', requireAuth, async (req, res) => {
+    try {
+        const result = await assistantService.rollbackAssistant(req.params.id, req.userId, parseInt(req.params.version));
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            const statusMap = {
+                'Assistant not found': 404,
+                'Version not found': 404,
+                'Assistant is not linked to VAPI': 409,
+                'VAPI rejected the assistant update': 502
+            };
+            res.status(statusMap[result.error] || 500).json(result);
+        }
+    } catch (error) {
+        console.error('Error rolling back assistant:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to roll back assistant'
+        });
+    }
+});
+
+// GET /api/assistants/:id/tool-invocations - Get recent tool call log
+router.get('/:id/tool-invocations', requireAuth, async (req, res) => {
+    try {
+        const assistant = await assistantService.getAssistant(req.params.id, req.userId);
+        
+        if (!assistant) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assistant not found'
+            });
+        }
+        
+        const invocations = await toolService.getInvocations(req.params.id, req.userId, {
+            toolName: req.query.tool,
+            status: req.query.status,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200)
+        });
+        
+        res.json({
+            success: true,
+            data: invocations
+        });
+    } catch (error) {
+        console.error('Error fetching tool invocations:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch tool invocations'
+        });
+    }
+});
+
+// GET /api/assistants/:id/collected-data?filter[field][op]=value&complete=&sort=&order=&from=&to=&tz=&status=&format=csv|xlsx|json - Structured data as a table, or a download when format is set
+router.get('/:id/collected-data', requireAuth, async (req, res) => {
+    try {
+        const assistant = await assistantService.getAssistant(req.params.id, req.userId);
+        
+        if (!assistant) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assistant not found'
+            });
+        }
+        
+        const columns = collectedDataService.getColumns(assistant);
+        const validationErrors = collectedDataService.validateParams(columns, req.query);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+        
+        const { rows, completion, truncated } = await collectedDataService.getCollectedData(
+            assistant.id, req.userId, columns, req.query
+        );
+        
+        // Exports contain every matching row; the table view is paginated
+        if (req.query.format) {
+            const result = collectedDataService.exportRows(assistant, columns, rows, req.query.format);
+            
+            res.setHeader('Content-Type', result.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+            return res.send(result.data);
+        }
+        
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        
+        res.json({
+            success: true,
+            data: {
+                columns,
+                rows: rows.slice(offset, offset + limit),
+                completion,
+                truncated
+            },
+            pagination: {
+                limit,
+                offset,
+                total: rows.length,
+                hasMore: offset + limit < rows.length
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching collected data:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch collected data'
+        });
+    }
+});
+
 // DELETE /api/assistants/:id - Delete assistant
 router.delete('/:id', requireAuth, async (req, res) => {
     try {
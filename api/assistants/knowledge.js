@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { requireAuth } = require('../../middleware/auth.middleware');
+const assistantService = require('../../services/assistant.service');
+const knowledgeBaseService = require('../../services/knowledge-base.service');
+
+// Verify the assistant belongs to the user before touching its knowledge base
+async function requireAssistant(req, res, next) {
+    try {
+        const assistant = await assistantService.getAssistant(req.params.id, req.userId);
+
+        if (!assistant) {
+            return res.status(404).json({
+                success: false,
+                error: 'Assistant not found'
+            });
+        }
+
+        req.assistant = assistant;
+        next();
+    } catch (error) {
+        console.error('Error verifying assistant:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify assistant'
+        });
+    }
+}
+
+// Re-push the assistant so the prompt reflects the knowledge base (document is kept either way)
+async function syncAssistant(req) {
+    const result = await assistantService.syncKnowledgeBase(req.params.id, req.userId);
+
+    if (!result.success) {
+        console.error('Knowledge base sync failed:', result.error);
+    }
+
+    return result.success;
+}
+
+// GET /api/assistants/:id/knowledge - List documents
+router.get('/', requireAuth, requireAssistant, async (req, res) => {
+    try {
+        const documents = await knowledgeBaseService.getDocuments(req.params.id, req.userId);
+
+        res.json({
+            success: true,
+            data: documents
+        });
+    } catch (error) {
+        console.error('Error fetching knowledge documents:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch knowledge documents'
+        });
+    }
+});
+
+// GET /api/assistants/:id/knowledge/search?q= - Test retrieval (MUST BE BEFORE /:documentId route)
+router.get('/search', requireAuth, requireAssistant, async (req, res) => {
+    try {
+        if (!req.query.q) {
+            return res.status(400).json({
+                success: false,
+                error: 'Search query is required'
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+        const results = await knowledgeBaseService.search(req.params.id, req.query.q, limit);
+
+        res.json({
+            success: true,
+            data: results
+        });
+    } catch (error) {
+        console.error('Error searching knowledge base:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search knowledge base'
+        });
+    }
+});
+
+// GET /api/assistants/:id/knowledge/:documentId - Get document with content
+router.get('/:documentId', requireAuth, requireAssistant, async (req, res) => {
+    try {
+        const document = await knowledgeBaseService.getDocument(req.params.id, req.userId, req.params.documentId);
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: document
+        });
+    } catch (error) {
+        console.error('Error fetching knowledge document:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch knowledge document'
+        });
+    }
+});
+
+// POST /api/assistants/:id/knowledge - Add a document (plain text, Markdown or CSV)
+router.post('/', requireAuth, requireAssistant, async (req, res) => {
+    try {
+        const validationErrors = knowledgeBaseService.validateDocument(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const result = await knowledgeBaseService.addDocument(req.params.id, req.userId, req.body);
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        const synced = await syncAssistant(req);
+
+        res.json({
+            success: true,
+            data: result.data,
+            synced
+        });
+    } catch (error) {
+        console.error('Error adding knowledge document:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add knowledge document'
+        });
+    }
+});
+
+// PUT /api/assistants/:id/knowledge/:documentId - Replace a document
+router.put('/:documentId', requireAuth, requireAssistant, async (req, res) => {
+    try {
+        const validationErrors = knowledgeBaseService.validateDocument(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const result = await knowledgeBaseService.updateDocument(req.params.id, req.userId, req.params.documentId, req.body);
+
+        if (!result.success) {
+            const statusCode = result.error === 'Document not found' ? 404 : 400;
+            return res.status(statusCode).json(result);
+        }
+
+        const synced = await syncAssistant(req);
+
+        res.json({
+            success: true,
+            data: result.data,
+            synced
+        });
+    } catch (error) {
+        console.error('Error updating knowledge document:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update knowledge document'
+        });
+    }
+});
+
+// DELETE /api/assistants/:id/knowledge/:documentId - Delete a document
+router.delete('/:documentId', requireAuth, requireAssistant, async (req, res) => {
+    try {
+        const success = await knowledgeBaseService.deleteDocument(req.params.id, req.userId, req.params.documentId);
+
+        if (!success) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+        }
+
+        const synced = await syncAssistant(req);
+
+        res.json({
+            success: true,
+            message: 'Document deleted successfully',
+            synced
+        });
+    } catch (error) {
+        console.error('Error deleting knowledge document:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete knowledge document'
+        });
+    }
+});
+
+module.exports = router;
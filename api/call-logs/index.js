@@ -2,63 +2,51 @@ const express = require('express');
 const router = express.Router();
 const { requireAuth } = require('../../middleware/auth.middleware');
 const { supabase } = require('../../services/supabase.service');
+const recordingService = require('../../services/recording.service');
+const transcriptService = require('../../services/transcript.service');
+const callLogService = require('../../services/call-log.service');
 
-// GET /api/call-logs - Get user's call logs
+// GET /api/call-logs?from=2024-03-01&to=2024-03-31&tz=Europe/Berlin&status=completed,failed&sort=duration_seconds&cursor=... - List call logs
+// Filters: assistant_id, phone_number_id, status, success_evaluation, sentiment, tag (any of), caller_prefix, min_duration/max_duration (seconds)
 router.get('/', requireAuth, async (req, res) => {
     try {
-        const userId = req.userId;
-        const { limit = 50, offset = 0, assistant_id } = req.query;
-        
-        // Build query
-        let query = supabase
-            .from('call_logs')
-            .select(`
-                *,
-                assistants!inner (
-                    id,
-                    name,
-                    user_id
-                ),
-                phone_numbers (
-                    id,
-                    phone_number,
-                    friendly_name
-                )
-            `)
-            .eq('assistants.user_id', userId)
-            .order('started_at', { ascending: false })
-            .range(offset, offset + limit - 1);
-            
-        // Filter by assistant if specified
-        if (assistant_id) {
-            query = query.eq('assistant_id', assistant_id);
-        }
-        
-        const { data, error, count } = await query;
-        
-        if (error) {
-            console.error('Error fetching call logs:', error);
-            return res.status(500).json({
+        const errors = callLogService.validateListFilters(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({
                 success: false,
-                error: 'Failed to fetch call logs'
+                error: 'Validation failed',
+                details: errors
             });
         }
         
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const { calls, nextCursor } = await callLogService.listCalls(req.userId, {
+            ...req.query,
+            limit
+        });
+        
         // Format response
-        const formattedLogs = data.map(log => ({
+        const formattedLogs = calls.map(log => ({
             id: log.id,
             assistantId: log.assistant_id,
-            assistantName: log.assistants.name,
+            assistantName: log.assistants?.name || 'Unknown',
             phoneNumber: log.phone_numbers?.phone_number || 'Unknown',
             phoneNumberName: log.phone_numbers?.friendly_name || 'Unknown',
             callerNumber: log.caller_number,
             duration: log.duration_seconds,
             durationFormatted: formatDuration(log.duration_seconds),
             status: log.status,
+            endedReason: log.ended_reason,
+            cost: log.cost,
+            hasRecording: !!(log.recording_url || log.stereo_recording_url),
+            hasStereoRecording: !!log.stereo_recording_url,
+            recordingDeletedAt: log.recording_deleted_at,
             transcript: log.transcript,
             summary: log.summary,
             structuredData: log.structured_data,
             successEvaluation: log.success_evaluation,
+            tags: log.tags || [],
+            metrics: formatMetrics(log),
             startedAt: log.started_at,
             endedAt: log.ended_at
         }));
@@ -67,9 +55,9 @@ router.get('/', requireAuth, async (req, res) => {
             success: true,
             data: formattedLogs,
             pagination: {
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                total: count
+                limit,
+                nextCursor,
+                hasMore: nextCursor !== null
             }
         });
         
@@ -82,6 +70,46 @@ router.get('/', requireAuth, async (req, res) => {
     }
 });
 
+// GET /api/call-logs/search?q="refund request"&status=completed&from=2024-01-01 - Full-text search over transcripts, summaries and structured data
+router.get('/search', requireAuth, async (req, res) => {
+    try {
+        const errors = callLogService.validateSearch(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+        
+        const { calls, total } = await callLogService.searchCalls(req.userId, {
+            ...req.query,
+            limit,
+            offset
+        });
+        
+        res.json({
+            success: true,
+            data: calls,
+            pagination: {
+                limit,
+                offset,
+                total
+            }
+        });
+        
+    } catch (error) {
+        console.error('Error searching call logs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search call logs'
+        });
+    }
+});
+
 // GET /api/call-logs/usage - Get user's call usage summary
 router.get('/usage', requireAuth, async (req, res) => {
     try {
@@ -135,6 +163,175 @@ router.get('/usage', requireAuth, async (req, res) => {
     }
 });
 
+// POST /api/call-logs/:id/recording/link?variant=stereo - Short-lived signed URL the audio player can stream and seek
+router.post('/:id/recording/link', requireAuth, async (req, res) => {
+    try {
+        const variant = req.query.variant === 'stereo' ? 'stereo' : 'mono';
+        const callLog = await recordingService.getCallRecording(req.params.id, req.userId);
+        
+        if (!callLog) {
+            return res.status(404).json({
+                success: false,
+                error: 'Call log not found'
+            });
+        }
+        
+        if (callLog.recording_deleted_at) {
+            return res.status(410).json({
+                success: false,
+                error: 'Recording was deleted by the retention policy'
+            });
+        }
+        
+        if (!recordingService.getRecordingUrl(callLog, variant)) {
+            return res.status(404).json({
+                success: false,
+                error: 'No recording for this call'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: recordingService.createPlaybackLink(callLog.id, req.userId, variant)
+        });
+    } catch (error) {
+        console.error('Error creating recording link:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Recording streams accept a signed playback token instead of the Authorization header
+function requireRecordingAccess(req, res, next) {
+    if (!req.query.token) {
+        return requireAuth(req, res, next);
+    }
+    
+    const variant = req.query.variant === 'stereo' ? 'stereo' : 'mono';
+    const userId = recordingService.verifyPlaybackToken(req.params.id, variant, req.query.token);
+    
+    if (!userId) {
+        return res.status(401).json({
+            success: false,
+            error: 'Recording link is invalid or expired'
+        });
+    }
+    
+    req.userId = userId;
+    next();
+}
+
+// GET /api/call-logs/:id/recording?variant=stereo&token= - Stream a call recording (mono by default)
+router.get('/:id/recording', requireRecordingAccess, async (req, res) => {
+    try {
+        const variant = req.query.variant === 'stereo' ? 'stereo' : 'mono';
+        const callLog = await recordingService.getCallRecording(req.params.id, req.userId);
+        
+        if (!callLog) {
+            return res.status(404).json({
+                success: false,
+                error: 'Call log not found'
+            });
+        }
+        
+        if (callLog.recording_deleted_at) {
+            return res.status(410).json({
+                success: false,
+                error: 'Recording was deleted by the retention policy'
+            });
+        }
+        
+        const url = recordingService.getRecordingUrl(callLog, variant);
+        if (!url) {
+            return res.status(404).json({
+                success: false,
+                error: 'No recording for this call'
+            });
+        }
+        
+        let upstream;
+        try {
+            upstream = await recordingService.openStream(url, req.headers.range);
+        } catch (error) {
+            console.error('Error fetching recording:', error.message);
+            return res.status(502).json({
+                success: false,
+                error: 'Recording is not available right now'
+            });
+        }
+        
+        res.status(upstream.status);
+        res.set(upstream.headers);
+        res.set('Cache-Control', 'private, max-age=300');
+        
+        // Stop downloading if the player goes away
+        req.on('close', () => upstream.stream.destroy());
+        upstream.stream.on('error', (error) => {
+            console.error('Recording stream error:', error.message);
+            res.destroy(error);
+        });
+        upstream.stream.pipe(res);
+        
+    } catch (error) {
+        console.error('Error streaming recording:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+// GET /api/call-logs/:id/transcript?format=text|json|vtt|srt&download=true - Get the transcript (JSON by default)
+router.get('/:id/transcript', requireAuth, async (req, res) => {
+    try {
+        const format = (req.query.format || 'json').toLowerCase();
+        
+        if (!transcriptService.isValidFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid format. Use text, json, vtt or srt'
+            });
+        }
+        
+        const callLog = await transcriptService.getCallTranscript(req.params.id, req.userId);
+        
+        if (!callLog) {
+            return res.status(404).json({
+                success: false,
+                error: 'Call log not found'
+            });
+        }
+        
+        if (!callLog.transcript && !(callLog.transcript_turns || []).length) {
+            return res.status(404).json({
+                success: false,
+                error: 'No transcript for this call'
+            });
+        }
+        
+        const result = transcriptService.formatTranscript(callLog, format);
+        
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+        
+        res.set('Content-Type', result.contentType);
+        if (req.query.download === 'true') {
+            res.set('Content-Disposition', `attachment; filename="transcript-${callLog.id}.${result.extension}"`);
+        }
+        res.send(result.body);
+        
+    } catch (error) {
+        console.error('Error fetching transcript:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
 // GET /api/call-logs/:id - Get specific call log details
 router.get('/:id', requireAuth, async (req, res) => {
     try {
@@ -180,10 +377,18 @@ router.get('/:id', requireAuth, async (req, res) => {
                 duration: data.duration_seconds,
                 durationFormatted: formatDuration(data.duration_seconds),
                 status: data.status,
+                endedReason: data.ended_reason,
+                cost: data.cost,
+                hasRecording: !!(data.recording_url || data.stereo_recording_url),
+                hasStereoRecording: !!data.stereo_recording_url,
+                recordingDeletedAt: data.recording_deleted_at,
                 transcript: data.transcript,
+                turns: data.transcript_turns || [],
                 summary: data.summary,
                 structuredData: data.structured_data,
                 successEvaluation: data.success_evaluation,
+                tags: data.tags || [],
+                metrics: formatMetrics(data),
                 startedAt: data.started_at,
                 endedAt: data.ended_at,
                 createdAt: data.created_at
@@ -199,6 +404,19 @@ router.get('/:id', requireAuth, async (req, res) => {
     }
 });
 
+// Helper function to pick the conversation metrics of a call
+function formatMetrics(log) {
+    return {
+        callerTalkRatio: log.caller_talk_ratio,
+        longestSilenceSeconds: log.longest_silence_seconds,
+        interruptions: log.interruptions,
+        callerWpm: log.caller_wpm,
+        assistantWpm: log.assistant_wpm,
+        sentimentScore: log.sentiment_score,
+        sentiment: log.sentiment
+    };
+}
+
 // Helper function to format duration
 function formatDuration(seconds) {
     if (!seconds || seconds === 0) return '0:00';
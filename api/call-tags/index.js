@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../../middleware/auth.middleware');
+const callTagService = require('../../services/call-tag.service');
+const { supabaseAdmin } = require('../../services/supabase.service');
+
+// GET /api/call-tags - Get all tags for user
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const tags = await callTagService.getTags(req.userId);
+
+        res.json({
+            success: true,
+            data: tags
+        });
+    } catch (error) {
+        console.error('Error fetching call tags:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch tags'
+        });
+    }
+});
+
+// POST /api/call-tags/test - Dry-run a tag's rules against one of the user's calls (MUST BE BEFORE /:id routes)
+router.post('/test', requireAuth, async (req, res) => {
+    try {
+        const { call_id, ...tag } = req.body;
+
+        const validationErrors = callTagService.validateTag({ name: 'test', ...tag });
+        if (!call_id) {
+            validationErrors.push('call_id is required');
+        }
+
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const { data: callLog } = await supabaseAdmin
+            .from('call_logs')
+            .select('id, transcript, summary, structured_data, tags')
+            .eq('id', call_id)
+            .eq('user_id', req.userId)
+            .single();
+
+        if (!callLog) {
+            return res.status(404).json({
+                success: false,
+                error: 'Call log not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                matched: callTagService.matchesTag(tag, callLog),
+                rules: tag.rules.map(rule => ({
+                    rule,
+                    matched: callTagService.matchesRule(rule, callLog)
+                })),
+                current_tags: callLog.tags || []
+            }
+        });
+    } catch (error) {
+        console.error('Error testing call tag:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to test tag'
+        });
+    }
+});
+
+// GET /api/call-tags/:id - Get specific tag
+router.get('/:id', requireAuth, async (req, res) => {
+    try {
+        const tag = await callTagService.getTag(req.params.id, req.userId);
+
+        if (!tag) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tag not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: tag
+        });
+    } catch (error) {
+        console.error('Error fetching call tag:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch tag'
+        });
+    }
+});
+
+// POST /api/call-tags - Create tag (past calls are tagged in the background)
+router.post('/', requireAuth, async (req, res) => {
+    try {
+        const validationErrors = callTagService.validateTag(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const result = await callTagService.createTag(req.userId, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            const statusCode = result.error === 'Failed to create tag' ? 500 : 400;
+            res.status(statusCode).json(result);
+        }
+    } catch (error) {
+        console.error('Error creating call tag:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create tag'
+        });
+    }
+});
+
+// PUT /api/call-tags/:id - Replace tag (past calls are re-tagged in the background)
+router.put('/:id', requireAuth, async (req, res) => {
+    try {
+        const validationErrors = callTagService.validateTag(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const result = await callTagService.updateTag(req.params.id, req.userId, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            const statusMap = {
+                'Tag not found': 404,
+                'A tag with this name already exists': 400
+            };
+            res.status(statusMap[result.error] || 500).json(result);
+        }
+    } catch (error) {
+        console.error('Error updating call tag:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update tag'
+        });
+    }
+});
+
+// DELETE /api/call-tags/:id - Delete tag (removed from calls in the background)
+router.delete('/:id', requireAuth, async (req, res) => {
+    try {
+        const success = await callTagService.deleteTag(req.params.id, req.userId);
+
+        if (!success) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tag not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Tag deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting call tag:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete tag'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../../middleware/auth.middleware');
+const outboundCallService = require('../../services/outbound-call.service');
+
+// POST /api/calls/outbound - Start a single outbound call
+router.post('/outbound', requireAuth, async (req, res) => {
+    try {
+        const { assistant_id, phone_number_id, customer_number, customer_name, variables } = req.body;
+
+        const errors = [];
+        if (!assistant_id) errors.push('Assistant is required');
+        if (!phone_number_id) errors.push('Phone number to call from is required');
+        if (!customer_number) errors.push('Customer number is required');
+        if (variables !== undefined && (typeof variables !== 'object' || Array.isArray(variables))) {
+            errors.push('Variables must be an object');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+
+        const result = await outboundCallService.startCall(req.userId, {
+            assistantId: assistant_id,
+            phoneNumberId: phone_number_id,
+            customerNumber: customer_number,
+            customerName: customer_name,
+            variables
+        });
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            const statusMap = {
+                'Assistant not found': 404,
+                'Phone number not found': 404,
+                'Assistant is not linked to VAPI': 409,
+                'Phone number is not linked to VAPI': 409,
+                'Call time limit reached': 403,
+                'VAPI rejected the call': 502
+            };
+            res.status(statusMap[result.error] || 400).json(result);
+        }
+    } catch (error) {
+        console.error('Error starting outbound call:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start outbound call'
+        });
+    }
+});
+
+module.exports = router;
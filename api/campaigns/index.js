@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../../middleware/auth.middleware');
+const campaignService = require('../../services/campaign.service');
+const assistantService = require('../../services/assistant.service');
+const { supabaseAdmin } = require('../../services/supabase.service');
+
+// Contact lists can also be uploaded as raw CSV (text/csv body)
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+// Check that the campaign's assistant and phone number belong to the user
+async function validateTargets(data, userId) {
+    const errors = [];
+
+    if (data.assistant_id && !(await assistantService.getAssistant(data.assistant_id, userId))) {
+        errors.push('Assistant not found');
+    }
+
+    if (data.phone_number_id) {
+        const { data: phoneNumber } = await supabaseAdmin
+            .from('phone_numbers')
+            .select('id')
+            .eq('id', data.phone_number_id)
+            .eq('user_id', userId)
+            .single();
+
+        if (!phoneNumber) {
+            errors.push('Phone number not found');
+        }
+    }
+
+    return errors;
+}
+
+// Map campaign status change errors to HTTP codes
+function sendStatusResult(res, result) {
+    if (result.success) {
+        return res.json(result);
+    }
+
+    const statusCode = result.error === 'Campaign not found' ? 404 : 409;
+    res.status(statusCode).json(result);
+}
+
+// GET /api/campaigns - Get all campaigns for user
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const campaigns = await campaignService.getCampaigns(req.userId);
+
+        res.json({
+            success: true,
+            data: campaigns
+        });
+    } catch (error) {
+        console.error('Error fetching campaigns:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch campaigns'
+        });
+    }
+});
+
+// GET /api/campaigns/:id - Get campaign with contact status counts
+router.get('/:id', requireAuth, async (req, res) => {
+    try {
+        const campaign = await campaignService.getCampaign(req.params.id, req.userId);
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                error: 'Campaign not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: campaign
+        });
+    } catch (error) {
+        console.error('Error fetching campaign:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch campaign'
+        });
+    }
+});
+
+// POST /api/campaigns - Create campaign (contacts_csv optional)
+router.post('/', requireAuth, async (req, res) => {
+    try {
+        const validationErrors = campaignService.validateCampaign(req.body);
+        validationErrors.push(...await validateTargets(req.body, req.userId));
+
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const result = await campaignService.createCampaign(req.userId, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(500).json(result);
+        }
+    } catch (error) {
+        console.error('Error creating campaign:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create campaign'
+        });
+    }
+});
+
+// GET /api/campaigns/:id/contacts?status=retry - List contacts
+router.get('/:id/contacts', requireAuth, async (req, res) => {
+    try {
+        const campaign = await campaignService.getCampaign(req.params.id, req.userId);
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                error: 'Campaign not found'
+            });
+        }
+
+        const contacts = await campaignService.getContacts(req.params.id, req.userId, {
+            status: req.query.status,
+            limit: Math.min(parseInt(req.query.limit) || 100, 500),
+            offset: parseInt(req.query.offset) || 0
+        });
+
+        res.json({
+            success: true,
+            data: contacts
+        });
+    } catch (error) {
+        console.error('Error fetching campaign contacts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch campaign contacts'
+        });
+    }
+});
+
+// POST /api/campaigns/:id/contacts - Import contacts ({ contacts_csv } or a text/csv body)
+router.post('/:id/contacts', requireAuth, csvBody, async (req, res) => {
+    try {
+        const campaign = await campaignService.getCampaign(req.params.id, req.userId);
+
+        if (!campaign) {
+            return res.status(404).json({
+                success: false,
+                error: 'Campaign not found'
+            });
+        }
+
+        if (['completed', 'cancelled'].includes(campaign.status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Cannot add contacts to a ${campaign.status} campaign`
+            });
+        }
+
+        const csvText = typeof req.body === 'string' ? req.body : req.body?.contacts_csv;
+        const result = await campaignService.addContacts(req.params.id, req.userId, csvText);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Error importing campaign contacts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import contacts'
+        });
+    }
+});
+
+// POST /api/campaigns/:id/start - Start or resume dialing
+router.post('/:id/start', requireAuth, async (req, res) => {
+    try {
+        sendStatusResult(res, await campaignService.setStatus(req.params.id, req.userId, 'running'));
+    } catch (error) {
+        console.error('Error starting campaign:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start campaign'
+        });
+    }
+});
+
+// POST /api/campaigns/:id/pause - Pause dialing (calls in progress finish)
+router.post('/:id/pause', requireAuth, async (req, res) => {
+    try {
+        sendStatusResult(res, await campaignService.setStatus(req.params.id, req.userId, 'paused'));
+    } catch (error) {
+        console.error('Error pausing campaign:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to pause campaign'
+        });
+    }
+});
+
+// POST /api/campaigns/:id/cancel - Stop the campaign for good
+router.post('/:id/cancel', requireAuth, async (req, res) => {
+    try {
+        sendStatusResult(res, await campaignService.setStatus(req.params.id, req.userId, 'cancelled'));
+    } catch (error) {
+        console.error('Error cancelling campaign:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel campaign'
+        });
+    }
+});
+
+// DELETE /api/campaigns/:id - Delete a campaign that is not running
+router.delete('/:id', requireAuth, async (req, res) => {
+    try {
+        const success = await campaignService.deleteCampaign(req.params.id, req.userId);
+
+        if (!success) {
+            return res.status(404).json({
+                success: false,
+                error: 'Campaign not found or still running'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Campaign deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting campaign:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete campaign'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../../middleware/auth.middleware');
+const contactService = require('../../services/contact.service');
+
+// GET /api/contacts?search=ann&tag=vip - List contacts (most recent caller first)
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const { contacts, total } = await contactService.getContacts(req.userId, {
+            search: req.query.search,
+            tag: req.query.tag,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            data: contacts,
+            pagination: {
+                limit,
+                offset,
+                total
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching contacts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch contacts'
+        });
+    }
+});
+
+// GET /api/contacts/:id - Get contact with call timeline
+router.get('/:id', requireAuth, async (req, res) => {
+    try {
+        const contact = await contactService.getContact(req.params.id, req.userId);
+
+        if (!contact) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contact not found'
+            });
+        }
+
+        const timeline = await contactService.getTimeline(contact.id, req.userId);
+
+        res.json({
+            success: true,
+            data: {
+                ...contact,
+                timeline
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching contact:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch contact'
+        });
+    }
+});
+
+// GET /api/contacts/:id/calls - Call timeline only
+router.get('/:id/calls', requireAuth, async (req, res) => {
+    try {
+        const contact = await contactService.getContact(req.params.id, req.userId);
+
+        if (!contact) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contact not found'
+            });
+        }
+
+        const timeline = await contactService.getTimeline(contact.id, req.userId);
+
+        res.json({
+            success: true,
+            data: timeline
+        });
+    } catch (error) {
+        console.error('Error fetching contact calls:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch contact calls'
+        });
+    }
+});
+
+// PATCH /api/contacts/:id - Update name, email, notes or tags
+router.patch('/:id', requireAuth, async (req, res) => {
+    try {
+        const { name, email, notes, tags } = req.body;
+        const updates = { name, email, notes, tags };
+
+        const validationErrors = contactService.validateContactUpdate(updates);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const result = await contactService.updateContact(req.params.id, req.userId, updates);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error === 'Contact not found' ? 404 : 500).json(result);
+        }
+    } catch (error) {
+        console.error('Error updating contact:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update contact'
+        });
+    }
+});
+
+// DELETE /api/contacts/:id - Delete contact (calls are kept)
+router.delete('/:id', requireAuth, async (req, res) => {
+    try {
+        const success = await contactService.deleteContact(req.params.id, req.userId);
+
+        if (!success) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contact not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Contact deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting contact:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete contact'
+        });
+    }
+});
+
+module.exports = router;
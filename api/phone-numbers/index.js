@@ -35,7 +35,8 @@ router.post('/', requireAuth, async (req, res) => {
             twilioAccountSid: req.body.twilioAccountSid,
             twilioAuthToken: req.body.twilioAuthToken,
             assignedAssistantId: req.body.assignedAssistantId || null,
-            notes: req.body.notes || null
+            notes: req.body.notes || null,
+            businessHours: req.body.businessHours || null
         };
         
         const result = await phoneNumberService.createPhoneNumber(req.userId, phoneData);
@@ -61,7 +62,8 @@ router.patch('/:id', requireAuth, async (req, res) => {
         const updateData = {
             friendlyName: req.body.friendlyName,
             assignedAssistantId: req.body.assignedAssistantId,
-            notes: req.body.notes
+            notes: req.body.notes,
+            businessHours: req.body.businessHours
         };
         
         const result = await phoneNumberService.updatePhoneNumber(req.userId, req.params.id, updateData);
@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../../middleware/auth.middleware');
+const callRoutingService = require('../../services/call-routing.service');
+const assistantService = require('../../services/assistant.service');
+const { supabaseAdmin } = require('../../services/supabase.service');
+
+// Validate a rule and check that its assistant and phone number belong to the user
+async function validateRuleForUser(rule, userId) {
+    const errors = callRoutingService.validateRule(rule);
+
+    if (rule.assistant_id && typeof rule.assistant_id === 'string') {
+        const assistant = await assistantService.getAssistant(rule.assistant_id, userId);
+        if (!assistant) {
+            errors.push('Target assistant not found');
+        }
+    }
+
+    if (rule.phone_number_id) {
+        const { data: phoneNumber } = await supabaseAdmin
+            .from('phone_numbers')
+            .select('id')
+            .eq('id', rule.phone_number_id)
+            .eq('user_id', userId)
+            .single();
+
+        if (!phoneNumber) {
+            errors.push('Phone number not found');
+        }
+    }
+
+    return errors;
+}
+
+// GET /api/routing-rules - Get all routing rules for user
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const rules = await callRoutingService.getRules(req.userId);
+
+        res.json({
+            success: true,
+            data: rules
+        });
+    } catch (error) {
+        console.error('Error fetching routing rules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch routing rules'
+        });
+    }
+});
+
+// POST /api/routing-rules/test - Dry-run routing for a simulated call (MUST BE BEFORE /:id routes)
+router.post('/test', requireAuth, async (req, res) => {
+    try {
+        const { dialed_number, caller_number, phone_number_id, at } = req.body;
+        const now = at ? new Date(at) : new Date();
+
+        if (isNaN(now.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid time'
+            });
+        }
+
+        const context = {
+            phoneNumberId: phone_number_id || null,
+            dialedNumber: dialed_number || null,
+            callerNumber: caller_number || null,
+            history: await callRoutingService.getCallerHistory(req.userId, caller_number),
+            now
+        };
+
+        const rules = await callRoutingService.getRules(req.userId, { activeOnly: true });
+        const rule = callRoutingService.matchRule(rules, context);
+        const variables = callRoutingService.buildVariables(context);
+
+        res.json({
+            success: true,
+            data: {
+                matched_rule: rule,
+                caller_history: context.history,
+                variables,
+                first_message: rule?.first_message ? callRoutingService.renderTemplate(rule.first_message, variables) : null
+            }
+        });
+    } catch (error) {
+        console.error('Error testing routing rules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to test routing rules'
+        });
+    }
+});
+
+// GET /api/routing-rules/:id - Get specific routing rule
+router.get('/:id', requireAuth, async (req, res) => {
+    try {
+        const rule = await callRoutingService.getRule(req.params.id, req.userId);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                error: 'Routing rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rule
+        });
+    } catch (error) {
+        console.error('Error fetching routing rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch routing rule'
+        });
+    }
+});
+
+// POST /api/routing-rules - Create routing rule
+router.post('/', requireAuth, async (req, res) => {
+    try {
+        const validationErrors = await validateRuleForUser(req.body, req.userId);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const result = await callRoutingService.createRule(req.userId, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json(result);
+        }
+    } catch (error) {
+        console.error('Error creating routing rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create routing rule'
+        });
+    }
+});
+
+// PUT /api/routing-rules/:id - Replace routing rule
+router.put('/:id', requireAuth, async (req, res) => {
+    try {
+        const validationErrors = await validateRuleForUser(req.body, req.userId);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const result = await callRoutingService.updateRule(req.params.id, req.userId, req.body);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            const statusCode = result.error === 'Routing rule not found' ? 404 : 400;
+            res.status(statusCode).json(result);
+        }
+    } catch (error) {
+        console.error('Error updating routing rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update routing rule'
+        });
+    }
+});
+
+// DELETE /api/routing-rules/:id - Delete routing rule
+router.delete('/:id', requireAuth, async (req, res) => {
+    try {
+        const success = await callRoutingService.deleteRule(req.params.id, req.userId);
+
+        if (!success) {
+            return res.status(404).json({
+                success: false,
+                error: 'Routing rule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Routing rule deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting routing rule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete routing rule'
+        });
+    }
+});
+
+module.exports = router;
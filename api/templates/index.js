@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../../middleware/auth.middleware');
+const templateService = require('../../services/template.service');
+const assistantService = require('../../services/assistant.service');
+
+// GET /api/templates - Get built-in and saved templates
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const templates = await templateService.getTemplates(req.userId);
+
+        res.json({
+            success: true,
+            data: templates
+        });
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch templates'
+        });
+    }
+});
+
+// GET /api/templates/:id - Get specific template
+router.get('/:id', requireAuth, async (req, res) => {
+    try {
+        const template = await templateService.getTemplate(req.params.id, req.userId);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        console.error('Error fetching template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch template'
+        });
+    }
+});
+
+// POST /api/templates - Save a template (from a configuration or an existing assistant)
+router.post('/', requireAuth, async (req, res) => {
+    try {
+        const { name, description, industry, assistant_id } = req.body;
+        let configuration = req.body.configuration;
+
+        // Validate input data
+        const errors = [];
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            errors.push('Template name is required');
+        } else if (name.length > 100) {
+            errors.push('Template name must be less than 100 characters');
+        }
+
+        if (description && description.length > 300) {
+            errors.push('Description must be less than 300 characters');
+        }
+
+        if (assistant_id) {
+            const assistant = await assistantService.getAssistant(assistant_id, req.userId);
+            if (!assistant) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Assistant not found'
+                });
+            }
+            configuration = assistant.configuration;
+        }
+
+        if (!configuration || typeof configuration !== 'object' || Array.isArray(configuration)) {
+            errors.push('Template configuration is required');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+
+        const template = await templateService.saveTemplate(req.userId, {
+            name: name.trim(),
+            description,
+            industry,
+            configuration
+        });
+
+        if (!template) {
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to save template'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: template
+        });
+    } catch (error) {
+        console.error('Error saving template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save template'
+        });
+    }
+});
+
+// DELETE /api/templates/:id - Delete a saved template
+router.delete('/:id', requireAuth, async (req, res) => {
+    try {
+        if (templateService.isBuiltIn(req.params.id)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Built-in templates cannot be deleted'
+            });
+        }
+
+        const success = await templateService.deleteTemplate(req.params.id, req.userId);
+
+        if (!success) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Template deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete template'
+        });
+    }
+});
+
+module.exports = router;
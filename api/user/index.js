@@ -68,6 +68,29 @@ router.get('/usage-history', requireAuth, async (req, res) => {
     }
 });
 
+// GET /api/user/models - Get LLM models available on the user's plan
+router.get('/models', requireAuth, async (req, res) => {
+    try {
+        const planType = await userLimitsService.getPlanType(req.userId);
+        const planLimits = userLimitsService.getPlanLimits(planType);
+        
+        res.json({
+            success: true,
+            data: {
+                plan_type: planType,
+                allowed_models: planLimits.allowedModels,
+                max_tokens: planLimits.maxTokens
+            }
+        });
+    } catch (error) {
+        console.error('Error getting available models:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get available models'
+        });
+    }
+});
+
 // GET /api/user/demo-time - Get remaining demo time
 router.get('/demo-time', requireAuth, async (req, res) => {
     try {
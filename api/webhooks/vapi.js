@@ -1,137 +1,460 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../../services/supabase.service');
+const { verifyVapiWebhook } = require('../../middleware/webhook-auth.middleware');
+const knowledgeBaseService = require('../../services/knowledge-base.service');
+const toolService = require('../../services/tool.service');
+const callTransferService = require('../../services/call-transfer.service');
+const businessHoursService = require('../../services/business-hours.service');
+const assistantService = require('../../services/assistant.service');
+const callRoutingService = require('../../services/call-routing.service');
+const outboundCallService = require('../../services/outbound-call.service');
+const campaignService = require('../../services/campaign.service');
+const contactService = require('../../services/contact.service');
+const webhookEventService = require('../../services/webhook-event.service');
+const recordingService = require('../../services/recording.service');
+const transcriptService = require('../../services/transcript.service');
+const callTagService = require('../../services/call-tag.service');
+const conversationMetricsService = require('../../services/conversation-metrics.service');
+
+// Events VAPI waits on for an answer; handled inline and stored as processed
+const SYNCHRONOUS_EVENTS = ['assistant-request', 'tool-calls', 'function-call'];
+
+// Call lifecycle events go through the webhook_events inbox and are processed by the worker
+webhookEventService.registerHandlers({
+    'call.started': handleCallStarted,
+    'call.ended': handleCallEnded,
+    'end-of-call-report': handleEndOfCallReport,
+    'transfer-update': handleTransferUpdate
+});
 
 // VAPI webhook endpoint for call events
-router.post('/', async (req, res) => {
+router.post('/', verifyVapiWebhook, async (req, res) => {
     try {
-        const event = req.body;
+        // VAPI server messages are wrapped in { message: {...} }
+        const event = req.body.message || req.body;
         
         console.log('VAPI webhook received:', event.type);
         
-        switch (event.type) {
-            case 'call.started':
-                await handleCallStarted(event);
-                break;
-                
-            case 'call.ended':
-                await handleCallEnded(event);
-                break;
-                
-            case 'end-of-call-report':
-                await handleEndOfCallReport(event);
-                break;
-                
-            default:
-                console.log('Unhandled event type:', event.type);
+        if (SYNCHRONOUS_EVENTS.includes(event.type)) {
+            const [response] = await Promise.all([
+                handleSynchronousEvent(event),
+                webhookEventService.storeEvent(req.webhookEventId, event, 'processed')
+                    .catch(error => console.error('Error storing webhook event:', error))
+            ]);
+            
+            return res.status(200).json(response);
+        }
+        
+        // Store first: if this fails VAPI gets a 500 and redelivers (verifyVapiWebhook forgets unacknowledged event ids)
+        const { duplicate } = await webhookEventService.storeEvent(req.webhookEventId, event);
+        
+        if (!duplicate) {
+            webhookEventService.kick();
         }
         
-        res.status(200).json({ received: true });
+        res.status(200).json({ received: true, duplicate });
     } catch (error) {
         console.error('Webhook error:', error);
         res.status(500).json({ error: 'Webhook processing failed' });
     }
 });
 
+// Handle events that need a response body
+async function handleSynchronousEvent(event) {
+    switch (event.type) {
+        case 'assistant-request':
+            // Inbound call on a number without a fixed assistant: we pick the configuration
+            return handleAssistantRequest(event);
+            
+        case 'tool-calls':
+            // Tool calls must be answered with their results
+            return handleToolCalls(event);
+            
+        case 'function-call':
+            return handleFunctionCall(event);
+    }
+}
+
+// Make sure the call has a call_logs row (events can arrive in any order)
+// Never overwrites an existing row, so repeated deliveries are harmless
+async function ensureCallLog(call) {
+    const { data: existing, error: lookupError } = await supabaseAdmin
+        .from('call_logs')
+        .select('*')
+        .eq('vapi_call_id', call.id)
+        .maybeSingle();
+        
+    if (lookupError) throw lookupError;
+    if (existing) return existing;
+    
+    const assistant = await getAssistantFromVapi(call.assistantId);
+    if (!assistant) {
+        throw new Error(`Assistant not found for VAPI ID: ${call.assistantId}`);
+    }
+    
+    // user_id is needed for caller history lookups
+    const { error } = await supabaseAdmin
+        .from('call_logs')
+        .upsert({
+            vapi_call_id: call.id,
+            user_id: assistant.user_id,
+            assistant_id: assistant.id,
+            phone_number_id: await getPhoneNumberId(call.phoneNumberId),
+            caller_number: call.customer?.number || null,
+            status: 'in_progress',
+            started_at: call.startedAt || new Date().toISOString()
+        }, { onConflict: 'vapi_call_id', ignoreDuplicates: true });
+        
+    if (error) throw error;
+    
+    const { data: callLog, error: reloadError } = await supabaseAdmin
+        .from('call_logs')
+        .select('*')
+        .eq('vapi_call_id', call.id)
+        .single();
+        
+    if (reloadError) throw reloadError;
+    return callLog;
+}
+
 // Handle call started event
 async function handleCallStarted(event) {
-    try {
-        const { call } = event;
+    // Outbound calls are logged when dialed, so their direction and campaign link are kept
+    await ensureCallLog(event.call);
+}
+
+// Handle call ended event
+async function handleCallEnded(event) {
+    const { call } = event;
+    
+    await ensureCallLog(call);
+    
+    // Update call log with duration
+    const durationSeconds = call.startedAt && call.endedAt
+        ? Math.round((new Date(call.endedAt) - new Date(call.startedAt)) / 1000)
+        : 0;
+    
+    const { error } = await supabaseAdmin
+        .from('call_logs')
+        .update({
+            status: mapCallStatus(call.endedReason),
+            ended_reason: call.endedReason || null,
+            duration_seconds: durationSeconds,
+            ended_at: call.endedAt || new Date().toISOString()
+        })
+        .eq('vapi_call_id', call.id);
         
-        // Get assistant ID from call data
-        const assistantId = await getAssistantIdFromVapi(call.assistantId);
-        if (!assistantId) {
-            console.error('Assistant not found for VAPI ID:', call.assistantId);
-            return;
-        }
+    if (error) throw error;
+    
+    // Check if user hit 10-minute limit
+    await checkAndEnforceCallLimits(call.assistantId);
+}
+
+// Handle end-of-call report (with transcript and analysis)
+async function handleEndOfCallReport(event) {
+    const { call, transcript, summary, analysis } = event;
+    
+    // The report can beat call.started, so create the row if needed
+    await ensureCallLog(call);
+    
+    const endedReason = event.endedReason || call.endedReason || null;
+    
+    // Speaker turns from the message log, with talk-time and sentiment metrics computed from them;
+    // the text transcript is derived from the turns when present
+    const { turns, metrics } = conversationMetricsService.computeMetrics(
+        transcriptService.normalizeTurns(event.artifact?.messages || event.messages)
+    );
+    const transcriptText = turns.length > 0
+        ? transcriptService.buildText(turns)
+        : transcript || event.artifact?.transcript || null;
+    
+    // Update call log with transcript, analysis, cost and recording
+    const { data: callLog, error } = await supabaseAdmin
+        .from('call_logs')
+        .update({
+            transcript: transcriptText,
+            transcript_turns: turns.length > 0 ? turns : null,
+            ...metrics,
+            summary: summary || null,
+            structured_data: analysis?.structuredData || null,
+            success_evaluation: analysis?.successEvaluation || null,
+            ended_reason: endedReason,
+            cost: event.cost ?? call.cost ?? 0,
+            ...recordingService.extractRecordingUrls(event),
+            updated_at: new Date().toISOString()
+        })
+        .eq('vapi_call_id', call.id)
+        .select('id, user_id, caller_number, transcript, summary, structured_data, started_at')
+        .single();
         
-        // Create call log entry
-        const { error } = await supabaseAdmin
-            .from('call_logs')
-            .insert({
-                vapi_call_id: call.id,
-                assistant_id: assistantId,
-                phone_number_id: await getPhoneNumberId(call.phoneNumberId),
-                caller_number: call.customer?.number || null,
-                status: 'in_progress',
-                started_at: call.startedAt || new Date().toISOString()
-            });
-            
-        if (error) {
-            console.error('Error creating call log:', error);
+    if (error) throw error;
+    
+    // Tie repeat callers together and merge what the assistant learned about them
+    await contactService.recordCall(callLog);
+    
+    // Apply the user's tag rules
+    await callTagService.tagCall(callLog);
+    
+    // Forwarded calls count as handoffs even if the transfer update was missed
+    if (endedReason === 'assistant-forwarded-call') {
+        await callTransferService.recordTransfer(call.id, event.destination || null, call.endedAt || undefined);
+    }
+    
+    await handleOutboundCallEnded(event);
+}
+
+// Finish an outbound call: status, call time against user_limits and campaign contact outcome
+async function handleOutboundCallEnded(event) {
+    const { call } = event;
+    
+    const { data: callLog, error } = await supabaseAdmin
+        .from('call_logs')
+        .select('id, user_id, direction, campaign_contact_id, duration_seconds')
+        .eq('vapi_call_id', call.id)
+        .single();
+        
+    if (error) throw error;
+    if (callLog.direction !== 'outbound') return;
+    
+    const endedReason = event.endedReason || call.endedReason;
+    const durationSeconds = Math.round(event.durationSeconds || callLog.duration_seconds || 0);
+    
+    // Claim the usage update so a replayed report does not count the call twice
+    const { data: claimed, error: updateError } = await supabaseAdmin
+        .from('call_logs')
+        .update({
+            status: mapCallStatus(endedReason),
+            duration_seconds: durationSeconds,
+            ended_at: call.endedAt || new Date().toISOString(),
+            usage_recorded_at: new Date().toISOString()
+        })
+        .eq('id', callLog.id)
+        .is('usage_recorded_at', null)
+        .select('id');
+        
+    if (updateError) throw updateError;
+    if (!claimed || claimed.length === 0) return;
+    
+    try {
+        // Campaign result first: it is idempotent, the call time is not, so a failure
+        // at any point here means the time was not added and the claim can be released
+        if (callLog.campaign_contact_id) {
+            await campaignService.recordCallResult(callLog.campaign_contact_id, endedReason);
         }
+        
+        await outboundCallService.recordCallTime(callLog, durationSeconds);
     } catch (error) {
-        console.error('Error handling call started:', error);
+        // Release the claim so the retried event records the usage
+        await supabaseAdmin
+            .from('call_logs')
+            .update({ usage_recorded_at: null })
+            .eq('id', callLog.id);
+        throw error;
     }
 }
 
-// Handle call ended event
-async function handleCallEnded(event) {
+// Handle transfer update (assistant handed the caller to a human)
+async function handleTransferUpdate(event) {
+    const { call, destination } = event;
+    
+    if (!call?.id) return;
+    
+    await ensureCallLog(call);
+    await callTransferService.recordTransfer(call.id, destination);
+}
+
+// Handle assistant request (inbound call routed through our webhook)
+async function handleAssistantRequest(event) {
     try {
-        const { call } = event;
+        const vapiPhoneId = event.phoneNumber?.id || event.call?.phoneNumberId;
         
-        // Update call log with duration
-        const durationSeconds = Math.round((call.endedAt - call.startedAt) / 1000);
+        const { data: phoneNumber } = await supabaseAdmin
+            .from('phone_numbers')
+            .select('id, user_id, phone_number, assigned_assistant_id, business_hours')
+            .eq('vapi_phone_id', vapiPhoneId)
+            .single();
+            
+        if (!phoneNumber) {
+            console.error('Unknown VAPI phone ID:', vapiPhoneId);
+            return { error: 'This number is not accepting calls right now.' };
+        }
         
-        const { error } = await supabaseAdmin
-            .from('call_logs')
-            .update({
-                status: mapCallStatus(call.endedReason),
-                duration_seconds: durationSeconds,
-                ended_at: call.endedAt || new Date().toISOString()
-            })
-            .eq('vapi_call_id', call.id);
+        // Routing rules see the dialed number, the caller, their history and the time
+        const callerNumber = event.call?.customer?.number || event.customer?.number || null;
+        const context = {
+            phoneNumberId: phoneNumber.id,
+            dialedNumber: event.phoneNumber?.number || phoneNumber.phone_number,
+            callerNumber,
+            history: await callRoutingService.getCallerHistory(phoneNumber.user_id, callerNumber),
+            now: new Date()
+        };
+        
+        const rules = await callRoutingService.getRules(phoneNumber.user_id, { activeOnly: true });
+        const rule = callRoutingService.matchRule(rules, context);
+        const assistantId = rule?.assistant_id || phoneNumber.assigned_assistant_id;
+        
+        if (!assistantId) {
+            console.error('No assistant assigned for VAPI phone ID:', vapiPhoneId);
+            return { error: 'This number is not accepting calls right now.' };
+        }
+        
+        const { data: assistant } = await supabaseAdmin
+            .from('assistants')
+            .select('id, user_id, vapi_assistant_id, configuration')
+            .eq('id', assistantId)
+            .eq('user_id', phoneNumber.user_id)
+            .single();
             
-        if (error) {
-            console.error('Error updating call log:', error);
+        if (!assistant?.vapi_assistant_id) {
+            console.error('Routed assistant is not linked to VAPI:', assistantId);
+            return { error: 'This number is not accepting calls right now.' };
         }
         
-        // Check if user hit 10-minute limit
-        await checkAndEnforceCallLimits(call.assistantId);
+        const schedule = businessHoursService.resolveSchedule(phoneNumber, assistant);
+        const status = businessHoursService.getStatus(schedule, context.now);
+        
+        console.log(`Assistant request for ${assistant.id}: ${status.mode}${rule ? ` (rule: ${rule.name})` : ''}`);
+        
+        const response = status.mode === 'after_hours'
+            ? await assistantService.buildAfterHoursResponse(assistant, schedule)
+            : { assistantId: assistant.vapi_assistant_id };
+            
+        return personalizeResponse(response, assistant, rule, context);
     } catch (error) {
-        console.error('Error handling call ended:', error);
+        console.error('Error handling assistant request:', error);
+        return { error: 'Sorry, we cannot take your call right now.' };
     }
 }
 
-// Handle end-of-call report (with transcript and analysis)
-async function handleEndOfCallReport(event) {
+// Fill template variables ({{caller_name}} ...) into the first message of an assistant-request response
+function personalizeResponse(response, assistant, rule, context) {
+    const variables = callRoutingService.buildVariables(context);
+    const overrides = response.assistantOverrides || {};
+    
+    // After-hours greeting wins over the rule's, which wins over the assistant's own
+    let firstMessage = overrides.firstMessage;
+    if (!firstMessage && response.assistantId === assistant.vapi_assistant_id) {
+        firstMessage = rule?.first_message || assistant.configuration?.first_message;
+    }
+    
+    if (firstMessage && (firstMessage !== assistant.configuration?.first_message || firstMessage.includes('{{'))) {
+        overrides.firstMessage = callRoutingService.renderTemplate(firstMessage, variables);
+    }
+    
+    // Also expose the variables to VAPI so prompts can use them
+    overrides.variableValues = variables;
+    
+    return { ...response, assistantOverrides: overrides };
+}
+
+// Handle tool calls (current VAPI format, may contain several calls)
+async function handleToolCalls(event) {
+    const toolCalls = event.toolCallList || event.toolCalls || [];
+    const assistant = await getAssistantFromVapi(event.call?.assistantId || event.assistant?.id);
+    
+    const results = await Promise.all(toolCalls.map(async toolCall => ({
+        toolCallId: toolCall.id,
+        result: await runTool(assistant, event.call, {
+            id: toolCall.id,
+            name: toolCall.function?.name,
+            args: parseToolArguments(toolCall.function?.arguments)
+        })
+    })));
+    
+    return { results };
+}
+
+// Handle function call (legacy VAPI format, single call)
+async function handleFunctionCall(event) {
+    const { functionCall } = event;
+    const assistant = await getAssistantFromVapi(event.call?.assistantId || event.assistant?.id);
+    
+    const result = await runTool(assistant, event.call, {
+        id: null,
+        name: functionCall?.name,
+        args: parseToolArguments(functionCall?.parameters)
+    });
+    
+    return { result };
+}
+
+// Run a tool for an assistant, log the invocation and return the text result for the model
+async function runTool(assistant, call, toolCall) {
+    if (!assistant) {
+        console.error('Tool call for unknown assistant:', toolCall.name);
+        return 'Tool unavailable: assistant not found.';
+    }
+    
+    const startedAt = Date.now();
+    let outcome;
+    
     try {
-        const { call, transcript, summary, analysis } = event;
-        
-        // Update call log with transcript and analysis
-        const { error } = await supabaseAdmin
-            .from('call_logs')
-            .update({
-                transcript: transcript || null,
-                summary: summary || null,
-                structured_data: analysis?.structuredData || null,
-                success_evaluation: analysis?.successEvaluation || null,
-                updated_at: new Date().toISOString()
-            })
-            .eq('vapi_call_id', call.id);
+        if (knowledgeBaseService.isKnowledgeTool(toolCall.name)) {
+            const results = await knowledgeBaseService.search(assistant.id, toolCall.args.query || '');
+            outcome = { status: 'success', result: knowledgeBaseService.formatToolResult(results) };
+        } else {
+            const tool = toolService.findTool(assistant.configuration, toolCall.name);
             
-        if (error) {
-            console.error('Error updating call report:', error);
+            if (tool) {
+                outcome = await toolService.invokeTool(tool, toolCall.args, {
+                    callId: call?.id,
+                    customerNumber: call?.customer?.number
+                });
+            } else {
+                console.log('Unhandled tool:', toolCall.name);
+                outcome = { status: 'error', result: `Unknown tool: ${toolCall.name}`, error: 'Unknown tool' };
+            }
         }
     } catch (error) {
-        console.error('Error handling end-of-call report:', error);
+        console.error('Error running tool:', error);
+        outcome = { status: 'error', result: 'Tool failed. Please continue without this information.', error: error.message };
+    }
+    
+    await toolService.logInvocation({
+        assistantId: assistant.id,
+        userId: assistant.user_id,
+        callId: call?.id,
+        toolCallId: toolCall.id,
+        toolName: toolCall.name || 'unknown',
+        args: toolCall.args,
+        result: outcome.result,
+        status: outcome.status,
+        error: outcome.error,
+        durationMs: outcome.durationMs ?? Date.now() - startedAt
+    });
+    
+    return outcome.result;
+}
+
+// Helper: Tool arguments arrive as an object or a JSON string
+function parseToolArguments(args) {
+    if (!args) return {};
+    if (typeof args === 'object') return args;
+    
+    try {
+        return JSON.parse(args);
+    } catch (error) {
+        return {};
     }
 }
 
-// Helper: Get our assistant ID from VAPI assistant ID
-async function getAssistantIdFromVapi(vapiAssistantId) {
+// Helper: Get our assistant (with configuration) from VAPI assistant ID
+async function getAssistantFromVapi(vapiAssistantId) {
+    if (!vapiAssistantId) return null;
+    
     try {
         const { data, error } = await supabaseAdmin
             .from('assistants')
-            .select('id, user_id')
+            .select('id, user_id, configuration')
             .eq('vapi_assistant_id', vapiAssistantId)
             .single();
             
         if (error || !data) return null;
         
-        return data.id;
+        return data;
     } catch (error) {
-        console.error('Error getting assistant ID:', error);
+        console.error('Error getting assistant:', error);
         return null;
     }
 }
@@ -161,6 +484,7 @@ function mapCallStatus(endedReason) {
     const statusMap = {
         'customer-ended-call': 'completed',
         'assistant-ended-call': 'completed',
+        'assistant-forwarded-call': 'completed',
         'customer-did-not-answer': 'no-answer',
         'customer-busy': 'busy',
         'system-error': 'failed',
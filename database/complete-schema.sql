@@ -99,6 +99,182 @@ CREATE POLICY "Users can delete own assistants"
 ON public.assistants FOR DELETE 
 USING (user_id = auth.uid());
 
+-- ========================================
+-- ASSISTANT VERSIONS TABLE - Configuration History
+-- ========================================
+-- Snapshot of every assistant configuration for diff and rollback
+
+CREATE TABLE public.assistant_versions (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to assistant and user (for RLS)
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Sequential version per assistant (1, 2, 3...)
+    version_number INTEGER NOT NULL,
+    
+    -- Snapshot data
+    configuration JSONB NOT NULL DEFAULT '{}', -- Form data as submitted
+    vapi_payload JSONB, -- Payload sent to VAPI (includes generated system prompt)
+    
+    -- What produced this version
+    change_source TEXT DEFAULT 'update' CHECK (change_source IN ('create', 'update', 'rollback')),
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE (assistant_id, version_number)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.assistant_versions ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see versions of their own assistants
+CREATE POLICY "Users can view own assistant versions" 
+ON public.assistant_versions FOR SELECT 
+USING (user_id = auth.uid());
+
+-- Policy: System can create versions
+CREATE POLICY "System can create assistant versions" 
+ON public.assistant_versions FOR INSERT 
+WITH CHECK (true); -- Allow system/service role to insert
+
+-- ========================================
+-- ASSISTANT TEMPLATES TABLE - User-Saved Presets
+-- ========================================
+-- Reusable assistant configurations (built-in presets live in template.service.js)
+
+CREATE TABLE public.assistant_templates (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to user profile
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Template details
+    name TEXT NOT NULL,
+    industry TEXT,
+    description TEXT,
+    
+    -- Assistant form data (personality, questions, evaluation...)
+    configuration JSONB NOT NULL DEFAULT '{}',
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.assistant_templates ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own templates
+CREATE POLICY "Users can view own templates" 
+ON public.assistant_templates FOR SELECT 
+USING (user_id = auth.uid());
+
+-- Policy: Users can insert their own templates
+CREATE POLICY "Users can create own templates" 
+ON public.assistant_templates FOR INSERT 
+WITH CHECK (user_id = auth.uid());
+
+-- Policy: Users can delete their own templates
+CREATE POLICY "Users can delete own templates" 
+ON public.assistant_templates FOR DELETE 
+USING (user_id = auth.uid());
+
+-- ========================================
+-- KNOWLEDGE BASE TABLES - Assistant Documents
+-- ========================================
+-- FAQs, price lists and policies attached to an assistant, split into searchable chunks
+
+CREATE TABLE public.knowledge_documents (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to assistant and user (for RLS)
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Document details
+    title TEXT NOT NULL,
+    format TEXT DEFAULT 'text' CHECK (format IN ('text', 'markdown', 'csv')),
+    content TEXT NOT NULL, -- Original document as uploaded
+    chunk_count INTEGER DEFAULT 0,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE public.knowledge_chunks (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to document and assistant (assistant_id avoids a join at retrieval time)
+    document_id UUID REFERENCES public.knowledge_documents(id) ON DELETE CASCADE NOT NULL,
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Chunk content (ranked with BM25 in knowledge-base.service.js)
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.knowledge_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.knowledge_chunks ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own documents
+CREATE POLICY "Users can view own knowledge documents" 
+ON public.knowledge_documents FOR SELECT 
+USING (user_id = auth.uid());
+
+-- Policy: Users can only see chunks of their own assistants
+CREATE POLICY "Users can view own knowledge chunks" 
+ON public.knowledge_chunks FOR SELECT 
+USING (assistant_id IN (SELECT id FROM public.assistants WHERE user_id = auth.uid()));
+
+-- ========================================
+-- TOOL INVOCATIONS TABLE - Function Call Log
+-- ========================================
+-- Every tool call VAPI routes through our webhook (custom tools and knowledge base search)
+
+CREATE TABLE public.tool_invocations (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to assistant and user (for RLS)
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- VAPI identifiers
+    vapi_call_id TEXT,
+    tool_call_id TEXT,
+    
+    -- Invocation details
+    tool_name TEXT NOT NULL,
+    arguments JSONB DEFAULT '{}',
+    result TEXT, -- Truncated result returned to the model
+    status TEXT NOT NULL CHECK (status IN ('success', 'error', 'timeout')),
+    error_message TEXT,
+    duration_ms INTEGER DEFAULT 0,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.tool_invocations ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own tool invocations
+CREATE POLICY "Users can view own tool invocations" 
+ON public.tool_invocations FOR SELECT 
+USING (user_id = auth.uid());
+
 -- ========================================
 -- PHONE NUMBERS TABLE - Phone Number Management
 -- ========================================
@@ -130,6 +306,9 @@ CREATE TABLE public.phone_numbers (
     -- Optional notes
     notes TEXT,
     
+    -- Business hours (overrides the assigned assistant's schedule)
+    business_hours JSONB, -- { timezone, weekly, holidays, after_hours }
+    
     -- Timestamps
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -158,6 +337,127 @@ CREATE POLICY "Users can delete own phone numbers"
 ON public.phone_numbers FOR DELETE 
 USING (user_id = auth.uid());
 
+-- ========================================
+-- ROUTING RULES TABLE - Inbound Call Routing
+-- ========================================
+-- Evaluated on VAPI assistant-request to pick the assistant and first message per call
+
+CREATE TABLE public.routing_rules (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to user (for RLS) and target assistant
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    phone_number_id UUID REFERENCES public.phone_numbers(id) ON DELETE CASCADE, -- NULL = all numbers
+    
+    -- Rule details
+    name TEXT NOT NULL,
+    priority INTEGER DEFAULT 0, -- Higher priority rules are checked first
+    conditions JSONB DEFAULT '{}', -- dialed_numbers, caller_numbers, caller_prefixes, caller_history, min_previous_calls, time_of_day
+    first_message TEXT, -- Optional greeting with {{caller_name}} style variables
+    is_active BOOLEAN DEFAULT true,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.routing_rules ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own routing rules
+CREATE POLICY "Users can view own routing rules" 
+ON public.routing_rules FOR SELECT 
+USING (user_id = auth.uid());
+
+-- ========================================
+-- CALL TAGS TABLE - Rule-Based Call Tagging
+-- ========================================
+-- User-defined tags applied to calls after each end-of-call-report
+
+CREATE TABLE public.call_tags (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to user (for RLS)
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Tag details
+    name TEXT NOT NULL, -- Stored on matching calls in call_logs.tags
+    description TEXT,
+    color TEXT, -- Hex color for the dashboard
+    match TEXT DEFAULT 'any' CHECK (match IN ('any', 'all')), -- Whether any or all rules must match
+    rules JSONB NOT NULL DEFAULT '[]', -- [{type: 'keywords'|'regex'|'structured_data', ...}]
+    is_active BOOLEAN DEFAULT true,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(user_id, name)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.call_tags ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own tags
+CREATE POLICY "Users can view own call tags" 
+ON public.call_tags FOR SELECT 
+USING (user_id = auth.uid());
+
+-- Users whose calls need re-tagging after a tag was created, edited or deleted (processed in the background)
+CREATE TABLE public.call_tag_retags (
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE PRIMARY KEY,
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security (service role only)
+ALTER TABLE public.call_tag_retags ENABLE ROW LEVEL SECURITY;
+
+-- ========================================
+-- CONTACTS TABLE - Caller CRM
+-- ========================================
+-- One row per caller number per user, updated from every end-of-call-report
+
+CREATE TABLE public.contacts (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to user (for RLS)
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Contact details
+    phone_number TEXT NOT NULL, -- E.164
+    name TEXT, -- From structured_data or edited manually
+    email TEXT,
+    fields JSONB DEFAULT '{}', -- Other answers merged from structured_data (latest wins)
+    edited_fields TEXT[] DEFAULT '{}', -- name/email edited by hand; calls only fill them when empty
+    
+    -- Manual CRM fields
+    notes TEXT,
+    tags TEXT[] DEFAULT '{}',
+    
+    -- Call history summary
+    call_count INTEGER DEFAULT 0,
+    first_call_at TIMESTAMP WITH TIME ZONE,
+    last_call_at TIMESTAMP WITH TIME ZONE,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(user_id, phone_number)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.contacts ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own contacts
+CREATE POLICY "Users can view own contacts" 
+ON public.contacts FOR SELECT 
+USING (user_id = auth.uid());
+
 -- ========================================
 -- CALL LOGS TABLE - Call Data & Analytics
 -- ========================================
@@ -175,18 +475,52 @@ CREATE TABLE public.call_logs (
     -- VAPI call identifier
     vapi_call_id TEXT UNIQUE,
     
-    -- Caller details
+    -- Caller details (the customer's number, also for outbound calls)
     caller_number TEXT,
+    direction TEXT DEFAULT 'inbound' CHECK (direction IN ('inbound', 'outbound')),
+    campaign_contact_id UUID, -- Set for campaign calls (see campaign_contacts)
+    contact_id UUID REFERENCES public.contacts(id) ON DELETE SET NULL,
     
     -- Call metrics
     duration_seconds INTEGER DEFAULT 0,
     status TEXT CHECK (status IN ('completed', 'failed', 'no-answer', 'busy', 'in_progress', 'cancelled')),
+    ended_reason TEXT, -- Raw VAPI endedReason (status is derived from it)
+    cost DECIMAL(10,4) DEFAULT 0, -- VAPI cost in USD
+    recording_url TEXT, -- Mono (combined) recording
+    stereo_recording_url TEXT, -- Customer and assistant on separate channels
+    recording_deleted_at TIMESTAMP WITH TIME ZONE, -- Set when the retention policy removed the recording
     
     -- Call content and analysis
-    transcript TEXT, -- Complete word-for-word conversation
+    transcript TEXT, -- Complete word-for-word conversation (derived from transcript_turns when present)
+    transcript_turns JSONB, -- Speaker turns: [{role, text, start, end, tool_calls, sentiment}], times in seconds from call start
     structured_data JSONB, -- Extracted information based on structured questions
     summary TEXT, -- AI-generated summary of discussion
     success_evaluation TEXT, -- Whether assistant achieved its objective
+    tags TEXT[] DEFAULT '{}', -- Names of matching call_tags (recomputed when tags change)
+    
+    -- Conversation metrics computed from transcript_turns (NULL when the call had no speech turns)
+    caller_talk_ratio DECIMAL(5,4), -- Caller's share of talk time (0-1)
+    longest_silence_seconds DECIMAL(8,2),
+    interruptions INTEGER, -- Turns that started while the other side was still talking
+    caller_wpm DECIMAL(6,1), -- Words per minute while talking
+    assistant_wpm DECIMAL(6,1),
+    sentiment_score DECIMAL(5,4), -- Lexicon sentiment of the caller's turns (-1 to 1)
+    sentiment TEXT CHECK (sentiment IN ('positive', 'neutral', 'negative')),
+    
+    -- Human handoff
+    transferred BOOLEAN DEFAULT false,
+    transfer_destination TEXT, -- Phone number or SIP URI the caller was sent to
+    transferred_at TIMESTAMP WITH TIME ZONE,
+    
+    -- Set once the call's time is counted against user_limits (outbound calls)
+    usage_recorded_at TIMESTAMP WITH TIME ZONE,
+    
+    -- Full-text search over transcript, summary and structured_data values (see search_call_logs)
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(transcript, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(summary, '')), 'B') ||
+        setweight(jsonb_to_tsvector('english', COALESCE(structured_data, '{}'::jsonb), '["string", "numeric"]'), 'C')
+    ) STORED,
     
     -- Timestamps
     started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -213,6 +547,80 @@ CREATE POLICY "System can update call logs"
 ON public.call_logs FOR UPDATE 
 USING (true); -- Allow system/service role to update from webhooks
 
+-- ========================================
+-- CAMPAIGNS TABLES - Outbound Dialer
+-- ========================================
+-- Outbound campaigns and their contact lists (imported from CSV)
+
+CREATE TABLE public.campaigns (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to user (for RLS), assistant and caller ID
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    phone_number_id UUID REFERENCES public.phone_numbers(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Campaign settings
+    name TEXT NOT NULL,
+    calling_window JSONB, -- { start, end, timezone, days }
+    max_concurrent_calls INTEGER DEFAULT 1,
+    max_attempts INTEGER DEFAULT 3,
+    retry_delay_minutes INTEGER DEFAULT 60,
+    
+    -- Campaign state
+    status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'paused', 'completed', 'cancelled')),
+    status_reason TEXT, -- Why the dialer paused the campaign
+    
+    -- Timestamps
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE public.campaign_contacts (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to campaign and user (for RLS)
+    campaign_id UUID REFERENCES public.campaigns(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Contact details
+    phone_number TEXT NOT NULL, -- E.164
+    name TEXT,
+    variables JSONB DEFAULT '{}', -- Extra CSV columns, passed to the assistant as variables
+    
+    -- Dialing state
+    status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'dialing', 'completed', 'no-answer', 'retry', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_ended_reason TEXT,
+    vapi_call_id TEXT,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(campaign_id, phone_number)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.campaign_contacts ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own campaigns
+CREATE POLICY "Users can view own campaigns" 
+ON public.campaigns FOR SELECT 
+USING (user_id = auth.uid());
+
+-- Policy: Users can only see their own campaign contacts
+CREATE POLICY "Users can view own campaign contacts" 
+ON public.campaign_contacts FOR SELECT 
+USING (user_id = auth.uid());
+
 -- ========================================
 -- USER LIMITS TABLE - Usage Tracking
 -- ========================================
@@ -303,13 +711,13 @@ WITH CHECK (true); -- Allow system/service role to insert
 -- ========================================
 -- CALL ANALYTICS TABLE - Dashboard Data
 -- ========================================
--- Stores aggregated analytics data for dashboard
+-- Period rollups built from call_logs by the rollup job (never written per call)
 
 CREATE TABLE public.call_analytics (
     -- Primary key
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     
-    -- Links to user and assistant
+    -- Links to user and assistant (assistant_id NULL = totals across all assistants)
     user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
     assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE,
     
@@ -324,13 +732,22 @@ CREATE TABLE public.call_analytics (
     failed_calls INTEGER DEFAULT 0,
     total_duration_seconds INTEGER DEFAULT 0,
     average_duration_seconds INTEGER DEFAULT 0,
+    total_cost DECIMAL(12,4) DEFAULT 0,
+    transferred_calls INTEGER DEFAULT 0,
+    status_counts JSONB DEFAULT '{}', -- { completed: 12, failed: 1, ... }
+    hourly_counts JSONB DEFAULT '[]', -- 24 call counts by UTC hour of day
+    tag_counts JSONB DEFAULT '{}', -- { refund: 4, complaint: 1, ... }
+    conversation_metrics JSONB DEFAULT '{}', -- Sums over calls with metrics: { calls, caller_talk_ratio, sentiment_score, ..., sentiment_counts }
     
     -- Success metrics
     conversion_rate DECIMAL(5,2) DEFAULT 0.0, -- Percentage of successful calls
     
     -- Timestamps
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- One row per user/assistant/period (rollups upsert on this)
+    UNIQUE NULLS NOT DISTINCT (user_id, assistant_id, period_type, period_start)
 );
 
 -- Enable Row Level Security
@@ -346,6 +763,58 @@ CREATE POLICY "System can manage analytics"
 ON public.call_analytics FOR ALL 
 USING (true); -- Allow system/service role to manage
 
+-- ========================================
+-- WEBHOOK EVENTS TABLE - VAPI Event Inbox
+-- ========================================
+-- Every raw VAPI webhook, stored before processing so failures can be retried and replayed
+
+CREATE TABLE public.webhook_events (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Delivery details
+    event_id TEXT UNIQUE NOT NULL, -- Delivery id (header or hash of the raw body)
+    event_type TEXT NOT NULL,
+    vapi_call_id TEXT,
+    payload JSONB NOT NULL,
+    
+    -- Processing state (dead = gave up after max attempts, replay from the admin API)
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'dead')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security (no user policies: service role only)
+ALTER TABLE public.webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- ========================================
+-- SCHEDULED JOBS TABLE - Background Job State
+-- ========================================
+-- Last run of each in-process scheduled job, so missed runs catch up after a restart
+
+CREATE TABLE public.scheduled_jobs (
+    -- Job name (e.g. 'analytics-rollup')
+    name TEXT PRIMARY KEY,
+    
+    -- Run state
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_success_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    last_result JSONB,
+    
+    -- Timestamps
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security (no user policies: service role only)
+ALTER TABLE public.scheduled_jobs ENABLE ROW LEVEL SECURITY;
+
 -- ========================================
 -- PERFORMANCE INDEXES
 -- ========================================
@@ -358,6 +827,36 @@ CREATE INDEX idx_profiles_demo_expires ON public.profiles(demo_expires_at) WHERE
 CREATE INDEX idx_assistants_user_id ON public.assistants(user_id);
 CREATE INDEX idx_assistants_vapi_id ON public.assistants(vapi_assistant_id);
 
+-- Assistant versions indexes
+CREATE INDEX idx_assistant_versions_assistant_id ON public.assistant_versions(assistant_id, version_number);
+
+-- Assistant templates indexes
+CREATE INDEX idx_assistant_templates_user_id ON public.assistant_templates(user_id);
+
+-- Knowledge base indexes
+CREATE INDEX idx_knowledge_documents_assistant_id ON public.knowledge_documents(assistant_id);
+CREATE INDEX idx_knowledge_chunks_assistant_id ON public.knowledge_chunks(assistant_id, chunk_index);
+CREATE INDEX idx_knowledge_chunks_document_id ON public.knowledge_chunks(document_id);
+
+-- Tool invocations indexes
+CREATE INDEX idx_tool_invocations_assistant_id ON public.tool_invocations(assistant_id, created_at DESC);
+CREATE INDEX idx_tool_invocations_vapi_call_id ON public.tool_invocations(vapi_call_id);
+
+-- Routing rules indexes
+CREATE INDEX idx_routing_rules_user_id ON public.routing_rules(user_id, priority DESC);
+
+-- Campaign indexes
+CREATE INDEX idx_campaigns_user_id ON public.campaigns(user_id);
+CREATE INDEX idx_campaigns_status ON public.campaigns(status);
+CREATE INDEX idx_campaign_contacts_dialer ON public.campaign_contacts(campaign_id, status, next_attempt_at);
+
+-- Call tags indexes
+CREATE INDEX idx_call_tags_user_id ON public.call_tags(user_id);
+
+-- Contacts indexes
+CREATE INDEX idx_contacts_user_last_call ON public.contacts(user_id, last_call_at DESC);
+CREATE INDEX idx_contacts_tags ON public.contacts USING GIN (tags);
+
 -- Phone numbers indexes
 CREATE INDEX idx_phone_numbers_user_id ON public.phone_numbers(user_id);
 CREATE INDEX idx_phone_numbers_assistant_id ON public.phone_numbers(assigned_assistant_id);
@@ -369,7 +868,13 @@ CREATE INDEX idx_call_logs_assistant_id ON public.call_logs(assistant_id);
 CREATE INDEX idx_call_logs_phone_number_id ON public.call_logs(phone_number_id);
 CREATE INDEX idx_call_logs_started_at ON public.call_logs(started_at);
 CREATE INDEX idx_call_logs_vapi_call_id ON public.call_logs(vapi_call_id);
+CREATE INDEX idx_call_logs_contact_id ON public.call_logs(contact_id, started_at DESC);
+CREATE INDEX idx_call_logs_user_caller ON public.call_logs(user_id, caller_number, started_at DESC);
+CREATE INDEX idx_call_logs_updated_at ON public.call_logs(updated_at);
 CREATE INDEX idx_call_logs_user_status_duration ON public.call_logs(user_id, status, duration_seconds);
+CREATE INDEX idx_call_logs_search ON public.call_logs USING GIN (search_vector);
+CREATE INDEX idx_call_logs_tags ON public.call_logs USING GIN (tags);
+CREATE INDEX idx_call_logs_user_started_id ON public.call_logs(user_id, started_at DESC, id DESC); -- Call log cursor pagination
 
 -- User limits indexes
 CREATE INDEX idx_user_limits_user_id ON public.user_limits(user_id);
@@ -385,6 +890,10 @@ CREATE INDEX idx_call_analytics_user_id ON public.call_analytics(user_id);
 CREATE INDEX idx_call_analytics_assistant_id ON public.call_analytics(assistant_id);
 CREATE INDEX idx_call_analytics_period ON public.call_analytics(period_type, period_start);
 
+-- Webhook events indexes
+CREATE INDEX idx_webhook_events_queue ON public.webhook_events(status, next_attempt_at, created_at);
+CREATE INDEX idx_webhook_events_vapi_call_id ON public.webhook_events(vapi_call_id);
+
 -- ========================================
 -- DATABASE FUNCTIONS
 -- ========================================
@@ -444,13 +953,23 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 -- Update assistant call duration when call ends
 CREATE OR REPLACE FUNCTION public.update_assistant_call_duration()
 RETURNS TRIGGER AS $$
+DECLARE
+    duration_change INTEGER := 0;
 BEGIN
-    -- Only update when call ends (status changes to completed)
-    IF NEW.status = 'completed' AND NEW.duration_seconds IS NOT NULL THEN
+    -- Count completed calls once: later updates (report, contact link) only add the difference
+    IF NEW.status = 'completed' THEN
+        duration_change := COALESCE(NEW.duration_seconds, 0);
+    END IF;
+    
+    IF TG_OP = 'UPDATE' AND OLD.status = 'completed' THEN
+        duration_change := duration_change - COALESCE(OLD.duration_seconds, 0);
+    END IF;
+    
+    IF duration_change <> 0 THEN
         -- Add duration to assistant's total
         UPDATE public.assistants 
         SET 
-            total_call_duration_seconds = total_call_duration_seconds + NEW.duration_seconds,
+            total_call_duration_seconds = total_call_duration_seconds + duration_change,
             updated_at = NOW()
         WHERE id = NEW.assistant_id;
     END IF;
@@ -459,6 +978,15 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Keep call_logs.updated_at current (the rollup job uses it to find late changes)
+CREATE OR REPLACE FUNCTION public.touch_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Get user's total call usage (for demo limits)
 CREATE OR REPLACE FUNCTION public.get_user_call_usage(user_uuid UUID)
 RETURNS TABLE(
@@ -482,6 +1010,83 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Full-text search over a user's calls, best match first
+-- search_query uses web search syntax: "exact phrase", OR, -excluded
+CREATE OR REPLACE FUNCTION public.search_call_logs(
+    user_uuid UUID,
+    search_query TEXT,
+    assistant_uuid UUID DEFAULT NULL,
+    phone_number_uuid UUID DEFAULT NULL,
+    status_filter TEXT[] DEFAULT NULL,
+    started_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    started_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    result_limit INTEGER DEFAULT 20,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE(
+    id UUID,
+    assistant_id UUID,
+    phone_number_id UUID,
+    caller_number TEXT,
+    direction TEXT,
+    status TEXT,
+    duration_seconds INTEGER,
+    started_at TIMESTAMP WITH TIME ZONE,
+    rank REAL,
+    transcript_snippet TEXT,
+    summary_snippet TEXT,
+    structured_data_snippet TEXT,
+    total_count BIGINT
+) AS $$
+    WITH search AS (
+        SELECT websearch_to_tsquery('english', search_query) AS query
+    ),
+    matches AS (
+        SELECT
+            c.*,
+            ts_rank_cd(c.search_vector, search.query) AS match_rank,
+            COUNT(*) OVER () AS match_count
+        FROM public.call_logs c, search
+        WHERE c.user_id = user_uuid
+        AND c.search_vector @@ search.query
+        AND (assistant_uuid IS NULL OR c.assistant_id = assistant_uuid)
+        AND (phone_number_uuid IS NULL OR c.phone_number_id = phone_number_uuid)
+        AND (status_filter IS NULL OR c.status = ANY(status_filter))
+        AND (started_from IS NULL OR c.started_at >= started_from)
+        AND (started_to IS NULL OR c.started_at < started_to)
+        ORDER BY match_rank DESC, c.started_at DESC
+        LIMIT result_limit OFFSET result_offset
+    )
+    -- Snippets are only built for the returned page
+    SELECT
+        m.id,
+        m.assistant_id,
+        m.phone_number_id,
+        m.caller_number,
+        m.direction,
+        m.status,
+        m.duration_seconds,
+        m.started_at,
+        m.match_rank,
+        CASE WHEN to_tsvector('english', COALESCE(m.transcript, '')) @@ search.query
+            THEN ts_headline('english', m.transcript, search.query,
+                'StartSel=<mark>, StopSel=</mark>, MaxFragments=3, MaxWords=25, MinWords=8, FragmentDelimiter=" … "')
+        END,
+        CASE WHEN to_tsvector('english', COALESCE(m.summary, '')) @@ search.query
+            THEN ts_headline('english', m.summary, search.query,
+                'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "')
+        END,
+        CASE WHEN jsonb_to_tsvector('english', COALESCE(m.structured_data, '{}'::jsonb), '["string", "numeric"]') @@ search.query
+            THEN ts_headline('english',
+                (SELECT string_agg(field.key || ': ' || field.value, '; ') FROM jsonb_each_text(m.structured_data) AS field),
+                search.query,
+                'StartSel=<mark>, StopSel=</mark>, HighlightAll=true')
+        END,
+        m.match_count
+    FROM matches m, search
+    ORDER BY m.match_rank DESC, m.started_at DESC;
+$$ LANGUAGE sql STABLE;
+
 -- Check if user can create assistant (demo limits)
 CREATE OR REPLACE FUNCTION public.check_user_assistant_limit(user_uuid UUID)
 RETURNS TABLE(
@@ -552,6 +1157,20 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Add call time to a user's usage in a single statement, so calls ending at the same time all count
+CREATE OR REPLACE FUNCTION public.add_user_call_time(user_uuid UUID, call_seconds INTEGER)
+RETURNS TABLE(
+    total_call_seconds INTEGER,
+    max_call_seconds INTEGER
+) AS $$
+    UPDATE public.user_limits
+    SET 
+        used_call_time_seconds = COALESCE(used_call_time_seconds, 0) + call_seconds,
+        updated_at = NOW()
+    WHERE user_id = user_uuid
+    RETURNING used_call_time_seconds, max_call_time_seconds;
+$$ LANGUAGE sql SECURITY DEFINER;
+
 -- Clean up expired demo accounts
 CREATE OR REPLACE FUNCTION public.cleanup_expired_demos()
 RETURNS INTEGER AS $$
@@ -610,6 +1229,12 @@ CREATE TRIGGER update_assistant_on_call_end
     FOR EACH ROW 
     EXECUTE FUNCTION public.update_assistant_call_duration();
 
+-- Touch call log updated_at on every change
+CREATE TRIGGER touch_call_logs_updated_at
+    BEFORE UPDATE ON public.call_logs
+    FOR EACH ROW 
+    EXECUTE FUNCTION public.touch_updated_at();
+
 -- ========================================
 -- PERMISSIONS
 -- ========================================
@@ -621,6 +1246,8 @@ GRANT EXECUTE ON FUNCTION public.check_user_assistant_limit(UUID) TO authenticat
 GRANT EXECUTE ON FUNCTION public.sync_user_usage(UUID) TO authenticated;
 GRANT EXECUTE ON FUNCTION public.sync_user_usage(UUID) TO service_role;
 GRANT EXECUTE ON FUNCTION public.cleanup_expired_demos() TO service_role;
+GRANT EXECUTE ON FUNCTION public.add_user_call_time(UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.search_call_logs(UUID, TEXT, UUID, UUID, TEXT[], TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, INTEGER, INTEGER) TO service_role;
 
 -- ========================================
 -- SETUP COMPLETE! ✅
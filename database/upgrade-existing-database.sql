@@ -0,0 +1,774 @@
+-- ========================================
+-- VOICE MATRIX AI - UPGRADE EXISTING DATABASE
+-- ========================================
+-- Brings a database created from an older complete-schema.sql up to date
+-- Safe to run more than once (every statement checks what already exists)
+--
+-- Run this in Supabase SQL Editor after each update on databases set up before it;
+-- a fresh install only needs complete-schema.sql
+-- ========================================
+
+-- ========================================
+-- ASSISTANT VERSIONS TABLE - Configuration History
+-- ========================================
+-- Snapshot of every assistant configuration for diff and rollback
+
+CREATE TABLE IF NOT EXISTS public.assistant_versions (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to assistant and user (for RLS)
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Sequential version per assistant (1, 2, 3...)
+    version_number INTEGER NOT NULL,
+    
+    -- Snapshot data
+    configuration JSONB NOT NULL DEFAULT '{}', -- Form data as submitted
+    vapi_payload JSONB, -- Payload sent to VAPI (includes generated system prompt)
+    
+    -- What produced this version
+    change_source TEXT DEFAULT 'update' CHECK (change_source IN ('create', 'update', 'rollback')),
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE (assistant_id, version_number)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.assistant_versions ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see versions of their own assistants
+DROP POLICY IF EXISTS "Users can view own assistant versions" ON public.assistant_versions;
+CREATE POLICY "Users can view own assistant versions" 
+ON public.assistant_versions FOR SELECT 
+USING (user_id = auth.uid());
+
+-- Policy: System can create versions
+DROP POLICY IF EXISTS "System can create assistant versions" ON public.assistant_versions;
+CREATE POLICY "System can create assistant versions" 
+ON public.assistant_versions FOR INSERT 
+WITH CHECK (true); -- Allow system/service role to insert
+
+-- ========================================
+-- ASSISTANT TEMPLATES TABLE - User-Saved Presets
+-- ========================================
+-- Reusable assistant configurations (built-in presets live in template.service.js)
+
+CREATE TABLE IF NOT EXISTS public.assistant_templates (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to user profile
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Template details
+    name TEXT NOT NULL,
+    industry TEXT,
+    description TEXT,
+    
+    -- Assistant form data (personality, questions, evaluation...)
+    configuration JSONB NOT NULL DEFAULT '{}',
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.assistant_templates ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own templates
+DROP POLICY IF EXISTS "Users can view own templates" ON public.assistant_templates;
+CREATE POLICY "Users can view own templates" 
+ON public.assistant_templates FOR SELECT 
+USING (user_id = auth.uid());
+
+-- Policy: Users can insert their own templates
+DROP POLICY IF EXISTS "Users can create own templates" ON public.assistant_templates;
+CREATE POLICY "Users can create own templates" 
+ON public.assistant_templates FOR INSERT 
+WITH CHECK (user_id = auth.uid());
+
+-- Policy: Users can delete their own templates
+DROP POLICY IF EXISTS "Users can delete own templates" ON public.assistant_templates;
+CREATE POLICY "Users can delete own templates" 
+ON public.assistant_templates FOR DELETE 
+USING (user_id = auth.uid());
+
+-- ========================================
+-- KNOWLEDGE BASE TABLES - Assistant Documents
+-- ========================================
+-- FAQs, price lists and policies attached to an assistant, split into searchable chunks
+
+CREATE TABLE IF NOT EXISTS public.knowledge_documents (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to assistant and user (for RLS)
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Document details
+    title TEXT NOT NULL,
+    format TEXT DEFAULT 'text' CHECK (format IN ('text', 'markdown', 'csv')),
+    content TEXT NOT NULL, -- Original document as uploaded
+    chunk_count INTEGER DEFAULT 0,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.knowledge_chunks (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to document and assistant (assistant_id avoids a join at retrieval time)
+    document_id UUID REFERENCES public.knowledge_documents(id) ON DELETE CASCADE NOT NULL,
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Chunk content (ranked with BM25 in knowledge-base.service.js)
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.knowledge_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.knowledge_chunks ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own documents
+DROP POLICY IF EXISTS "Users can view own knowledge documents" ON public.knowledge_documents;
+CREATE POLICY "Users can view own knowledge documents" 
+ON public.knowledge_documents FOR SELECT 
+USING (user_id = auth.uid());
+
+-- Policy: Users can only see chunks of their own assistants
+DROP POLICY IF EXISTS "Users can view own knowledge chunks" ON public.knowledge_chunks;
+CREATE POLICY "Users can view own knowledge chunks" 
+ON public.knowledge_chunks FOR SELECT 
+USING (assistant_id IN (SELECT id FROM public.assistants WHERE user_id = auth.uid()));
+
+-- ========================================
+-- TOOL INVOCATIONS TABLE - Function Call Log
+-- ========================================
+-- Every tool call VAPI routes through our webhook (custom tools and knowledge base search)
+
+CREATE TABLE IF NOT EXISTS public.tool_invocations (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to assistant and user (for RLS)
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- VAPI identifiers
+    vapi_call_id TEXT,
+    tool_call_id TEXT,
+    
+    -- Invocation details
+    tool_name TEXT NOT NULL,
+    arguments JSONB DEFAULT '{}',
+    result TEXT, -- Truncated result returned to the model
+    status TEXT NOT NULL CHECK (status IN ('success', 'error', 'timeout')),
+    error_message TEXT,
+    duration_ms INTEGER DEFAULT 0,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.tool_invocations ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own tool invocations
+DROP POLICY IF EXISTS "Users can view own tool invocations" ON public.tool_invocations;
+CREATE POLICY "Users can view own tool invocations" 
+ON public.tool_invocations FOR SELECT 
+USING (user_id = auth.uid());
+
+-- ========================================
+-- ROUTING RULES TABLE - Inbound Call Routing
+-- ========================================
+-- Evaluated on VAPI assistant-request to pick the assistant and first message per call
+
+CREATE TABLE IF NOT EXISTS public.routing_rules (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to user (for RLS) and target assistant
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    phone_number_id UUID REFERENCES public.phone_numbers(id) ON DELETE CASCADE, -- NULL = all numbers
+    
+    -- Rule details
+    name TEXT NOT NULL,
+    priority INTEGER DEFAULT 0, -- Higher priority rules are checked first
+    conditions JSONB DEFAULT '{}', -- dialed_numbers, caller_numbers, caller_prefixes, caller_history, min_previous_calls, time_of_day
+    first_message TEXT, -- Optional greeting with {{caller_name}} style variables
+    is_active BOOLEAN DEFAULT true,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.routing_rules ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own routing rules
+DROP POLICY IF EXISTS "Users can view own routing rules" ON public.routing_rules;
+CREATE POLICY "Users can view own routing rules" 
+ON public.routing_rules FOR SELECT 
+USING (user_id = auth.uid());
+
+-- ========================================
+-- CALL TAGS TABLE - Rule-Based Call Tagging
+-- ========================================
+-- User-defined tags applied to calls after each end-of-call-report
+
+CREATE TABLE IF NOT EXISTS public.call_tags (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to user (for RLS)
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Tag details
+    name TEXT NOT NULL, -- Stored on matching calls in call_logs.tags
+    description TEXT,
+    color TEXT, -- Hex color for the dashboard
+    match TEXT DEFAULT 'any' CHECK (match IN ('any', 'all')), -- Whether any or all rules must match
+    rules JSONB NOT NULL DEFAULT '[]', -- [{type: 'keywords'|'regex'|'structured_data', ...}]
+    is_active BOOLEAN DEFAULT true,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(user_id, name)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.call_tags ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own tags
+DROP POLICY IF EXISTS "Users can view own call tags" ON public.call_tags;
+CREATE POLICY "Users can view own call tags" 
+ON public.call_tags FOR SELECT 
+USING (user_id = auth.uid());
+
+-- Users whose calls need re-tagging after a tag was created, edited or deleted (processed in the background)
+CREATE TABLE IF NOT EXISTS public.call_tag_retags (
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE PRIMARY KEY,
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security (service role only)
+ALTER TABLE public.call_tag_retags ENABLE ROW LEVEL SECURITY;
+
+-- ========================================
+-- CONTACTS TABLE - Caller CRM
+-- ========================================
+-- One row per caller number per user, updated from every end-of-call-report
+
+CREATE TABLE IF NOT EXISTS public.contacts (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to user (for RLS)
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Contact details
+    phone_number TEXT NOT NULL, -- E.164
+    name TEXT, -- From structured_data or edited manually
+    email TEXT,
+    fields JSONB DEFAULT '{}', -- Other answers merged from structured_data (latest wins)
+    edited_fields TEXT[] DEFAULT '{}', -- name/email edited by hand; calls only fill them when empty
+    
+    -- Manual CRM fields
+    notes TEXT,
+    tags TEXT[] DEFAULT '{}',
+    
+    -- Call history summary
+    call_count INTEGER DEFAULT 0,
+    first_call_at TIMESTAMP WITH TIME ZONE,
+    last_call_at TIMESTAMP WITH TIME ZONE,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(user_id, phone_number)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.contacts ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own contacts
+DROP POLICY IF EXISTS "Users can view own contacts" ON public.contacts;
+CREATE POLICY "Users can view own contacts" 
+ON public.contacts FOR SELECT 
+USING (user_id = auth.uid());
+
+-- ========================================
+-- CAMPAIGNS TABLES - Outbound Dialer
+-- ========================================
+-- Outbound campaigns and their contact lists (imported from CSV)
+
+CREATE TABLE IF NOT EXISTS public.campaigns (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to user (for RLS), assistant and caller ID
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    assistant_id UUID REFERENCES public.assistants(id) ON DELETE CASCADE NOT NULL,
+    phone_number_id UUID REFERENCES public.phone_numbers(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Campaign settings
+    name TEXT NOT NULL,
+    calling_window JSONB, -- { start, end, timezone, days }
+    max_concurrent_calls INTEGER DEFAULT 1,
+    max_attempts INTEGER DEFAULT 3,
+    retry_delay_minutes INTEGER DEFAULT 60,
+    
+    -- Campaign state
+    status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'paused', 'completed', 'cancelled')),
+    status_reason TEXT, -- Why the dialer paused the campaign
+    
+    -- Timestamps
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.campaign_contacts (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Links to campaign and user (for RLS)
+    campaign_id UUID REFERENCES public.campaigns(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    
+    -- Contact details
+    phone_number TEXT NOT NULL, -- E.164
+    name TEXT,
+    variables JSONB DEFAULT '{}', -- Extra CSV columns, passed to the assistant as variables
+    
+    -- Dialing state
+    status TEXT DEFAULT 'queued' CHECK (status IN ('queued', 'dialing', 'completed', 'no-answer', 'retry', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_ended_reason TEXT,
+    vapi_call_id TEXT,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(campaign_id, phone_number)
+);
+
+-- Enable Row Level Security
+ALTER TABLE public.campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.campaign_contacts ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see their own campaigns
+DROP POLICY IF EXISTS "Users can view own campaigns" ON public.campaigns;
+CREATE POLICY "Users can view own campaigns" 
+ON public.campaigns FOR SELECT 
+USING (user_id = auth.uid());
+
+-- Policy: Users can only see their own campaign contacts
+DROP POLICY IF EXISTS "Users can view own campaign contacts" ON public.campaign_contacts;
+CREATE POLICY "Users can view own campaign contacts" 
+ON public.campaign_contacts FOR SELECT 
+USING (user_id = auth.uid());
+
+-- ========================================
+-- WEBHOOK EVENTS TABLE - VAPI Event Inbox
+-- ========================================
+-- Every raw VAPI webhook, stored before processing so failures can be retried and replayed
+
+CREATE TABLE IF NOT EXISTS public.webhook_events (
+    -- Primary key
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    
+    -- Delivery details
+    event_id TEXT UNIQUE NOT NULL, -- Delivery id (header or hash of the raw body)
+    event_type TEXT NOT NULL,
+    vapi_call_id TEXT,
+    payload JSONB NOT NULL,
+    
+    -- Processing state (dead = gave up after max attempts, replay from the admin API)
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'dead')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security (no user policies: service role only)
+ALTER TABLE public.webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- ========================================
+-- SCHEDULED JOBS TABLE - Background Job State
+-- ========================================
+-- Last run of each in-process scheduled job, so missed runs catch up after a restart
+
+CREATE TABLE IF NOT EXISTS public.scheduled_jobs (
+    -- Job name (e.g. 'analytics-rollup')
+    name TEXT PRIMARY KEY,
+    
+    -- Run state
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_success_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    last_result JSONB,
+    
+    -- Timestamps
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security (no user policies: service role only)
+ALTER TABLE public.scheduled_jobs ENABLE ROW LEVEL SECURITY;
+
+-- ========================================
+-- NEW COLUMNS ON EXISTING TABLES
+-- ========================================
+
+-- Phone numbers: business hours (overrides the assigned assistant's schedule)
+ALTER TABLE public.phone_numbers ADD COLUMN IF NOT EXISTS business_hours JSONB;
+
+-- Contacts created before hand edits were tracked
+ALTER TABLE public.contacts ADD COLUMN IF NOT EXISTS edited_fields TEXT[] DEFAULT '{}';
+
+-- Call logs: direction, contact, cost, recordings, transcript turns, tags, metrics, transfers and search
+ALTER TABLE public.call_logs
+    ADD COLUMN IF NOT EXISTS direction TEXT DEFAULT 'inbound' CHECK (direction IN ('inbound', 'outbound')),
+    ADD COLUMN IF NOT EXISTS campaign_contact_id UUID,
+    ADD COLUMN IF NOT EXISTS contact_id UUID REFERENCES public.contacts(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS ended_reason TEXT,
+    ADD COLUMN IF NOT EXISTS cost DECIMAL(10,4) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS recording_url TEXT,
+    ADD COLUMN IF NOT EXISTS stereo_recording_url TEXT,
+    ADD COLUMN IF NOT EXISTS recording_deleted_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS transcript_turns JSONB,
+    ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS caller_talk_ratio DECIMAL(5,4),
+    ADD COLUMN IF NOT EXISTS longest_silence_seconds DECIMAL(8,2),
+    ADD COLUMN IF NOT EXISTS interruptions INTEGER,
+    ADD COLUMN IF NOT EXISTS caller_wpm DECIMAL(6,1),
+    ADD COLUMN IF NOT EXISTS assistant_wpm DECIMAL(6,1),
+    ADD COLUMN IF NOT EXISTS sentiment_score DECIMAL(5,4),
+    ADD COLUMN IF NOT EXISTS sentiment TEXT CHECK (sentiment IN ('positive', 'neutral', 'negative')),
+    ADD COLUMN IF NOT EXISTS transferred BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS transfer_destination TEXT,
+    ADD COLUMN IF NOT EXISTS transferred_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS usage_recorded_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(transcript, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(summary, '')), 'B') ||
+        setweight(jsonb_to_tsvector('english', COALESCE(structured_data, '{}'::jsonb), '["string", "numeric"]'), 'C')
+    ) STORED;
+
+-- Call analytics: rollup totals
+ALTER TABLE public.call_analytics
+    ADD COLUMN IF NOT EXISTS total_cost DECIMAL(12,4) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS transferred_calls INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS status_counts JSONB DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS hourly_counts JSONB DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS tag_counts JSONB DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS conversation_metrics JSONB DEFAULT '{}';
+
+-- Call analytics: one row per user/assistant/period (keeps the newest row of any duplicates; the rollup job rebuilds them)
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.call_analytics'::regclass AND contype = 'u'
+    ) THEN
+        DELETE FROM public.call_analytics older
+        USING public.call_analytics newer
+        WHERE older.user_id = newer.user_id
+        AND older.assistant_id IS NOT DISTINCT FROM newer.assistant_id
+        AND older.period_type IS NOT DISTINCT FROM newer.period_type
+        AND older.period_start = newer.period_start
+        AND (COALESCE(older.updated_at, '-infinity'), older.id) < (COALESCE(newer.updated_at, '-infinity'), newer.id);
+        
+        ALTER TABLE public.call_analytics
+        ADD CONSTRAINT call_analytics_user_id_assistant_id_period_type_period_star_key UNIQUE NULLS NOT DISTINCT (user_id, assistant_id, period_type, period_start);
+    END IF;
+END $$;
+
+-- ========================================
+-- PERFORMANCE INDEXES
+-- ========================================
+
+CREATE INDEX IF NOT EXISTS idx_assistant_versions_assistant_id ON public.assistant_versions(assistant_id, version_number);
+CREATE INDEX IF NOT EXISTS idx_assistant_templates_user_id ON public.assistant_templates(user_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_documents_assistant_id ON public.knowledge_documents(assistant_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_assistant_id ON public.knowledge_chunks(assistant_id, chunk_index);
+CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_document_id ON public.knowledge_chunks(document_id);
+CREATE INDEX IF NOT EXISTS idx_tool_invocations_assistant_id ON public.tool_invocations(assistant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tool_invocations_vapi_call_id ON public.tool_invocations(vapi_call_id);
+CREATE INDEX IF NOT EXISTS idx_routing_rules_user_id ON public.routing_rules(user_id, priority DESC);
+CREATE INDEX IF NOT EXISTS idx_campaigns_user_id ON public.campaigns(user_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON public.campaigns(status);
+CREATE INDEX IF NOT EXISTS idx_campaign_contacts_dialer ON public.campaign_contacts(campaign_id, status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_call_tags_user_id ON public.call_tags(user_id);
+CREATE INDEX IF NOT EXISTS idx_contacts_user_last_call ON public.contacts(user_id, last_call_at DESC);
+CREATE INDEX IF NOT EXISTS idx_contacts_tags ON public.contacts USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_call_logs_contact_id ON public.call_logs(contact_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_call_logs_user_caller ON public.call_logs(user_id, caller_number, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_call_logs_updated_at ON public.call_logs(updated_at);
+CREATE INDEX IF NOT EXISTS idx_call_logs_search ON public.call_logs USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_call_logs_tags ON public.call_logs USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_call_logs_user_started_id ON public.call_logs(user_id, started_at DESC, id DESC); -- Call log cursor pagination
+CREATE INDEX IF NOT EXISTS idx_webhook_events_queue ON public.webhook_events(status, next_attempt_at, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_vapi_call_id ON public.webhook_events(vapi_call_id);
+
+-- ========================================
+-- DATABASE FUNCTIONS
+-- ========================================
+
+-- Update assistant call duration when call ends
+CREATE OR REPLACE FUNCTION public.update_assistant_call_duration()
+RETURNS TRIGGER AS $$
+DECLARE
+    duration_change INTEGER := 0;
+BEGIN
+    -- Count completed calls once: later updates (report, contact link) only add the difference
+    IF NEW.status = 'completed' THEN
+        duration_change := COALESCE(NEW.duration_seconds, 0);
+    END IF;
+    
+    IF TG_OP = 'UPDATE' AND OLD.status = 'completed' THEN
+        duration_change := duration_change - COALESCE(OLD.duration_seconds, 0);
+    END IF;
+    
+    IF duration_change <> 0 THEN
+        -- Add duration to assistant's total
+        UPDATE public.assistants 
+        SET 
+            total_call_duration_seconds = total_call_duration_seconds + duration_change,
+            updated_at = NOW()
+        WHERE id = NEW.assistant_id;
+    END IF;
+    
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Add call time to a user's usage in a single statement, so calls ending at the same time all count
+CREATE OR REPLACE FUNCTION public.add_user_call_time(user_uuid UUID, call_seconds INTEGER)
+RETURNS TABLE(
+    total_call_seconds INTEGER,
+    max_call_seconds INTEGER
+) AS $$
+    UPDATE public.user_limits
+    SET 
+        used_call_time_seconds = COALESCE(used_call_time_seconds, 0) + call_seconds,
+        updated_at = NOW()
+    WHERE user_id = user_uuid
+    RETURNING used_call_time_seconds, max_call_time_seconds;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Keep call_logs.updated_at current (the rollup job uses it to find late changes)
+CREATE OR REPLACE FUNCTION public.touch_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at := NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Full-text search over a user's calls, best match first
+-- search_query uses web search syntax: "exact phrase", OR, -excluded
+CREATE OR REPLACE FUNCTION public.search_call_logs(
+    user_uuid UUID,
+    search_query TEXT,
+    assistant_uuid UUID DEFAULT NULL,
+    phone_number_uuid UUID DEFAULT NULL,
+    status_filter TEXT[] DEFAULT NULL,
+    started_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    started_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    result_limit INTEGER DEFAULT 20,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE(
+    id UUID,
+    assistant_id UUID,
+    phone_number_id UUID,
+    caller_number TEXT,
+    direction TEXT,
+    status TEXT,
+    duration_seconds INTEGER,
+    started_at TIMESTAMP WITH TIME ZONE,
+    rank REAL,
+    transcript_snippet TEXT,
+    summary_snippet TEXT,
+    structured_data_snippet TEXT,
+    total_count BIGINT
+) AS $$
+    WITH search AS (
+        SELECT websearch_to_tsquery('english', search_query) AS query
+    ),
+    matches AS (
+        SELECT
+            c.*,
+            ts_rank_cd(c.search_vector, search.query) AS match_rank,
+            COUNT(*) OVER () AS match_count
+        FROM public.call_logs c, search
+        WHERE c.user_id = user_uuid
+        AND c.search_vector @@ search.query
+        AND (assistant_uuid IS NULL OR c.assistant_id = assistant_uuid)
+        AND (phone_number_uuid IS NULL OR c.phone_number_id = phone_number_uuid)
+        AND (status_filter IS NULL OR c.status = ANY(status_filter))
+        AND (started_from IS NULL OR c.started_at >= started_from)
+        AND (started_to IS NULL OR c.started_at < started_to)
+        ORDER BY match_rank DESC, c.started_at DESC
+        LIMIT result_limit OFFSET result_offset
+    )
+    -- Snippets are only built for the returned page
+    SELECT
+        m.id,
+        m.assistant_id,
+        m.phone_number_id,
+        m.caller_number,
+        m.direction,
+        m.status,
+        m.duration_seconds,
+        m.started_at,
+        m.match_rank,
+        CASE WHEN to_tsvector('english', COALESCE(m.transcript, '')) @@ search.query
+            THEN ts_headline('english', m.transcript, search.query,
+                'StartSel=<mark>, StopSel=</mark>, MaxFragments=3, MaxWords=25, MinWords=8, FragmentDelimiter=" … "')
+        END,
+        CASE WHEN to_tsvector('english', COALESCE(m.summary, '')) @@ search.query
+            THEN ts_headline('english', m.summary, search.query,
+                'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "')
+        END,
+        CASE WHEN jsonb_to_tsvector('english', COALESCE(m.structured_data, '{}'::jsonb), '["string", "numeric"]') @@ search.query
+            THEN ts_headline('english',
+                (SELECT string_agg(field.key || ': ' || field.value, '; ') FROM jsonb_each_text(m.structured_data) AS field),
+                search.query,
+                'StartSel=<mark>, StopSel=</mark>, HighlightAll=true')
+        END,
+        m.match_count
+    FROM matches m, search
+    ORDER BY m.match_rank DESC, m.started_at DESC;
+$$ LANGUAGE sql STABLE;
+
+-- ========================================
+-- TRIGGERS
+-- ========================================
+
+-- Touch call log updated_at on every change
+DROP TRIGGER IF EXISTS touch_call_logs_updated_at ON public.call_logs;
+CREATE TRIGGER touch_call_logs_updated_at
+    BEFORE UPDATE ON public.call_logs
+    FOR EACH ROW 
+    EXECUTE FUNCTION public.touch_updated_at();
+
+-- ========================================
+-- PERMISSIONS
+-- ========================================
+
+GRANT EXECUTE ON FUNCTION public.search_call_logs(UUID, TEXT, UUID, UUID, TEXT[], TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, INTEGER, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.add_user_call_time(UUID, INTEGER) TO service_role;
+
+-- ========================================
+-- DATA FIXES (only change rows the older code left behind)
+-- ========================================
+
+-- Remove the VAPI webhook secret from stored payload snapshots (rotate VAPI_WEBHOOK_SECRET afterwards)
+UPDATE public.assistant_versions
+SET vapi_payload = jsonb_set(
+    vapi_payload #- '{server,secret}',
+    '{model,tools}',
+    COALESCE(
+        (SELECT jsonb_agg(tool #- '{server,secret}') FROM jsonb_array_elements(vapi_payload->'model'->'tools') AS tool),
+        '[]'::jsonb
+    ),
+    false
+)
+WHERE vapi_payload::text LIKE '%"secret"%';
+
+-- Link calls made before contacts existed to contacts (numbers normalized like outboundCallService.normalizeNumber)
+DROP TABLE IF EXISTS call_contact_backfill;
+CREATE TEMP TABLE call_contact_backfill AS
+SELECT id, user_id, phone_number
+FROM (
+    SELECT id, user_id,
+        CASE WHEN cleaned LIKE '00%' THEN '+' || substr(cleaned, 3) ELSE cleaned END AS phone_number
+    FROM (
+        SELECT id, user_id, regexp_replace(btrim(caller_number), '[\s().-]', '', 'g') AS cleaned
+        FROM public.call_logs
+        WHERE contact_id IS NULL AND caller_number IS NOT NULL
+    ) raw
+) normalized
+WHERE phone_number ~ '^\+[1-9][0-9]{6,14}$';
+
+INSERT INTO public.contacts (user_id, phone_number)
+SELECT DISTINCT user_id, phone_number FROM call_contact_backfill
+ON CONFLICT (user_id, phone_number) DO NOTHING;
+
+UPDATE public.call_logs
+SET contact_id = contacts.id
+FROM call_contact_backfill backfill
+JOIN public.contacts contacts ON contacts.user_id = backfill.user_id AND contacts.phone_number = backfill.phone_number
+WHERE call_logs.id = backfill.id;
+
+-- Counts and dates from all linked calls; name/email only fill empty fields, from the latest call that has one
+UPDATE public.contacts
+SET call_count = summary.call_count,
+    first_call_at = summary.first_call_at,
+    last_call_at = summary.last_call_at,
+    name = COALESCE(contacts.name, summary.name),
+    email = COALESCE(contacts.email, summary.email),
+    updated_at = NOW()
+FROM (
+    SELECT contact_id,
+        COUNT(*) AS call_count,
+        MIN(started_at) AS first_call_at,
+        MAX(started_at) AS last_call_at,
+        (ARRAY_AGG(caller_name ORDER BY started_at DESC) FILTER (WHERE caller_name IS NOT NULL))[1] AS name,
+        (ARRAY_AGG(caller_email ORDER BY started_at DESC) FILTER (WHERE caller_email ~ '^[^\s@]+@[^\s@]+\.[^\s@]+$'))[1] AS email
+    FROM (
+        SELECT contact_id, started_at,
+            COALESCE(
+                NULLIF(btrim(structured_data->>'caller_name'), ''), NULLIF(btrim(structured_data->>'customer_name'), ''),
+                NULLIF(btrim(structured_data->>'full_name'), ''), NULLIF(btrim(structured_data->>'name'), ''),
+                NULLIF(btrim(structured_data->>'first_name'), '')
+            ) AS caller_name,
+            lower(COALESCE(
+                NULLIF(btrim(structured_data->>'email'), ''), NULLIF(btrim(structured_data->>'email_address'), ''),
+                NULLIF(btrim(structured_data->>'caller_email'), ''), NULLIF(btrim(structured_data->>'customer_email'), '')
+            )) AS caller_email
+        FROM public.call_logs
+        WHERE contact_id IN (
+            SELECT contacts.id FROM public.contacts contacts
+            JOIN call_contact_backfill backfill ON contacts.user_id = backfill.user_id AND contacts.phone_number = backfill.phone_number
+        )
+    ) calls
+    GROUP BY contact_id
+) summary
+WHERE contacts.id = summary.contact_id;
+
+DROP TABLE call_contact_backfill;
+
+-- ========================================
+-- UPGRADE COMPLETE! ✅
+-- ========================================
@@ -34,6 +34,25 @@ async function requireAuth(req, res, next) {
     }
 }
 
+// Require an admin user (user IDs listed in ADMIN_USER_IDS, comma separated)
+async function requireAdmin(req, res, next) {
+    await requireAuth(req, res, () => {
+        const adminIds = (process.env.ADMIN_USER_IDS || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean);
+        
+        if (!adminIds.includes(req.userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Admin access required'
+            });
+        }
+        
+        next();
+    });
+}
+
 // Optional auth - adds userId if authenticated but doesn't require it
 async function optionalAuth(req, res, next) {
     try {
@@ -49,5 +68,6 @@ async function optionalAuth(req, res, next) {
 
 module.exports = {
     requireAuth,
+    requireAdmin,
     optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Requests older (or newer) than this are treated as replays
+const TIMESTAMP_TOLERANCE_SECONDS = parseInt(process.env.VAPI_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+// Event ids only need remembering for as long as a request can pass the timestamp check
+const MAX_TRACKED_EVENTS = 10000;
+const seenEvents = new Map(); // eventId -> expires at (ms)
+
+let missingSecretWarned = false;
+
+// Compare two strings in constant time (hashing first so lengths always match)
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Log every rejected delivery with enough context to spot probing
+function rejectRequest(req, res, statusCode, reason) {
+    const message = req.body?.message || req.body || {};
+
+    console.warn('🚫 VAPI webhook rejected:', {
+        reason,
+        ip: req.ip,
+        type: message.type || null,
+        callId: message.call?.id || null,
+        userAgent: req.get('user-agent') || null
+    });
+
+    return res.status(statusCode).json({ error: 'Unauthorized webhook request' });
+}
+
+// Timestamp in ms from X-Vapi-Timestamp (seconds or ms) or the message body
+function getTimestamp(req) {
+    const header = req.get('x-vapi-timestamp');
+    const value = header !== undefined ? Number(header) : Number(req.body?.message?.timestamp);
+
+    if (!value || isNaN(value)) return null;
+    return value < 1e12 ? value * 1000 : value;
+}
+
+// Delivery id from headers, falling back to a hash of the raw body
+function getEventId(req) {
+    const headerId = req.get('x-vapi-event-id') || req.get('x-request-id');
+    if (headerId) return headerId;
+
+    return crypto.createHash('sha256').update(req.rawBody || JSON.stringify(req.body || {})).digest('hex');
+}
+
+// Remember an event id; returns false if it was already seen (or is still being handled)
+function trackEvent(eventId, now) {
+    for (const [id, expiresAt] of seenEvents) {
+        if (expiresAt > now && seenEvents.size < MAX_TRACKED_EVENTS) break;
+        seenEvents.delete(id);
+    }
+
+    if (seenEvents.has(eventId)) return false;
+
+    seenEvents.set(eventId, now + TIMESTAMP_TOLERANCE_SECONDS * 2 * 1000);
+    return true;
+}
+
+// Verify VAPI webhook deliveries
+// Accepts the server secret (X-Vapi-Secret) or an HMAC-SHA256 of "<timestamp>.<raw body>" (X-Vapi-Signature)
+function verifyVapiWebhook(req, res, next) {
+    const secret = process.env.VAPI_WEBHOOK_SECRET;
+
+    if (!secret) {
+        if (process.env.NODE_ENV === 'production') {
+            return rejectRequest(req, res, 503, 'VAPI_WEBHOOK_SECRET not configured');
+        }
+
+        if (!missingSecretWarned) {
+            console.warn('⚠️ VAPI_WEBHOOK_SECRET not set - webhook requests are not verified');
+            missingSecretWarned = true;
+        }
+
+        req.webhookEventId = getEventId(req);
+        return next();
+    }
+
+    const now = Date.now();
+    const timestamp = getTimestamp(req);
+    const providedSecret = req.get('x-vapi-secret');
+    const signature = req.get('x-vapi-signature');
+
+    if (providedSecret) {
+        if (!safeEqual(providedSecret, secret)) {
+            return rejectRequest(req, res, 401, 'invalid secret');
+        }
+    } else if (signature) {
+        if (!req.get('x-vapi-timestamp') || !timestamp) {
+            return rejectRequest(req, res, 401, 'signature without timestamp');
+        }
+
+        const expected = crypto
+            .createHmac('sha256', secret)
+            .update(`${req.get('x-vapi-timestamp')}.${req.rawBody || ''}`)
+            .digest('hex');
+
+        if (!safeEqual(signature.replace(/^sha256=/, ''), expected)) {
+            return rejectRequest(req, res, 401, 'invalid signature');
+        }
+    } else {
+        return rejectRequest(req, res, 401, 'missing credentials');
+    }
+
+    if (timestamp && Math.abs(now - timestamp) > TIMESTAMP_TOLERANCE_SECONDS * 1000) {
+        return rejectRequest(req, res, 401, 'stale timestamp');
+    }
+
+    const eventId = getEventId(req);
+    if (!trackEvent(eventId, now)) {
+        // Acknowledge so VAPI stops redelivering, but do not process it again
+        console.warn('🚫 VAPI webhook rejected:', { reason: 'duplicate event', eventId, ip: req.ip });
+        return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    // Forget the id unless the delivery was acknowledged, so VAPI's redelivery after an error is processed
+    res.on('close', () => {
+        if (!res.writableFinished || res.statusCode >= 300) {
+            seenEvents.delete(eventId);
+        }
+    });
+
+    req.webhookEventId = eventId;
+    next();
+}
+
+module.exports = {
+    verifyVapiWebhook
+};
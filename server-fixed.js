@@ -12,7 +12,14 @@ const PORT = process.env.PORT || 8080;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw body of webhook requests for signature checks
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks/')) {
+            req.rawBody = buf.toString('utf8');
+        }
+    }
+}));
 
 // IMPORTANT: Serve static files (CSS, JS) with proper path and logging
 app.use('/css', (req, res, next) => {
@@ -138,21 +145,21 @@ app.get('/api/config/auth', (req, res) => {
 
 // Voice options endpoint (public)
 app.get('/api/config/voices', (req, res) => {
+    const voiceCatalogService = require('./services/voice-catalog.service');
+    
+    res.json({
+        success: true,
+        data: voiceCatalogService.getVoices({ language: req.query.language })
+    });
+});
+
+// Language options endpoint (public)
+app.get('/api/config/languages', (req, res) => {
+    const languageService = require('./services/language.service');
+    
     res.json({
         success: true,
-        data: [
-            { id: "Elliot", name: "Elliot", description: "Male, Canadian" },
-            { id: "Kylie", name: "Kylie", description: "Female, Australian" },
-            { id: "Rohan", name: "Rohan", description: "Male, Indian" },
-            { id: "Lily", name: "Lily", description: "Female, British" },
-            { id: "Savannah", name: "Savannah", description: "Female, American" },
-            { id: "Hana", name: "Hana", description: "Female, Korean" },
-            { id: "Neha", name: "Neha", description: "Female, Indian" },
-            { id: "Cole", name: "Cole", description: "Male, American" },
-            { id: "Harry", name: "Harry", description: "Male, British" },
-            { id: "Paige", name: "Paige", description: "Female, American" },
-            { id: "Spencer", name: "Spencer", description: "Male, American" }
-        ]
+        data: languageService.getSupportedLanguages()
     });
 });
 
@@ -206,6 +213,69 @@ try {
     console.warn('⚠️ Could not load VAPI webhook routes:', err.message);
 }
 
+try {
+    const templateRoutes = require('./api/templates');
+    app.use('/api/templates', templateRoutes);
+    apiRoutesLoaded++;
+    console.log('✅ Template routes loaded');
+} catch (err) {
+    console.warn('⚠️ Could not load template routes:', err.message);
+}
+
+try {
+    const routingRuleRoutes = require('./api/routing-rules');
+    app.use('/api/routing-rules', routingRuleRoutes);
+    apiRoutesLoaded++;
+    console.log('✅ Routing rule routes loaded');
+} catch (err) {
+    console.warn('⚠️ Could not load routing rule routes:', err.message);
+}
+
+try {
+    const callRoutes = require('./api/calls');
+    app.use('/api/calls', callRoutes);
+    apiRoutesLoaded++;
+    console.log('✅ Outbound call routes loaded');
+} catch (err) {
+    console.warn('⚠️ Could not load outbound call routes:', err.message);
+}
+
+try {
+    const campaignRoutes = require('./api/campaigns');
+    app.use('/api/campaigns', campaignRoutes);
+    apiRoutesLoaded++;
+    console.log('✅ Campaign routes loaded');
+} catch (err) {
+    console.warn('⚠️ Could not load campaign routes:', err.message);
+}
+
+try {
+    const callTagRoutes = require('./api/call-tags');
+    app.use('/api/call-tags', callTagRoutes);
+    apiRoutesLoaded++;
+    console.log('✅ Call tag routes loaded');
+} catch (err) {
+    console.warn('⚠️ Could not load call tag routes:', err.message);
+}
+
+try {
+    const contactRoutes = require('./api/contacts');
+    app.use('/api/contacts', contactRoutes);
+    apiRoutesLoaded++;
+    console.log('✅ Contact routes loaded');
+} catch (err) {
+    console.warn('⚠️ Could not load contact routes:', err.message);
+}
+
+try {
+    const adminRoutes = require('./api/admin');
+    app.use('/api/admin', adminRoutes);
+    apiRoutesLoaded++;
+    console.log('✅ Admin routes loaded');
+} catch (err) {
+    console.warn('⚠️ Could not load admin routes:', err.message);
+}
+
 try {
     const userRoutes = require('./api/user');
     app.use('/api/user', userRoutes);
@@ -215,7 +285,7 @@ try {
     console.warn('⚠️ Could not load user routes:', err.message);
 }
 
-console.log(`📊 Loaded ${apiRoutesLoaded}/6 API route modules`);
+console.log(`📊 Loaded ${apiRoutesLoaded}/13 API route modules`);
 
 // VAPI Test endpoint for production debugging
 app.get('/api/test/vapi', async (req, res) => {
@@ -303,6 +373,36 @@ app.use((err, req, res, next) => {
     });
 });
 
+// Register and start in-process scheduled jobs
+function startScheduledJobs() {
+    const schedulerService = require('./services/scheduler.service');
+    const CallAnalyticsService = require('./services/call-analytics.service');
+    const recordingService = require('./services/recording.service');
+    const callTagService = require('./services/call-tag.service');
+    const { supabaseAdmin } = require('./services/supabase.service');
+    const callAnalyticsService = new CallAnalyticsService(supabaseAdmin);
+    
+    // Daily/weekly/monthly call_analytics rollups, every 15 minutes so today's numbers stay fresh
+    schedulerService.registerJob('analytics-rollup', {
+        intervalMs: 15 * 60 * 1000,
+        run: (context) => callAnalyticsService.runRollupJob(context)
+    });
+    
+    // Delete recordings past each plan's retention period
+    schedulerService.registerJob('recording-retention', {
+        intervalMs: 24 * 60 * 60 * 1000,
+        run: ({ now }) => recordingService.applyRetention(now)
+    });
+    
+    // Re-tag calls for users whose tags changed (edits kick this right away; the job covers restarts and failures)
+    schedulerService.registerJob('call-tag-retag', {
+        intervalMs: 5 * 60 * 1000,
+        run: () => callTagService.processRetags()
+    });
+    
+    schedulerService.start();
+}
+
 // Start server with proper error handling
 console.log(`🚀 Attempting to start server on port ${PORT}...`);
 
@@ -318,6 +418,11 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`📈 Analytics: http://localhost:${PORT}/analytics.html`);
     console.log(`❤️ Health Check: http://localhost:${PORT}/health`);
     console.log('🎉 =================================\n');
+
+    // Background workers: webhook event inbox, outbound campaign dialer and scheduled jobs
+    require('./services/webhook-event.service').startWorker();
+    require('./services/campaign.service').startDialer();
+    startScheduledJobs();
 });
 
 server.on('error', (err) => {
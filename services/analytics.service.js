@@ -1,4 +1,8 @@
 const { supabaseAdmin } = require('./supabase.service');
+const CallAnalyticsService = require('./call-analytics.service');
+
+// Charts and totals read the call_analytics rollups instead of scanning call_logs
+const callAnalyticsService = new CallAnalyticsService(supabaseAdmin);
 
 class AnalyticsService {
     constructor() {
@@ -38,13 +42,17 @@ class AnalyticsService {
                     totalCalls: callStats.totalCalls,
                     averageDuration: callStats.averageDuration,
                     successRate: callStats.successRate,
+                    handoffRate: callStats.handoffRate,
+                    transferredCalls: callStats.transferredCalls,
                     minutesRemaining: remainingMinutes.toFixed(1)
                 },
                 charts: {
                     callsOverTime: await this.getCallsOverTime(userId),
                     callStatusDistribution: callStats.statusDistribution,
-                    hourlyDistribution: await this.getHourlyDistribution(userId)
+                    hourlyDistribution: await this.getHourlyDistribution(userId),
+                    ...await this.getTagStats(userId)
                 },
+                conversationMetrics: await this.getAssistantConversationMetrics(userId),
                 callHistory: callHistory,
                 userInfo: {
                     isDemo: userProfile?.is_demo_user || false,
@@ -66,31 +74,35 @@ class AnalyticsService {
         }
     }
 
-    // Get call statistics
+    // Get call statistics (all-time totals from the monthly rollups)
     async getCallStatistics(userId) {
         try {
-            const { data: calls, error } = await supabaseAdmin
-                .from('call_logs')
-                .select('status, duration_seconds')
-                .eq('user_id', userId);
+            const result = await callAnalyticsService.getRollups(userId, { periodType: 'monthly' });
+            if (!result.success) throw new Error(result.error);
 
-            if (error) throw error;
+            const totals = result.data.reduce((acc, row) => {
+                acc.totalCalls += row.total_calls || 0;
+                acc.completedCalls += row.successful_calls || 0;
+                acc.transferredCalls += row.transferred_calls || 0;
+                acc.totalDuration += row.total_duration_seconds || 0;
+
+                // Count by status
+                Object.entries(row.status_counts || {}).forEach(([status, count]) => {
+                    acc.statusCounts[status] = (acc.statusCounts[status] || 0) + count;
+                });
 
-            const totalCalls = calls.length;
-            const completedCalls = calls.filter(c => c.status === 'completed').length;
-            const totalDuration = calls.reduce((sum, c) => sum + (c.duration_seconds || 0), 0);
-            
-            // Count by status
-            const statusCounts = calls.reduce((acc, call) => {
-                acc[call.status] = (acc[call.status] || 0) + 1;
                 return acc;
-            }, {});
+            }, { totalCalls: 0, completedCalls: 0, transferredCalls: 0, totalDuration: 0, statusCounts: {} });
+
+            const { totalCalls, completedCalls, transferredCalls, totalDuration } = totals;
 
             return {
                 totalCalls,
                 averageDuration: totalCalls > 0 ? Math.round(totalDuration / totalCalls) : 0,
                 successRate: totalCalls > 0 ? Math.round((completedCalls / totalCalls) * 100) : 0,
-                statusDistribution: statusCounts
+                transferredCalls,
+                handoffRate: totalCalls > 0 ? Math.round((transferredCalls / totalCalls) * 100) : 0,
+                statusDistribution: totals.statusCounts
             };
         } catch (error) {
             console.error('Error getting call statistics:', error);
@@ -98,6 +110,8 @@ class AnalyticsService {
                 totalCalls: 0,
                 averageDuration: 0,
                 successRate: 0,
+                transferredCalls: 0,
+                handoffRate: 0,
                 statusDistribution: {}
             };
         }
@@ -108,7 +122,7 @@ class AnalyticsService {
         try {
             const { data, error } = await supabaseAdmin
                 .from('call_logs')
-                .select('*')
+                .select('*, phone_numbers(phone_number)')
                 .eq('user_id', userId)
                 .order('started_at', { ascending: false })
                 .limit(limit);
@@ -116,19 +130,30 @@ class AnalyticsService {
             if (error) throw error;
 
             // Format for display
-            return data.map(call => ({
-                id: call.id,
-                startedAt: call.started_at,
-                endedAt: call.ended_at,
-                duration: this.formatDuration(call.duration_seconds),
-                durationSeconds: call.duration_seconds,
-                status: call.status,
-                statusDisplay: this.formatStatus(call.status),
-                fromNumber: call.from_number || 'Unknown',
-                toNumber: call.to_number || 'Unknown',
-                summary: call.summary || 'No summary available',
-                sentiment: call.sentiment || 'neutral'
-            }));
+            return data.map(call => {
+                const ourNumber = call.phone_numbers?.phone_number || 'Unknown';
+                const customerNumber = call.caller_number || 'Unknown';
+                const outbound = call.direction === 'outbound';
+
+                return {
+                    id: call.id,
+                    startedAt: call.started_at,
+                    endedAt: call.ended_at,
+                    duration: this.formatDuration(call.duration_seconds),
+                    durationSeconds: call.duration_seconds,
+                    status: call.status,
+                    statusDisplay: this.formatStatus(call.status),
+                    endedReason: call.ended_reason || null,
+                    cost: call.cost || 0,
+                    hasRecording: !!(call.recording_url || call.stereo_recording_url),
+                    fromNumber: outbound ? ourNumber : customerNumber,
+                    toNumber: outbound ? customerNumber : ourNumber,
+                    summary: call.summary || 'No summary available',
+                    transferred: call.transferred || false,
+                    transferDestination: call.transfer_destination || null,
+                    sentiment: call.sentiment || 'neutral'
+                };
+            });
         } catch (error) {
             console.error('Error getting call history:', error);
             return [];
@@ -170,33 +195,30 @@ class AnalyticsService {
         }
     }
 
-    // Get calls over time (last 7 days)
+    // Get calls over time (last 7 days, from the daily rollups)
     async getCallsOverTime(userId) {
         try {
-            const sevenDaysAgo = new Date();
-            sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-            const { data, error } = await supabaseAdmin
-                .from('call_logs')
-                .select('started_at')
-                .eq('user_id', userId)
-                .gte('started_at', sevenDaysAgo.toISOString());
-
-            if (error) throw error;
-
             // Group by date
             const callsByDate = {};
             for (let i = 0; i < 7; i++) {
                 const date = new Date();
-                date.setDate(date.getDate() - i);
+                date.setUTCDate(date.getUTCDate() - i);
                 const dateStr = date.toISOString().split('T')[0];
                 callsByDate[dateStr] = 0;
             }
 
-            data.forEach(call => {
-                const dateStr = call.started_at.split('T')[0];
+            const firstDate = Object.keys(callsByDate).sort()[0];
+            const result = await callAnalyticsService.getRollups(userId, {
+                periodType: 'daily',
+                from: `${firstDate}T00:00:00Z`
+            });
+
+            if (!result.success) throw new Error(result.error);
+
+            result.data.forEach(row => {
+                const dateStr = new Date(row.period_start).toISOString().split('T')[0];
                 if (callsByDate.hasOwnProperty(dateStr)) {
-                    callsByDate[dateStr]++;
+                    callsByDate[dateStr] = row.total_calls || 0;
                 }
             });
 
@@ -213,23 +235,19 @@ class AnalyticsService {
         }
     }
 
-    // Get hourly distribution
+    // Get hourly distribution (UTC hours, summed over the monthly rollups)
     async getHourlyDistribution(userId) {
         try {
-            const { data, error } = await supabaseAdmin
-                .from('call_logs')
-                .select('started_at')
-                .eq('user_id', userId);
-
-            if (error) throw error;
+            const result = await callAnalyticsService.getRollups(userId, { periodType: 'monthly' });
+            if (!result.success) throw new Error(result.error);
 
             // Initialize hours
             const hourCounts = Array(24).fill(0);
 
-            // Count calls by hour
-            data.forEach(call => {
-                const hour = new Date(call.started_at).getHours();
-                hourCounts[hour]++;
+            result.data.forEach(row => {
+                (row.hourly_counts || []).forEach((count, hour) => {
+                    hourCounts[hour] += count || 0;
+                });
             });
 
             return hourCounts;
@@ -239,6 +257,125 @@ class AnalyticsService {
         }
     }
 
+    // Get tag counts (all time, top tags) and daily trends for the most used tags (last 30 days)
+    async getTagStats(userId, topTags = 10, trendTags = 5, trendDays = 30) {
+        try {
+            const dates = [];
+            for (let i = trendDays - 1; i >= 0; i--) {
+                const date = new Date();
+                date.setUTCDate(date.getUTCDate() - i);
+                dates.push(date.toISOString().split('T')[0]);
+            }
+
+            const [monthly, daily] = await Promise.all([
+                callAnalyticsService.getRollups(userId, { periodType: 'monthly' }),
+                callAnalyticsService.getRollups(userId, { periodType: 'daily', from: `${dates[0]}T00:00:00Z` })
+            ]);
+
+            if (!monthly.success) throw new Error(monthly.error);
+            if (!daily.success) throw new Error(daily.error);
+
+            const totals = {};
+            monthly.data.forEach(row => {
+                Object.entries(row.tag_counts || {}).forEach(([tag, count]) => {
+                    totals[tag] = (totals[tag] || 0) + count;
+                });
+            });
+
+            const ranked = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+
+            // One series per tag, zero-filled so every line covers the same days
+            const tagTrends = {};
+            ranked.slice(0, trendTags).forEach(([tag]) => {
+                const countsByDate = {};
+                daily.data.forEach(row => {
+                    countsByDate[new Date(row.period_start).toISOString().split('T')[0]] = row.tag_counts?.[tag] || 0;
+                });
+                tagTrends[tag] = dates.map(date => ({ x: date, y: countsByDate[date] || 0 }));
+            });
+
+            return {
+                tagCounts: Object.fromEntries(ranked.slice(0, topTags)),
+                tagTrends
+            };
+        } catch (error) {
+            console.error('Error getting tag stats:', error);
+            return { tagCounts: {}, tagTrends: {} };
+        }
+    }
+
+    // Get conversation metrics averaged per assistant (all time, or a from/to range of whole UTC days)
+    async getAssistantConversationMetrics(userId, range = {}) {
+        try {
+            const ranged = !!(range.from || range.to);
+            const [result, assistants] = await Promise.all([
+                callAnalyticsService.getRollups(userId, {
+                    periodType: ranged ? 'daily' : 'monthly',
+                    byAssistant: true,
+                    from: range.from,
+                    to: range.to
+                }),
+                supabaseAdmin
+                    .from('assistants')
+                    .select('id, name')
+                    .eq('user_id', userId)
+            ]);
+
+            if (!result.success) throw new Error(result.error);
+            if (assistants.error) throw assistants.error;
+
+            const names = new Map((assistants.data || []).map(assistant => [assistant.id, assistant.name]));
+            const byAssistant = new Map();
+
+            result.data.forEach(row => {
+                const metrics = row.conversation_metrics || {};
+                if (!metrics.calls) return;
+
+                if (!byAssistant.has(row.assistant_id)) {
+                    byAssistant.set(row.assistant_id, { calls: 0, sums: {}, counts: {}, sentimentCounts: {} });
+                }
+
+                const totals = byAssistant.get(row.assistant_id);
+                totals.calls += metrics.calls;
+
+                Object.entries(metrics.sums || {}).forEach(([field, sum]) => {
+                    totals.sums[field] = (totals.sums[field] || 0) + sum;
+                    totals.counts[field] = (totals.counts[field] || 0) + (metrics.counts?.[field] || 0);
+                });
+
+                Object.entries(metrics.sentiment_counts || {}).forEach(([label, count]) => {
+                    totals.sentimentCounts[label] = (totals.sentimentCounts[label] || 0) + count;
+                });
+            });
+
+            const average = (totals, field, decimals) => (totals.counts[field]
+                ? parseFloat((totals.sums[field] / totals.counts[field]).toFixed(decimals))
+                : null);
+
+            return [...byAssistant.entries()]
+                .map(([assistantId, totals]) => ({
+                    assistantId,
+                    assistantName: names.get(assistantId) || 'Deleted assistant',
+                    calls: totals.calls,
+                    averageCallerTalkRatio: average(totals, 'caller_talk_ratio', 3),
+                    averageLongestSilence: average(totals, 'longest_silence_seconds', 1),
+                    averageInterruptions: average(totals, 'interruptions', 1),
+                    averageCallerWpm: average(totals, 'caller_wpm', 0),
+                    averageAssistantWpm: average(totals, 'assistant_wpm', 0),
+                    averageSentiment: average(totals, 'sentiment_score', 3),
+                    sentimentCounts: {
+                        positive: totals.sentimentCounts.positive || 0,
+                        neutral: totals.sentimentCounts.neutral || 0,
+                        negative: totals.sentimentCounts.negative || 0
+                    }
+                }))
+                .sort((a, b) => b.calls - a.calls);
+        } catch (error) {
+            console.error('Error getting conversation metrics:', error);
+            return [];
+        }
+    }
+
     // Helper: Format duration
     formatDuration(seconds) {
         if (!seconds) return '0:00';
@@ -0,0 +1,135 @@
+// Assistant Version Service
+// Keeps a snapshot of every assistant configuration so changes can be compared and rolled back
+
+const { supabaseAdmin } = require('./supabase.service');
+const vapiService = require('./vapi.service');
+
+class AssistantVersionService {
+    // Store a new snapshot of the form data and the VAPI payload built from it
+    async createVersion(assistantId, userId, formData, vapiPayload, changeSource = 'update') {
+        try {
+            // Find the latest version number for this assistant
+            const { data: latest, error: latestError } = await supabaseAdmin
+                .from('assistant_versions')
+                .select('version_number')
+                .eq('assistant_id', assistantId)
+                .order('version_number', { ascending: false })
+                .limit(1);
+
+            if (latestError) throw latestError;
+
+            const versionNumber = latest && latest.length > 0 ? latest[0].version_number + 1 : 1;
+
+            const { data, error } = await supabaseAdmin
+                .from('assistant_versions')
+                .insert({
+                    assistant_id: assistantId,
+                    user_id: userId,
+                    version_number: versionNumber,
+                    configuration: formData,
+                    vapi_payload: vapiService.stripWebhookSecrets(vapiPayload),
+                    change_source: changeSource
+                })
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            console.error('Error creating assistant version:', error);
+            return null;
+        }
+    }
+
+    // Get all versions of an assistant (newest first, without the full snapshots)
+    async getVersions(assistantId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('assistant_versions')
+                .select('id, version_number, change_source, created_at')
+                .eq('assistant_id', assistantId)
+                .eq('user_id', userId)
+                .order('version_number', { ascending: false });
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            console.error('Error getting assistant versions:', error);
+            return [];
+        }
+    }
+
+    // Get a specific version with its full snapshot
+    async getVersion(assistantId, userId, versionNumber) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('assistant_versions')
+                .select('*')
+                .eq('assistant_id', assistantId)
+                .eq('user_id', userId)
+                .eq('version_number', versionNumber)
+                .single();
+
+            if (error) throw error;
+
+            // Snapshots taken before secrets were kept out of payloads may still contain one
+            return { ...data, vapi_payload: vapiService.stripWebhookSecrets(data.vapi_payload) };
+        } catch (error) {
+            console.error('Error getting assistant version:', error);
+            return null;
+        }
+    }
+
+    // Compare two versions field by field
+    diffVersions(fromVersion, toVersion) {
+        const fields = {
+            name: version => version.configuration?.name || null,
+            first_message: version => version.vapi_payload?.firstMessage || null,
+            system_prompt: version => version.vapi_payload?.model?.messages?.[0]?.content || null,
+            voice: version => version.vapi_payload?.voice || null,
+            structured_questions: version => version.configuration?.structured_questions || [],
+            tools: version => version.configuration?.tools || [],
+            evaluation_rubric: version => version.vapi_payload?.analysisPlan?.successEvaluationPlan?.rubric || null
+        };
+
+        const changes = Object.entries(fields).map(([field, extract]) => {
+            const from = extract(fromVersion);
+            const to = extract(toVersion);
+            const change = {
+                field,
+                changed: JSON.stringify(from) !== JSON.stringify(to),
+                from,
+                to
+            };
+
+            // Line-level changes make long prompts easier to review
+            if (field === 'system_prompt' && change.changed) {
+                change.lines = this.diffLines(from || '', to || '');
+            }
+
+            return change;
+        });
+
+        return {
+            from_version: fromVersion.version_number,
+            to_version: toVersion.version_number,
+            changed_fields: changes.filter(change => change.changed).map(change => change.field),
+            changes
+        };
+    }
+
+    // Helper: Lines removed from and added to a block of text
+    diffLines(fromText, toText) {
+        const fromLines = fromText.split('\n');
+        const toLines = toText.split('\n');
+
+        return {
+            removed: fromLines.filter(line => line.trim() && !toLines.includes(line)),
+            added: toLines.filter(line => line.trim() && !fromLines.includes(line))
+        };
+    }
+}
+
+module.exports = new AssistantVersionService();
@@ -3,6 +3,21 @@
 
 const { supabase, supabaseAdmin } = require('./supabase.service');
 const vapiService = require('./vapi.service');
+const assistantVersionService = require('./assistant-version.service');
+const voiceCatalogService = require('./voice-catalog.service');
+const languageService = require('./language.service');
+const knowledgeBaseService = require('./knowledge-base.service');
+const toolService = require('./tool.service');
+const callTransferService = require('./call-transfer.service');
+
+// Default LLM settings (used when the form does not override them)
+const DEFAULT_MODEL_SETTINGS = {
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+    maxTokens: 500,
+    temperature: 0.7,
+    responseDelaySeconds: 0.4
+};
 
 class AssistantService {
     // Check if user can create assistant (demo limits)
@@ -190,6 +205,9 @@ class AssistantService {
                 throw error;
             }
             
+            // Snapshot the initial configuration
+            await assistantVersionService.createVersion(data.id, userId, assistantData, vapiPayload, 'create');
+            
             return data;
         } catch (error) {
             console.error('Error creating assistant:', error);
@@ -197,6 +215,183 @@ class AssistantService {
         }
     }
     
+    // Update an existing assistant and re-sync it to VAPI
+    async updateAssistant(assistantId, userId, assistantData, changeSource = 'update') {
+        try {
+            // Get current assistant so the row can be restored if VAPI rejects the change
+            const assistant = await this.getAssistant(assistantId, userId);
+            if (!assistant) {
+                return { success: false, error: 'Assistant not found' };
+            }
+            
+            if (!assistant.vapi_assistant_id) {
+                return { success: false, error: 'Assistant is not linked to VAPI' };
+            }
+            
+            // Rebuild system prompt and VAPI payload from the new form data
+            const vapiPayload = await this.buildAssistantPayload(assistantId, assistantData);
+            
+            // Update database first using service role to bypass RLS
+            const { data, error } = await supabaseAdmin
+                .from('assistants')
+                .update({
+                    name: assistantData.name,
+                    configuration: assistantData,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', assistantId)
+                .eq('user_id', userId)
+                .select()
+                .single();
+                
+            if (error) throw error;
+            
+            // Push the change to VAPI
+            console.log('🚀 CALLING VAPI UPDATE...');
+            const vapiAssistant = await vapiService.updateAssistant(assistant.vapi_assistant_id, vapiPayload);
+            
+            if (!vapiAssistant) {
+                console.error('❌ VAPI REJECTED UPDATE - ROLLING BACK DATABASE');
+                
+                // Rollback database update
+                const { error: rollbackError } = await supabaseAdmin
+                    .from('assistants')
+                    .update({
+                        name: assistant.name,
+                        configuration: assistant.configuration,
+                        updated_at: assistant.updated_at
+                    })
+                    .eq('id', assistantId)
+                    .eq('user_id', userId);
+                    
+                if (rollbackError) {
+                    console.error('Error rolling back assistant update:', rollbackError);
+                }
+                
+                return { success: false, error: 'VAPI rejected the assistant update' };
+            }
+            
+            console.log('✅ VAPI ASSISTANT UPDATED:', vapiAssistant.id);
+            
+            // Snapshot the new configuration
+            await assistantVersionService.createVersion(assistantId, userId, assistantData, vapiPayload, changeSource);
+            
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error updating assistant:', error);
+            return { success: false, error: 'Failed to update assistant' };
+        }
+    }
+    
+    // Build the VAPI payload for an existing assistant, including its knowledge base
+    async buildAssistantPayload(assistantId, assistantData) {
+        const strings = languageService.getStrings(assistantData.language);
+        
+        // Tool lookups need a public webhook URL, otherwise knowledge goes into the prompt
+        const webhookServer = vapiService.getWebhookServer();
+        const useKnowledgeTool = assistantData.knowledge_mode === 'tool' && !!webhookServer;
+        
+        const knowledgeSection = await knowledgeBaseService.buildPromptSection(assistantId, assistantData, strings, useKnowledgeTool);
+        const systemPrompt = this.buildSystemPrompt(assistantData, knowledgeSection);
+        const vapiPayload = this.buildVAPIPayload(assistantData, systemPrompt);
+        
+        if (knowledgeSection && useKnowledgeTool) {
+            vapiPayload.model.tools = [
+                ...(vapiPayload.model.tools || []),
+                knowledgeBaseService.buildToolDefinition(webhookServer)
+            ];
+        }
+        
+        return vapiPayload;
+    }
+    
+    // Re-push an assistant after its knowledge base changed
+    async syncKnowledgeBase(assistantId, userId) {
+        const assistant = await this.getAssistant(assistantId, userId);
+        if (!assistant) {
+            return { success: false, error: 'Assistant not found' };
+        }
+        
+        return this.updateAssistant(assistantId, userId, assistant.configuration);
+    }
+    
+    // Build the assistant-request response used outside business hours
+    async buildAfterHoursResponse(assistant, schedule) {
+        const afterHours = schedule?.after_hours || {};
+        const strings = languageService.getStrings(assistant.configuration?.language);
+        
+        // Hand the call to a dedicated after-hours assistant owned by the same user
+        if (afterHours.assistant_id) {
+            const { data: afterHoursAssistant } = await supabaseAdmin
+                .from('assistants')
+                .select('id, vapi_assistant_id')
+                .eq('id', afterHours.assistant_id)
+                .eq('user_id', assistant.user_id)
+                .single();
+                
+            if (afterHoursAssistant?.vapi_assistant_id) {
+                const response = { assistantId: afterHoursAssistant.vapi_assistant_id };
+                if (afterHours.first_message) {
+                    response.assistantOverrides = { firstMessage: afterHours.first_message };
+                }
+                return response;
+            }
+            
+            console.error('After-hours assistant not found, using base assistant:', afterHours.assistant_id);
+        }
+        
+        const overrides = {};
+        
+        if (afterHours.take_message) {
+            // Same assistant, but in message-taking mode without handoff
+            const vapiPayload = await this.buildAssistantPayload(assistant.id, assistant.configuration || {});
+            const model = vapiPayload.model;
+            
+            model.messages[0].content += `\n\n${strings.afterHoursInstruction}`;
+            model.tools = (model.tools || []).filter(tool => tool.type !== 'transferCall');
+            if (model.tools.length === 0) delete model.tools;
+            
+            overrides.model = model;
+            overrides.firstMessage = afterHours.first_message || strings.afterHoursFirstMessage;
+        } else if (afterHours.first_message) {
+            overrides.firstMessage = afterHours.first_message;
+        }
+        
+        const response = { assistantId: assistant.vapi_assistant_id };
+        if (Object.keys(overrides).length > 0) {
+            response.assistantOverrides = overrides;
+        }
+        
+        return response;
+    }
+    
+    // Roll an assistant back to an earlier version and re-push it to VAPI
+    async rollbackAssistant(assistantId, userId, versionNumber) {
+        try {
+            const version = await assistantVersionService.getVersion(assistantId, userId, versionNumber);
+            if (!version) {
+                return { success: false, error: 'Version not found' };
+            }
+            
+            return await this.updateAssistant(assistantId, userId, version.configuration, 'rollback');
+        } catch (error) {
+            console.error('Error rolling back assistant:', error);
+            return { success: false, error: 'Failed to roll back assistant' };
+        }
+    }
+    
+    // Build form data for a copy of an assistant (phone numbers are never copied)
+    buildCloneData(assistant, overrides = {}) {
+        const { name, ...fieldOverrides } = overrides;
+        
+        return {
+            ...assistant.configuration,
+            ...fieldOverrides,
+            name: name || `${assistant.name} (Copy)`,
+            cloned_from: assistant.id
+        };
+    }
+    
     // Delete an assistant
     async deleteAssistant(assistantId, userId) {
         try {
@@ -248,7 +443,8 @@ class AssistantService {
     }
     
     // Build dynamic system prompt based on personality and questions
-    buildSystemPrompt(formData) {
+    buildSystemPrompt(formData, knowledgeSection = '') {
+        const strings = languageService.getStrings(formData.language);
         const personalityTraits = Array.isArray(formData.personality_traits) 
             ? formData.personality_traits 
             : (formData.personality_traits ? [formData.personality_traits] : ['professional', 'friendly']);
@@ -259,7 +455,7 @@ class AssistantService {
         // Build question-specific instructions - prioritize early asking for short calls
         let questionInstructions = '';
         if (formData.structured_questions && formData.structured_questions.length > 0) {
-            questionInstructions = this.buildQuestionInstructions(formData.structured_questions);
+            questionInstructions = this.buildQuestionInstructions(formData.structured_questions, formData.language);
         }
         
         // Build evaluation instructions
@@ -268,38 +464,24 @@ class AssistantService {
             evaluationInstructions = this.buildEvaluationInstructions(formData.evaluation_method);
         }
         
+        // Tell the assistant when to hand off to a human
+        const transferInstructions = callTransferService.hasDestinations(formData) ? `\n${strings.transferInstruction}\n` : '';
+        
+        // Non-English assistants are told explicitly which language to speak
+        const languageDirective = strings.languageDirective ? ` ${strings.languageDirective}` : '';
+        
         // Combine all parts into comprehensive system prompt
-        const systemPrompt = `You are a professional AI phone assistant for a business. ${personalityInstructions}
+        const systemPrompt = `${strings.intro} ${personalityInstructions}${languageDirective}
 
-CRITICAL: This is a SHORT CALL (limited time). You MUST ask essential questions within the first 30 seconds after greeting.
+${strings.shortCallWarning}
 
 ${questionInstructions}
 
-CALL OBJECTIVES:
-- Gather required information IMMEDIATELY after greeting
-- Provide excellent customer service efficiently  
-- Maintain a natural, conversational flow
-- End calls professionally when objectives are met
-
-CONVERSATION FLOW (STRICT ORDER):
-1. Warm greeting (5-10 seconds)
-2. IMMEDIATELY ask required questions (next 20-30 seconds)
-3. Address caller's needs/concerns
-4. Confirm collected information
-5. Professional closing
-
-CONVERSATION GUIDELINES:
-- Greet warmly but briefly
-- Transition quickly to information gathering
-- Ask questions directly but politely
-- Don't wait for natural openings - create them
-- Confirm important information by repeating it back
-- Keep responses concise and focused
-- Use natural speech patterns but stay efficient
+${strings.callGuidelines}
 
 ${evaluationInstructions}
-
-IMPORTANT: Time is limited! Prioritize getting required information over lengthy conversations. Ask essential questions early and often.`;
+${knowledgeSection ? `\n${knowledgeSection}\n` : ''}${transferInstructions}
+${strings.closing}`;
         
         return systemPrompt;
     }
@@ -328,48 +510,40 @@ IMPORTANT: Time is limited! Prioritize getting required information over lengthy
     }
     
     // Build dynamic question instructions - optimized for short calls
-    buildQuestionInstructions(questions) {
+    buildQuestionInstructions(questions, language) {
         if (!questions || questions.length === 0) return '';
         
+        const strings = languageService.getStrings(language);
         const requiredQuestions = questions.filter(q => q.required);
         const optionalQuestions = questions.filter(q => !q.required);
         
-        let instructions = 'INFORMATION COLLECTION (SHORT CALL STRATEGY):\n';
+        let instructions = `${strings.collectionHeader}\n`;
         
         if (requiredQuestions.length > 0) {
-            instructions += 'REQUIRED INFORMATION (ASK IMMEDIATELY AFTER GREETING - FIRST 30 SECONDS):\n';
+            instructions += `${strings.requiredHeader}\n`;
             requiredQuestions.forEach((q, index) => {
                 const purpose = q.description ? ` (${q.description})` : '';
                 instructions += `${index + 1}. "${q.question}"${purpose}\n`;
             });
             
-            instructions += '\nSCRIPT EXAMPLE FOR REQUIRED QUESTIONS:\n';
-            instructions += '"Hello! Thanks for calling. To help you better, I need to quickly get some information. ';
+            instructions += `\n${strings.scriptHeader}\n`;
+            instructions += `"${strings.scriptOpening}`;
             if (requiredQuestions.length === 1) {
                 instructions += `${requiredQuestions[0].question}"`;
             } else {
-                instructions += `First, ${requiredQuestions[0].question.toLowerCase()} And then, ${requiredQuestions[1]?.question?.toLowerCase() || 'your contact information'}"`;
+                instructions += `${strings.scriptFirst}${requiredQuestions[0].question.toLowerCase()}${strings.scriptThen}${requiredQuestions[1]?.question?.toLowerCase() || strings.scriptFallback}"`;
             }
         }
         
         if (optionalQuestions.length > 0) {
-            instructions += '\n\nOPTIONAL INFORMATION (only if time permits after required info):\n';
+            instructions += `\n\n${strings.optionalHeader}\n`;
             optionalQuestions.forEach((q, index) => {
                 const purpose = q.description ? ` (${q.description})` : '';
                 instructions += `${index + 1}. "${q.question}"${purpose}\n`;
             });
         }
         
-        instructions += `
-
-QUESTION STRATEGY FOR SHORT CALLS:
-- Ask required questions IMMEDIATELY after "Hello, thanks for calling"
-- Use transition phrases: "To help you better, I need to quickly get..."  
-- Don't wait for conversation to naturally lead to questions
-- Ask 2-3 required questions in rapid succession if needed
-- Use phrases like "Let me just get your..." to make it feel efficient
-- If caller tries to explain their issue first, say "I'll help with that right after I get your [required info]"
-- For hesitant callers: "This will just take 10 seconds so I can better assist you"`;
+        instructions += `\n\n${strings.questionStrategy}`;
         
         return instructions;
     }
@@ -395,8 +569,8 @@ QUESTION STRATEGY FOR SHORT CALLS:
         const properties = {};
         const required = [];
         
-        structuredQuestions.forEach(q => {
-            const fieldName = q.field_name || q.question.toLowerCase().replace(/[^a-z0-9]/g, '_');
+        structuredQuestions.forEach((q, index) => {
+            const fieldName = this.getStructuredFieldName(q, index);
             properties[fieldName] = {
                 type: q.type || 'string',
                 description: q.description || q.question
@@ -415,41 +589,63 @@ QUESTION STRATEGY FOR SHORT CALLS:
         };
     }
     
+    // Helper: Structured data field name for a question (also the collected-data column name)
+    getStructuredFieldName(question, index) {
+        // Non-Latin questions (e.g. Arabic) have no usable slug, so fall back to the position
+        const slug = question.question.toLowerCase().replace(/[^a-z0-9]/g, '_');
+        return question.field_name || (/[a-z0-9]/.test(slug) ? slug : `question_${index + 1}`);
+    }
+    
+    // Helper: Parse an optional numeric form value (0 is a valid value)
+    parseNumberSetting(value, defaultValue) {
+        if (value === undefined || value === null || value === '') return defaultValue;
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? defaultValue : parsed;
+    }
+    
     // Build VAPI payload
     buildVAPIPayload(formData, systemPrompt) {
+        const language = languageService.getLanguage(formData.language);
+        
         // Build comprehensive VAPI payload with all form data
         const payload = {
             name: formData.name || "Voice Assistant",
             model: {
-                provider: "openai",
-                model: "gpt-4o-mini",
+                provider: formData.model_provider || DEFAULT_MODEL_SETTINGS.provider,
+                model: formData.model_name || DEFAULT_MODEL_SETTINGS.model,
                 messages: [
                     {
                         role: "system",
                         content: systemPrompt || "You are a helpful assistant."
                     }
                 ],
-                maxTokens: 500,
-                temperature: 0.7
-            },
-            voice: {
-                provider: "playht",
-                voiceId: formData.voice_id || "jennifer"
+                maxTokens: formData.max_tokens ? parseInt(formData.max_tokens) : DEFAULT_MODEL_SETTINGS.maxTokens,
+                temperature: this.parseNumberSetting(formData.temperature, DEFAULT_MODEL_SETTINGS.temperature)
             },
-            transcriber: {
-                provider: "deepgram",
-                model: "nova-2-general",
-                language: "en"
-            },
-            firstMessage: formData.first_message || "Hello! How can I help you today?",
+            voice: voiceCatalogService.buildVoiceConfig(formData.voice_id, language.defaultVoiceId),
+            transcriber: languageService.buildTranscriberConfig(formData.language),
+            firstMessage: formData.first_message || language.strings.firstMessage,
             firstMessageMode: "assistant-speaks-first",
             recordingEnabled: true,
             fillersEnabled: true,
             silenceTimeoutSeconds: 30,
-            responseDelaySeconds: 0.4,
-            endCallMessage: "Thank you for calling! Have a great day!"
+            responseDelaySeconds: this.parseNumberSetting(formData.response_delay, DEFAULT_MODEL_SETTINGS.responseDelaySeconds),
+            endCallMessage: language.strings.endCallMessage
         };
 
+        // Add custom function tools (calls are routed through our webhook)
+        if (Array.isArray(formData.tools) && formData.tools.length > 0) {
+            payload.model.tools = toolService.buildToolDefinitions(formData.tools, vapiService.getWebhookServer());
+        }
+
+        // Add human handoff (VAPI executes transferCall without calling our server)
+        if (callTransferService.hasDestinations(formData)) {
+            payload.model.tools = [
+                ...(payload.model.tools || []),
+                callTransferService.buildTransferTool(formData)
+            ];
+        }
+
         // Add optional fields only if they have valid values
         if (formData.max_call_duration && formData.max_call_duration > 0) {
             payload.maxDurationSeconds = parseInt(formData.max_call_duration);
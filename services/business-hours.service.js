@@ -0,0 +1,201 @@
+// Business Hours Service
+// Weekly schedules with holidays per assistant or phone number, evaluated in the schedule's timezone
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_HOLIDAYS = 100;
+
+class BusinessHoursService {
+    // Validate a business_hours schedule (returns a list of errors)
+    validateSchedule(schedule) {
+        const errors = [];
+
+        if (schedule === undefined || schedule === null) {
+            return errors;
+        }
+
+        if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+            return ['Business hours must be an object'];
+        }
+
+        if (!schedule.timezone || !this.isValidTimezone(schedule.timezone)) {
+            errors.push('Business hours need a valid IANA timezone (e.g. America/New_York)');
+        }
+
+        if (!schedule.weekly || typeof schedule.weekly !== 'object' || Array.isArray(schedule.weekly)) {
+            errors.push('Business hours need a weekly schedule');
+        } else {
+            for (const [day, ranges] of Object.entries(schedule.weekly)) {
+                if (!WEEKDAYS.includes(day)) {
+                    errors.push(`Unknown weekday: ${day}`);
+                    continue;
+                }
+
+                if (!Array.isArray(ranges)) {
+                    errors.push(`Hours for ${day} must be a list of { open, close } ranges`);
+                    continue;
+                }
+
+                ranges.forEach(range => {
+                    if (!range || !TIME_PATTERN.test(range.open) || !TIME_PATTERN.test(range.close)) {
+                        errors.push(`Hours for ${day} must use HH:MM times`);
+                    } else if (range.open === range.close) {
+                        errors.push(`Hours for ${day} cannot open and close at the same time`);
+                    }
+                });
+            }
+        }
+
+        if (schedule.holidays !== undefined) {
+            if (!Array.isArray(schedule.holidays)) {
+                errors.push('Holidays must be a list of dates');
+            } else {
+                if (schedule.holidays.length > MAX_HOLIDAYS) {
+                    errors.push(`Maximum ${MAX_HOLIDAYS} holidays allowed`);
+                }
+
+                schedule.holidays.forEach(holiday => {
+                    const date = typeof holiday === 'string' ? holiday : holiday?.date;
+                    if (!date || !DATE_PATTERN.test(date) || isNaN(Date.parse(date))) {
+                        errors.push(`Invalid holiday date: ${date}`);
+                    }
+                });
+            }
+        }
+
+        const afterHours = schedule.after_hours;
+        if (afterHours !== undefined && afterHours !== null) {
+            if (typeof afterHours !== 'object' || Array.isArray(afterHours)) {
+                errors.push('After-hours settings must be an object');
+            } else {
+                if (afterHours.first_message && (typeof afterHours.first_message !== 'string' || afterHours.first_message.length > 500)) {
+                    errors.push('After-hours first message must be less than 500 characters');
+                }
+
+                if (afterHours.assistant_id && typeof afterHours.assistant_id !== 'string') {
+                    errors.push('After-hours assistant must be an assistant ID');
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    // Check that Intl knows the timezone
+    isValidTimezone(timezone) {
+        if (typeof timezone !== 'string') return false;
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Pick the schedule for a call: phone number schedule wins over the assistant's
+    resolveSchedule(phoneNumber, assistant) {
+        return phoneNumber?.business_hours || assistant?.configuration?.business_hours || null;
+    }
+
+    // Get the active mode for a schedule at a given moment
+    getStatus(schedule, now = new Date()) {
+        if (!schedule || !schedule.weekly || !this.isValidTimezone(schedule.timezone)) {
+            return { mode: 'business_hours', scheduled: false };
+        }
+
+        const local = this.getLocalTime(schedule.timezone, now);
+        const status = {
+            scheduled: true,
+            timezone: schedule.timezone,
+            localTime: local.time,
+            weekday: local.weekday
+        };
+
+        const holiday = this.findHoliday(schedule.holidays, local.date);
+        if (holiday) {
+            return { ...status, mode: 'after_hours', reason: 'holiday', holiday: holiday.name || holiday.date };
+        }
+
+        const open = this.isWithinWeeklyHours(schedule.weekly, local);
+
+        return {
+            ...status,
+            mode: open ? 'business_hours' : 'after_hours',
+            reason: open ? 'open' : 'closed'
+        };
+    }
+
+    // Check the current day's ranges plus overnight ranges carried over from yesterday
+    isWithinWeeklyHours(weekly, local) {
+        const todayRanges = weekly[local.weekday] || [];
+        const yesterday = WEEKDAYS[(WEEKDAYS.indexOf(local.weekday) + 6) % 7];
+        const yesterdayRanges = weekly[yesterday] || [];
+
+        const openToday = todayRanges.some(range => {
+            const open = this.toMinutes(range.open);
+            const close = this.toMinutes(range.close);
+
+            // Overnight range (e.g. 22:00-02:00) stays open until midnight today
+            return close > open
+                ? local.minutes >= open && local.minutes < close
+                : local.minutes >= open;
+        });
+
+        const openFromYesterday = yesterdayRanges.some(range => {
+            const open = this.toMinutes(range.open);
+            const close = this.toMinutes(range.close);
+            return close <= open && local.minutes < close;
+        });
+
+        return openToday || openFromYesterday;
+    }
+
+    // Find a holiday matching a local date
+    findHoliday(holidays, date) {
+        if (!Array.isArray(holidays)) return null;
+
+        for (const holiday of holidays) {
+            const entry = typeof holiday === 'string' ? { date: holiday } : holiday;
+            if (entry?.date === date) return entry;
+        }
+
+        return null;
+    }
+
+    // Get date, weekday and minutes past midnight in a timezone
+    getLocalTime(timezone, now = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            weekday: 'long',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now).reduce((acc, part) => {
+            acc[part.type] = part.value;
+            return acc;
+        }, {});
+
+        const hour = parseInt(parts.hour) % 24;
+        const minute = parseInt(parts.minute);
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday: parts.weekday.toLowerCase(),
+            time: `${String(hour).padStart(2, '0')}:${parts.minute}`,
+            minutes: hour * 60 + minute
+        };
+    }
+
+    // Convert HH:MM to minutes past midnight
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+}
+
+module.exports = new BusinessHoursService();
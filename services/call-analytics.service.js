@@ -1,3 +1,14 @@
+// Call Analytics Service
+// Per-call data lives in call_logs; call_analytics only holds period rollups built from it
+
+const callLogService = require('./call-log.service');
+
+const PERIOD_TYPES = ['daily', 'weekly', 'monthly'];
+const FAILED_STATUSES = ['failed', 'no-answer', 'busy', 'cancelled'];
+const ROLLUP_PAGE_SIZE = 1000;
+const CONVERSATION_METRICS = ['caller_talk_ratio', 'longest_silence_seconds', 'interruptions', 'caller_wpm', 'assistant_wpm', 'sentiment_score'];
+const LATE_CHANGE_SKEW_MS = 5 * 60 * 1000; // Overlap with the previous run so no update slips between runs
+
 class CallAnalyticsService {
     constructor(supabaseClient = null) {
         this.supabase = supabaseClient;
@@ -7,6 +18,10 @@ class CallAnalyticsService {
     validateCallData(callData) {
         const errors = [];
         
+        if (!callData.assistant_id) {
+            errors.push('Assistant is required');
+        }
+        
         if (!callData.caller_number) {
             errors.push('Caller number is required');
         }
@@ -93,14 +108,16 @@ class CallAnalyticsService {
 
         try {
             const { data, error } = await this.supabase
-                .from('call_analytics')
+                .from('call_logs')
                 .insert({
                     user_id: userId,
-                    assistant_id: callData.assistant_id || null,
+                    assistant_id: callData.assistant_id,
                     phone_number_id: callData.phone_number_id || null,
                     caller_number: callData.caller_number,
                     duration_seconds: callData.duration_seconds,
                     cost: callData.cost || 0,
+                    ended_reason: callData.ended_reason || null,
+                    recording_url: callData.recording_url || null,
                     started_at: callData.started_at,
                     transcript: callData.transcript || null,
                     structured_data: callData.structured_data || null,
@@ -204,7 +221,7 @@ class CallAnalyticsService {
         try {
             // Build the query
             let query = this.supabase
-                .from('call_analytics')
+                .from('call_logs')
                 .select(`
                     *,
                     assistants:assistant_id (
@@ -218,8 +235,12 @@ class CallAnalyticsService {
                 `)
                 .eq('user_id', userId);
 
-            // Apply filters
-            if (filters.dateRange) {
+            // Apply filters (an explicit from/to range with tz wins over the dateRange presets)
+            if (filters.from || filters.to) {
+                const { from, to } = callLogService.resolveDateRange(filters);
+                if (from) query = query.gte('started_at', from);
+                if (to) query = query.lt('started_at', to);
+            } else if (filters.dateRange) {
                 const startDate = this.buildDateFilter(filters.dateRange);
                 query = query.gte('started_at', startDate);
             }
@@ -256,6 +277,9 @@ class CallAnalyticsService {
                 duration_seconds: call.duration_seconds,
                 cost: call.cost,
                 status: call.status,
+                ended_reason: call.ended_reason,
+                recording_url: call.recording_url,
+                stereo_recording_url: call.stereo_recording_url,
                 started_at: call.started_at,
                 transcript: call.transcript,
                 structured_data: call.structured_data,
@@ -302,7 +326,7 @@ class CallAnalyticsService {
 
         try {
             const { data, error } = await this.supabase
-                .from('call_analytics')
+                .from('call_logs')
                 .select(`
                     *,
                     assistants:assistant_id (
@@ -337,8 +361,12 @@ class CallAnalyticsService {
                     duration_seconds: data.duration_seconds,
                     cost: data.cost,
                     status: data.status,
+                    ended_reason: data.ended_reason,
+                    recording_url: data.recording_url,
+                    stereo_recording_url: data.stereo_recording_url,
                     started_at: data.started_at,
                     transcript: data.transcript,
+                    transcript_turns: data.transcript_turns || [],
                     structured_data: data.structured_data,
                     success_evaluation: data.success_evaluation,
                     summary: data.summary,
@@ -362,7 +390,7 @@ class CallAnalyticsService {
 
         try {
             const { error } = await this.supabase
-                .from('call_analytics')
+                .from('call_logs')
                 .delete()
                 .eq('id', callId)
                 .eq('user_id', userId);
@@ -385,127 +413,257 @@ class CallAnalyticsService {
         }
     }
 
-    // Webhook handler for incoming call data from VAPI
-    async handleWebhookData(webhookData) {
-        try {
-            // Extract data from VAPI webhook payload
-            const callData = {
-                caller_number: webhookData.message?.customer?.number || webhookData.caller_number,
-                duration_seconds: webhookData.message?.durationSeconds || webhookData.duration_seconds,
-                cost: webhookData.message?.cost || webhookData.cost,
-                started_at: webhookData.message?.started_at || new Date().toISOString(),
-                transcript: webhookData.message?.transcript || webhookData.transcript,
-                structured_data: webhookData.message?.analysis?.structuredData || webhookData.structured_data,
-                success_evaluation: webhookData.message?.analysis?.successEvaluation || webhookData.success_evaluation,
-                summary: webhookData.message?.analysis?.summary || webhookData.summary,
-                status: webhookData.message?.status || 'completed'
-            };
+    // Period rollups (call_analytics)
 
-            // Get user_id and assistant_id from VAPI assistant ID or phone number
-            let userId = webhookData.user_id;
-            let assistantId = webhookData.assistant_id;
-            let phoneNumberId = null;
-
-            // If no user_id provided, look up by VAPI assistant ID
-            if (!userId && webhookData.message?.assistant?.id) {
-                const assistantLookup = await this.getUserByVAPIAssistantId(webhookData.message.assistant.id);
-                if (assistantLookup.success) {
-                    userId = assistantLookup.data.user_id;
-                    assistantId = assistantLookup.data.assistant_id;
-                }
-            }
+    // UTC bounds of the daily/weekly/monthly period containing a date (weeks start on Monday)
+    getPeriodBounds(periodType, date) {
+        const d = new Date(date);
+        let start;
+        let end;
 
-            // If still no user_id, look up by phone number that received the call
-            if (!userId && webhookData.message?.phoneNumber?.number) {
-                const phoneLookup = await this.getUserByPhoneNumber(webhookData.message.phoneNumber.number);
-                if (phoneLookup.success) {
-                    userId = phoneLookup.data.user_id;
-                    assistantId = phoneLookup.data.assistant_id;
-                    phoneNumberId = phoneLookup.data.phone_number_id;
-                }
+        switch (periodType) {
+            case 'daily':
+                start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+                end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+                break;
+            case 'weekly': {
+                const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+                start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - daysSinceMonday));
+                end = new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000);
+                break;
             }
+            case 'monthly':
+                start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+                end = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1));
+                break;
+            default:
+                throw new Error(`Unknown period type: ${periodType}`);
+        }
+
+        return { start, end };
+    }
+
+    // Empty aggregate row for a user (assistantId null = all assistants)
+    createRollupRow(userId, assistantId, periodType, bounds) {
+        return {
+            user_id: userId,
+            assistant_id: assistantId,
+            period_type: periodType,
+            period_start: bounds.start.toISOString(),
+            period_end: bounds.end.toISOString(),
+            total_calls: 0,
+            successful_calls: 0,
+            failed_calls: 0,
+            total_duration_seconds: 0,
+            average_duration_seconds: 0,
+            total_cost: 0,
+            transferred_calls: 0,
+            status_counts: {},
+            hourly_counts: Array(24).fill(0),
+            tag_counts: {},
+            conversation_metrics: { calls: 0, sums: {}, counts: {}, sentiment_counts: {} },
+            conversion_rate: 0
+        };
+    }
 
-            // Fallback to default user for testing
-            if (!userId) {
-                userId = '00000000-0000-0000-0000-000000000000';
-                console.warn('Could not determine user_id from webhook, using default');
+    // Aggregate call_logs rows into one row per user and one per user + assistant
+    aggregateCalls(calls, periodType, bounds) {
+        const rows = new Map();
+
+        const addTo = (key, userId, assistantId, call) => {
+            if (!rows.has(key)) {
+                rows.set(key, this.createRollupRow(userId, assistantId, periodType, bounds));
             }
 
-            if (assistantId) {
-                callData.assistant_id = assistantId;
+            const row = rows.get(key);
+            row.total_calls++;
+            row.total_duration_seconds += call.duration_seconds || 0;
+            row.total_cost += parseFloat(call.cost) || 0;
+
+            if (call.status === 'completed') row.successful_calls++;
+            if (FAILED_STATUSES.includes(call.status)) row.failed_calls++;
+            if (call.transferred) row.transferred_calls++;
+
+            const status = call.status || 'unknown';
+            row.status_counts[status] = (row.status_counts[status] || 0) + 1;
+
+            if (call.started_at) {
+                row.hourly_counts[new Date(call.started_at).getUTCHours()]++;
             }
-            if (phoneNumberId) {
-                callData.phone_number_id = phoneNumberId;
+
+            (call.tags || []).forEach(tag => {
+                row.tag_counts[tag] = (row.tag_counts[tag] || 0) + 1;
+            });
+
+            // Sums and counts per metric so averages can be combined across periods
+            if (call.sentiment) {
+                const metrics = row.conversation_metrics;
+                metrics.calls++;
+                metrics.sentiment_counts[call.sentiment] = (metrics.sentiment_counts[call.sentiment] || 0) + 1;
+
+                CONVERSATION_METRICS.forEach(field => {
+                    if (call[field] === null || call[field] === undefined) return;
+                    metrics.sums[field] = (metrics.sums[field] || 0) + parseFloat(call[field]);
+                    metrics.counts[field] = (metrics.counts[field] || 0) + 1;
+                });
             }
+        };
 
-            return await this.createCallRecord(userId, callData);
-        } catch (error) {
-            console.error('Webhook processing error:', error);
-            return {
-                success: false,
-                error: 'Failed to process webhook data'
-            };
-        }
+        calls.forEach(call => {
+            addTo(call.user_id, call.user_id, null, call);
+            addTo(`${call.user_id}:${call.assistant_id}`, call.user_id, call.assistant_id, call);
+        });
+
+        return [...rows.values()].map(row => ({
+            ...row,
+            average_duration_seconds: Math.round(row.total_duration_seconds / row.total_calls),
+            total_cost: parseFloat(row.total_cost.toFixed(4)),
+            conversion_rate: parseFloat(((row.successful_calls / row.total_calls) * 100).toFixed(2))
+        }));
     }
 
-    // Helper method to lookup user by VAPI assistant ID
-    async getUserByVAPIAssistantId(vapiAssistantId) {
+    // Rebuild call_analytics for the period containing a date (safe to run repeatedly)
+    async rollupPeriod(periodType, date = new Date()) {
+        if (!PERIOD_TYPES.includes(periodType)) {
+            return { success: false, error: `Unknown period type: ${periodType}` };
+        }
+
         if (!this.supabase) {
             return { success: false, error: 'No database connection' };
         }
 
         try {
-            const { data, error } = await this.supabase
-                .from('assistants')
-                .select('id, user_id')
-                .eq('vapi_assistant_id', vapiAssistantId)
-                .single();
+            const bounds = this.getPeriodBounds(periodType, date);
+            const runStartedAt = new Date().toISOString();
+
+            // Page through the period's calls (PostgREST caps a single response)
+            const calls = [];
+            for (let from = 0; ; from += ROLLUP_PAGE_SIZE) {
+                const { data, error } = await this.supabase
+                    .from('call_logs')
+                    .select(`user_id, assistant_id, status, duration_seconds, cost, transferred, tags, sentiment, ${CONVERSATION_METRICS.join(', ')}, started_at`)
+                    .gte('started_at', bounds.start.toISOString())
+                    .lt('started_at', bounds.end.toISOString())
+                    .order('id', { ascending: true })
+                    .range(from, from + ROLLUP_PAGE_SIZE - 1);
+
+                if (error) throw error;
+
+                calls.push(...(data || []));
+                if (!data || data.length < ROLLUP_PAGE_SIZE) break;
+            }
 
-            if (error || !data) {
-                return { success: false, error: 'Assistant not found' };
+            const rows = this.aggregateCalls(calls, periodType, bounds)
+                .map(row => ({ ...row, updated_at: runStartedAt }));
+
+            if (rows.length > 0) {
+                const { error } = await this.supabase
+                    .from('call_analytics')
+                    .upsert(rows, { onConflict: 'user_id,assistant_id,period_type,period_start' });
+
+                if (error) throw error;
             }
 
-            return {
-                success: true,
-                data: {
-                    user_id: data.user_id,
-                    assistant_id: data.id
-                }
-            };
+            // Drop rows for users/assistants that no longer have calls in this period
+            await this.supabase
+                .from('call_analytics')
+                .delete()
+                .eq('period_type', periodType)
+                .eq('period_start', bounds.start.toISOString())
+                .lt('updated_at', runStartedAt);
+
+            return { success: true, periodStart: bounds.start.toISOString(), rows: rows.length, calls: calls.length };
         } catch (error) {
-            console.error('Database lookup error:', error);
-            return { success: false, error: 'Database error' };
+            console.error(`Error rolling up ${periodType} analytics:`, error);
+            return { success: false, error: 'Failed to roll up call analytics' };
         }
     }
 
-    // Helper method to lookup user by phone number
-    async getUserByPhoneNumber(phoneNumber) {
+    // Scheduled rollup job: current periods plus every period with calls changed since the last run
+    // (late end-of-call reports, replayed webhooks); the first run backfills all history
+    async runRollupJob({ lastRunAt, now = new Date() } = {}) {
         if (!this.supabase) {
-            return { success: false, error: 'No database connection' };
+            return { periods: 0 };
+        }
+
+        const days = new Set([now.toISOString().split('T')[0]]);
+
+        for (let from = 0; ; from += ROLLUP_PAGE_SIZE) {
+            let query = this.supabase
+                .from('call_logs')
+                .select('started_at')
+                .order('id', { ascending: true })
+                .range(from, from + ROLLUP_PAGE_SIZE - 1);
+
+            if (lastRunAt) {
+                query = query.gte('updated_at', new Date(lastRunAt.getTime() - LATE_CHANGE_SKEW_MS).toISOString());
+            }
+
+            const { data, error } = await query;
+            if (error) throw error;
+
+            (data || []).forEach(call => {
+                if (call.started_at) days.add(new Date(call.started_at).toISOString().split('T')[0]);
+            });
+
+            if (!data || data.length < ROLLUP_PAGE_SIZE) break;
+        }
+
+        // Each affected day touches one daily, weekly and monthly period
+        const periods = new Map();
+        days.forEach(day => {
+            PERIOD_TYPES.forEach(periodType => {
+                const { start } = this.getPeriodBounds(periodType, `${day}T00:00:00Z`);
+                periods.set(`${periodType}:${start.toISOString()}`, { periodType, start });
+            });
+        });
+
+        let failed = 0;
+        for (const { periodType, start } of periods.values()) {
+            const result = await this.rollupPeriod(periodType, start);
+            if (!result.success) failed++;
+        }
+
+        if (failed > 0) {
+            throw new Error(`${failed} of ${periods.size} rollup periods failed`);
+        }
+
+        return { periods: periods.size, days: days.size };
+    }
+
+    // Read rollups for a user (assistantId null = totals across assistants)
+    async getRollups(userId, filters = {}) {
+        if (!this.supabase) {
+            return { success: true, data: [] };
         }
 
         try {
-            const { data, error } = await this.supabase
-                .from('phone_numbers')
-                .select('user_id, assigned_assistant_id, id')
-                .eq('phone_number', phoneNumber)
-                .single();
+            let query = this.supabase
+                .from('call_analytics')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('period_type', filters.periodType || 'daily')
+                .order('period_start', { ascending: true });
 
-            if (error || !data) {
-                return { success: false, error: 'Phone number not found' };
+            // One assistant, every assistant (byAssistant) or the per-user totals
+            if (filters.assistantId) {
+                query = query.eq('assistant_id', filters.assistantId);
+            } else if (filters.byAssistant) {
+                query = query.not('assistant_id', 'is', null);
+            } else {
+                query = query.is('assistant_id', null);
             }
 
-            return {
-                success: true,
-                data: {
-                    user_id: data.user_id,
-                    assistant_id: data.assigned_assistant_id,
-                    phone_number_id: data.id
-                }
-            };
+            if (filters.from) query = query.gte('period_start', filters.from);
+            if (filters.to) query = query.lt('period_start', filters.to);
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return { success: true, data: data || [] };
         } catch (error) {
-            console.error('Database lookup error:', error);
-            return { success: false, error: 'Database error' };
+            console.error('Error fetching call analytics rollups:', error);
+            return { success: false, error: 'Failed to fetch call analytics' };
         }
     }
 
@@ -0,0 +1,382 @@
+// Call Log Service
+// Searching and filtering a user's call logs (full-text search, metric filters and cursor pagination)
+
+const { supabaseAdmin } = require('./supabase.service');
+
+const CALL_STATUSES = ['completed', 'failed', 'no-answer', 'busy', 'in_progress', 'cancelled'];
+const MAX_QUERY_LENGTH = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Dates without an offset ("2024-03-01" or "2024-03-01T09:00") are read in the request's time zone
+const LOCAL_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?)?$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Columns the list can be sorted on (and keyset-paginated by, together with id)
+const SORT_FIELDS = [
+    'started_at', 'ended_at', 'duration_seconds', 'cost',
+    'caller_talk_ratio', 'longest_silence_seconds', 'interruptions', 'caller_wpm', 'assistant_wpm', 'sentiment_score'
+];
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const DEFAULT_SORT = 'started_at';
+const CALLER_PREFIX_PATTERN = /^\+?\d{1,15}$/;
+
+const LIST_SELECT = `
+    *,
+    assistants (
+        id,
+        name
+    ),
+    phone_numbers (
+        id,
+        phone_number,
+        friendly_name
+    )
+`;
+
+// ts_headline marks matches with <mark>; everything else in a snippet is escaped
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+class CallLogService {
+    // Validate search parameters (returns a list of errors)
+    validateSearch(params) {
+        const errors = [];
+
+        if (!params.q || typeof params.q !== 'string' || params.q.trim().length === 0) {
+            errors.push('Search query (q) is required');
+        } else if (params.q.length > MAX_QUERY_LENGTH) {
+            errors.push(`Search query must be less than ${MAX_QUERY_LENGTH} characters`);
+        }
+
+        errors.push(...this.validateCommonFilters(params));
+
+        return errors;
+    }
+
+    // Validate list parameters (returns a list of errors)
+    validateListFilters(params) {
+        const errors = this.validateCommonFilters(params);
+
+        ['min_duration', 'max_duration'].forEach(field => {
+            if (params[field] !== undefined && params[field] !== '' &&
+                (isNaN(Number(params[field])) || Number(params[field]) < 0)) {
+                errors.push(`${field} must be a number of seconds`);
+            }
+        });
+
+        if (params.min_duration && params.max_duration && Number(params.min_duration) > Number(params.max_duration)) {
+            errors.push('min_duration must not be greater than max_duration');
+        }
+
+        if (params.caller_prefix && !CALLER_PREFIX_PATTERN.test(params.caller_prefix)) {
+            errors.push('caller_prefix must be digits, optionally starting with +');
+        }
+
+        if ((this.parseList(params.sentiment) || []).some(sentiment => !SENTIMENTS.includes(sentiment))) {
+            errors.push(`Invalid sentiment. Valid values: ${SENTIMENTS.join(', ')}`);
+        }
+
+        if ((this.parseList(params.tag) || []).some(tag => tag.length > 40)) {
+            errors.push('Tags must be less than 40 characters');
+        }
+
+        if (params.sort && !SORT_FIELDS.includes(params.sort)) {
+            errors.push(`Invalid sort. Valid values: ${SORT_FIELDS.join(', ')}`);
+        }
+
+        if (params.order && !['asc', 'desc'].includes(params.order)) {
+            errors.push('order must be asc or desc');
+        }
+
+        if (params.cursor) {
+            const cursor = this.decodeCursor(params.cursor);
+            if (!cursor) {
+                errors.push('Invalid cursor');
+            } else if (cursor.sort !== (params.sort || DEFAULT_SORT) || cursor.order !== (params.order || 'desc')) {
+                errors.push('Cursor was issued for a different sort; start again without a cursor');
+            }
+        }
+
+        return errors;
+    }
+
+    // List a user's calls, one page at a time; returns { calls, nextCursor }
+    async listCalls(userId, params) {
+        const limit = params.limit || 50;
+        const sort = params.sort || DEFAULT_SORT;
+        const ascending = params.order === 'asc';
+        const { from, to } = this.resolveDateRange(params);
+
+        let query = supabaseAdmin
+            .from('call_logs')
+            .select(LIST_SELECT)
+            .eq('user_id', userId);
+
+        if (params.assistant_id) {
+            query = query.eq('assistant_id', params.assistant_id);
+        }
+
+        if (params.phone_number_id) {
+            query = query.eq('phone_number_id', params.phone_number_id);
+        }
+
+        const statuses = this.parseList(params.status);
+        if (statuses) {
+            query = query.in('status', statuses);
+        }
+
+        const evaluations = this.parseList(params.success_evaluation);
+        if (evaluations) {
+            query = query.in('success_evaluation', evaluations);
+        }
+
+        const sentiments = this.parseList(params.sentiment);
+        if (sentiments) {
+            query = query.in('sentiment', sentiments);
+        }
+
+        // Calls with any of the given tags
+        const tags = this.parseList(params.tag);
+        if (tags) {
+            query = query.overlaps('tags', tags);
+        }
+
+        if (params.caller_prefix) {
+            query = query.like('caller_number', `${params.caller_prefix}%`);
+        }
+
+        if (params.min_duration) {
+            query = query.gte('duration_seconds', Number(params.min_duration));
+        }
+
+        if (params.max_duration) {
+            query = query.lte('duration_seconds', Number(params.max_duration));
+        }
+
+        if (from) query = query.gte('started_at', from);
+        if (to) query = query.lt('started_at', to);
+
+        if (params.cursor) {
+            query = this.applyCursor(query, this.decodeCursor(params.cursor), sort, ascending);
+        }
+
+        // One extra row tells us whether there is another page
+        const { data, error } = await query
+            .order(sort, { ascending, nullsFirst: false })
+            .order('id', { ascending })
+            .limit(limit + 1);
+
+        if (error) throw error;
+
+        const calls = (data || []).slice(0, limit);
+        const last = calls[calls.length - 1];
+
+        return {
+            calls,
+            nextCursor: data && data.length > limit
+                ? this.encodeCursor({ sort, order: ascending ? 'asc' : 'desc', value: last[sort], id: last.id })
+                : null
+        };
+    }
+
+    // Search a user's calls; returns { calls, total }
+    async searchCalls(userId, params) {
+        const limit = params.limit || 20;
+        const offset = params.offset || 0;
+        const { from, to } = this.resolveDateRange(params);
+
+        const { data, error } = await supabaseAdmin.rpc('search_call_logs', {
+            user_uuid: userId,
+            search_query: params.q.trim(),
+            assistant_uuid: params.assistant_id || null,
+            phone_number_uuid: params.phone_number_id || null,
+            status_filter: this.parseList(params.status),
+            started_from: from,
+            started_to: to,
+            result_limit: limit,
+            result_offset: offset
+        });
+
+        if (error) throw error;
+
+        const rows = data || [];
+
+        return {
+            calls: rows.map(row => ({
+                id: row.id,
+                assistantId: row.assistant_id,
+                phoneNumberId: row.phone_number_id,
+                callerNumber: row.caller_number,
+                direction: row.direction,
+                status: row.status,
+                duration: row.duration_seconds,
+                startedAt: row.started_at,
+                rank: row.rank,
+                highlights: {
+                    transcript: this.sanitizeSnippet(row.transcript_snippet),
+                    summary: this.sanitizeSnippet(row.summary_snippet),
+                    structuredData: this.sanitizeSnippet(row.structured_data_snippet)
+                }
+            })),
+            // Every row carries the full match count; an empty page past the end falls back to 0
+            total: rows.length > 0 ? Number(rows[0].total_count) : 0
+        };
+    }
+
+    // Turn from/to (+ tz) into UTC ISO bounds; a date-only "to" includes that whole day
+    resolveDateRange(params) {
+        const timeZone = params.tz || 'UTC';
+
+        return {
+            from: params.from ? this.parseDate(params.from, timeZone).toISOString() : null,
+            to: params.to ? this.parseDate(params.to, timeZone, DATE_ONLY_PATTERN.test(params.to)).toISOString() : null
+        };
+    }
+
+    // Parse a date; offset-less values are wall-clock time in timeZone (null if invalid)
+    parseDate(value, timeZone = 'UTC', endOfDay = false) {
+        if (typeof value !== 'string') return null;
+
+        const match = value.match(LOCAL_DATE_PATTERN);
+        if (!match) {
+            // Full timestamps must say which offset they are in
+            if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) return null;
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        const wallClock = new Date(`${match[1]}${match[2] || 'T00:00'}Z`);
+        if (isNaN(wallClock.getTime())) return null;
+        if (endOfDay) wallClock.setUTCDate(wallClock.getUTCDate() + 1);
+
+        // Shift by the zone's offset, then correct once in case the shift crossed a DST change
+        const firstGuess = new Date(wallClock.getTime() - this.getTimeZoneOffset(wallClock, timeZone));
+        return new Date(wallClock.getTime() - this.getTimeZoneOffset(firstGuess, timeZone));
+    }
+
+    // Check an IANA time zone name
+    isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Helper: Filters shared by search and listing
+    validateCommonFilters(params) {
+        const errors = [];
+
+        ['assistant_id', 'phone_number_id'].forEach(field => {
+            if (params[field] && !UUID_PATTERN.test(params[field])) {
+                errors.push(`${field} must be a valid id`);
+            }
+        });
+
+        const statuses = this.parseList(params.status) || [];
+        const invalidStatuses = statuses.filter(status => !CALL_STATUSES.includes(status));
+        if (invalidStatuses.length > 0) {
+            errors.push(`Invalid status: ${invalidStatuses.join(', ')}. Valid values: ${CALL_STATUSES.join(', ')}`);
+        }
+
+        if (params.tz && !this.isValidTimeZone(params.tz)) {
+            errors.push('tz must be an IANA time zone such as Europe/Berlin');
+            return errors;
+        }
+
+        ['from', 'to'].forEach(field => {
+            if (params[field] && !this.parseDate(params[field], params.tz || 'UTC')) {
+                errors.push(`${field} must be a date (YYYY-MM-DD) or a timestamp`);
+            }
+        });
+
+        if (params.from && params.to && errors.length === 0) {
+            const { from, to } = this.resolveDateRange(params);
+            if (from >= to) {
+                errors.push('from must be before to');
+            }
+        }
+
+        return errors;
+    }
+
+    // Helper: Keyset condition for rows after the cursor (nulls sort last in both directions)
+    applyCursor(query, cursor, sort, ascending) {
+        const idOperator = ascending ? 'gt' : 'lt';
+
+        if (cursor.value === null || cursor.value === undefined) {
+            return query.is(sort, null)[idOperator]('id', cursor.id);
+        }
+
+        const value = `"${cursor.value}"`;
+        return query.or(
+            `${sort}.${idOperator}.${value},and(${sort}.eq.${value},id.${idOperator}.${cursor.id}),${sort}.is.null`
+        );
+    }
+
+    // Helper: Opaque cursor for the next page
+    encodeCursor(cursor) {
+        return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+    }
+
+    // Helper: Decode and check a cursor (null if it was tampered with)
+    decodeCursor(encoded) {
+        try {
+            const cursor = JSON.parse(Buffer.from(String(encoded), 'base64url').toString('utf8'));
+
+            const validValue = cursor.value === null ||
+                typeof cursor.value === 'number' ||
+                (typeof cursor.value === 'string' && !/["\\]/.test(cursor.value));
+
+            if (!SORT_FIELDS.includes(cursor.sort) || !UUID_PATTERN.test(cursor.id) || !validValue) {
+                return null;
+            }
+
+            return cursor;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Helper: "a,b" or ['a', 'b'] -> ['a', 'b'] (null when empty)
+    parseList(value) {
+        if (!value) return null;
+
+        const items = (Array.isArray(value) ? value : String(value).split(','))
+            .map(item => String(item).trim())
+            .filter(Boolean);
+
+        return items.length > 0 ? items : null;
+    }
+
+    // Helper: Offset of a time zone from UTC at an instant, in ms
+    getTimeZoneOffset(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date);
+
+        const values = {};
+        parts.forEach(part => { values[part.type] = Number(part.value); });
+
+        const wallClock = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+        return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    // Helper: Escape a snippet but keep the <mark> highlights
+    sanitizeSnippet(snippet) {
+        if (!snippet) return null;
+
+        return snippet
+            .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+            .replace(/&lt;(\/?)mark&gt;/g, '<$1mark>');
+    }
+}
+
+module.exports = new CallLogService();
@@ -0,0 +1,351 @@
+// Call Routing Service
+// Routing rules for VAPI assistant-request: pick an assistant per inbound call and personalize the first message
+
+const { supabaseAdmin } = require('./supabase.service');
+const businessHoursService = require('./business-hours.service');
+
+const MAX_RULES_PER_USER = 50;
+const MAX_HISTORY_CALLS = 20;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// structured_data keys that usually hold the caller's name
+const NAME_FIELDS = ['caller_name', 'customer_name', 'full_name', 'name', 'first_name'];
+
+class CallRoutingService {
+    // Validate a routing rule (returns a list of errors)
+    validateRule(rule) {
+        const errors = [];
+
+        if (!rule.name || typeof rule.name !== 'string' || rule.name.trim().length === 0) {
+            errors.push('Rule name is required');
+        } else if (rule.name.length > 100) {
+            errors.push('Rule name must be less than 100 characters');
+        }
+
+        if (!rule.assistant_id || typeof rule.assistant_id !== 'string') {
+            errors.push('Target assistant is required');
+        }
+
+        if (rule.priority !== undefined && (isNaN(parseInt(rule.priority)) || parseInt(rule.priority) < 0)) {
+            errors.push('Priority must be a positive number');
+        }
+
+        if (rule.first_message && (typeof rule.first_message !== 'string' || rule.first_message.length > 500)) {
+            errors.push('First message must be less than 500 characters');
+        }
+
+        const conditions = rule.conditions || {};
+        if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+            errors.push('Conditions must be an object');
+            return errors;
+        }
+
+        ['dialed_numbers', 'caller_numbers', 'caller_prefixes'].forEach(field => {
+            if (conditions[field] !== undefined && (!Array.isArray(conditions[field]) || conditions[field].some(value => typeof value !== 'string'))) {
+                errors.push(`${field} must be a list of phone numbers`);
+            }
+        });
+
+        if (conditions.caller_history !== undefined && !['new', 'returning'].includes(conditions.caller_history)) {
+            errors.push('caller_history must be "new" or "returning"');
+        }
+
+        if (conditions.min_previous_calls !== undefined && (isNaN(parseInt(conditions.min_previous_calls)) || parseInt(conditions.min_previous_calls) < 0)) {
+            errors.push('min_previous_calls must be a positive number');
+        }
+
+        if (conditions.time_of_day !== undefined) {
+            errors.push(...this.validateTimeWindow(conditions.time_of_day, 'time_of_day'));
+        }
+
+        return errors;
+    }
+
+    // Validate a { start, end, timezone, days } window (also used for campaign calling windows)
+    validateTimeWindow(timeWindow, label) {
+        const errors = [];
+
+        if (!timeWindow || typeof timeWindow !== 'object') {
+            return [`${label} must be an object`];
+        }
+
+        if (!TIME_PATTERN.test(timeWindow.start) || !TIME_PATTERN.test(timeWindow.end)) {
+            errors.push(`${label} needs HH:MM start and end times`);
+        }
+
+        if (timeWindow.timezone && !businessHoursService.isValidTimezone(timeWindow.timezone)) {
+            errors.push(`Invalid timezone: ${timeWindow.timezone}`);
+        }
+
+        if (timeWindow.days && (!Array.isArray(timeWindow.days) || timeWindow.days.some(day => !WEEKDAYS.includes(day)))) {
+            errors.push(`${label} days must be weekday names`);
+        }
+
+        return errors;
+    }
+
+    // Get a user's routing rules (highest priority first)
+    async getRules(userId, filters = {}) {
+        try {
+            let query = supabaseAdmin
+                .from('routing_rules')
+                .select('*')
+                .eq('user_id', userId)
+                .order('priority', { ascending: false })
+                .order('created_at', { ascending: true });
+
+            if (filters.activeOnly) {
+                query = query.eq('is_active', true);
+            }
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error getting routing rules:', error);
+            return [];
+        }
+    }
+
+    // Get a specific routing rule
+    async getRule(ruleId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('routing_rules')
+                .select('*')
+                .eq('id', ruleId)
+                .eq('user_id', userId)
+                .single();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error getting routing rule:', error);
+            return null;
+        }
+    }
+
+    // Create a routing rule
+    async createRule(userId, rule) {
+        try {
+            const { count } = await supabaseAdmin
+                .from('routing_rules')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId);
+
+            if (count >= MAX_RULES_PER_USER) {
+                return { success: false, error: `Maximum ${MAX_RULES_PER_USER} routing rules allowed` };
+            }
+
+            const { data, error } = await supabaseAdmin
+                .from('routing_rules')
+                .insert({
+                    user_id: userId,
+                    ...this.buildRuleFields(rule)
+                })
+                .select()
+                .single();
+
+            if (error) throw error;
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error creating routing rule:', error);
+            return { success: false, error: 'Failed to create routing rule' };
+        }
+    }
+
+    // Replace a routing rule
+    async updateRule(ruleId, userId, rule) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('routing_rules')
+                .update({
+                    ...this.buildRuleFields(rule),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', ruleId)
+                .eq('user_id', userId)
+                .select();
+
+            if (error) throw error;
+
+            if (!data || data.length === 0) {
+                return { success: false, error: 'Routing rule not found' };
+            }
+
+            return { success: true, data: data[0] };
+        } catch (error) {
+            console.error('Error updating routing rule:', error);
+            return { success: false, error: 'Failed to update routing rule' };
+        }
+    }
+
+    // Delete a routing rule
+    async deleteRule(ruleId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('routing_rules')
+                .delete()
+                .eq('id', ruleId)
+                .eq('user_id', userId)
+                .select('id');
+
+            if (error) throw error;
+            return !!(data && data.length > 0);
+        } catch (error) {
+            console.error('Error deleting routing rule:', error);
+            return false;
+        }
+    }
+
+    // Helper: Columns stored for a rule
+    buildRuleFields(rule) {
+        return {
+            name: rule.name.trim(),
+            assistant_id: rule.assistant_id,
+            phone_number_id: rule.phone_number_id || null,
+            priority: rule.priority !== undefined ? parseInt(rule.priority) : 0,
+            conditions: rule.conditions || {},
+            first_message: rule.first_message || null,
+            is_active: rule.is_active !== false
+        };
+    }
+
+    // Load what we know about a caller from their previous calls
+    async getCallerHistory(userId, callerNumber) {
+        const history = { previousCalls: 0, lastCallAt: null, callerName: null };
+        if (!callerNumber) return history;
+
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('call_logs')
+                .select('started_at, structured_data')
+                .eq('user_id', userId)
+                .eq('caller_number', callerNumber)
+                .order('started_at', { ascending: false })
+                .limit(MAX_HISTORY_CALLS);
+
+            if (error) throw error;
+
+            const calls = data || [];
+            history.previousCalls = calls.length;
+            history.lastCallAt = calls[0]?.started_at || null;
+
+            // Most recent call that captured a name
+            for (const call of calls) {
+                const name = this.extractCallerName(call.structured_data);
+                if (name) {
+                    history.callerName = name;
+                    break;
+                }
+            }
+
+            return history;
+        } catch (error) {
+            console.error('Error getting caller history:', error);
+            return history;
+        }
+    }
+
+    // Helper: Pull a caller name out of structured_data
+    extractCallerName(structuredData) {
+        if (!structuredData || typeof structuredData !== 'object') return null;
+
+        for (const field of NAME_FIELDS) {
+            const value = structuredData[field];
+            if (typeof value === 'string' && value.trim().length > 0) {
+                return value.trim();
+            }
+        }
+
+        return null;
+    }
+
+    // Find the first matching rule for a call (rules must be sorted by priority)
+    matchRule(rules, context) {
+        return rules.find(rule => {
+            if (rule.is_active === false) return false;
+            if (rule.phone_number_id && rule.phone_number_id !== context.phoneNumberId) return false;
+
+            return this.matchesConditions(rule.conditions || {}, context);
+        }) || null;
+    }
+
+    // Check every condition on a rule (all must pass)
+    matchesConditions(conditions, context) {
+        if (conditions.dialed_numbers?.length && !conditions.dialed_numbers.includes(context.dialedNumber)) {
+            return false;
+        }
+
+        if (conditions.caller_numbers?.length && !conditions.caller_numbers.includes(context.callerNumber)) {
+            return false;
+        }
+
+        if (conditions.caller_prefixes?.length &&
+            !conditions.caller_prefixes.some(prefix => (context.callerNumber || '').startsWith(prefix))) {
+            return false;
+        }
+
+        const previousCalls = context.history?.previousCalls || 0;
+
+        if (conditions.caller_history === 'new' && previousCalls > 0) return false;
+        if (conditions.caller_history === 'returning' && previousCalls === 0) return false;
+
+        if (conditions.min_previous_calls !== undefined && previousCalls < parseInt(conditions.min_previous_calls)) {
+            return false;
+        }
+
+        if (conditions.time_of_day && !this.matchesTimeOfDay(conditions.time_of_day, context.now || new Date())) {
+            return false;
+        }
+
+        return true;
+    }
+
+    // Check a time window (supports windows that wrap past midnight)
+    matchesTimeOfDay(timeOfDay, now) {
+        const local = businessHoursService.getLocalTime(timeOfDay.timezone || 'UTC', now);
+
+        if (timeOfDay.days?.length && !timeOfDay.days.includes(local.weekday)) {
+            return false;
+        }
+
+        const start = businessHoursService.toMinutes(timeOfDay.start);
+        const end = businessHoursService.toMinutes(timeOfDay.end);
+
+        return start <= end
+            ? local.minutes >= start && local.minutes < end
+            : local.minutes >= start || local.minutes < end;
+    }
+
+    // Template variables available in first messages ({{caller_name}}, {{previous_calls}} ...)
+    buildVariables(context) {
+        const history = context.history || {};
+
+        return {
+            caller_name: history.callerName || '',
+            caller_number: context.callerNumber || '',
+            dialed_number: context.dialedNumber || '',
+            previous_calls: String(history.previousCalls || 0),
+            last_call_date: history.lastCallAt ? history.lastCallAt.split('T')[0] : ''
+        };
+    }
+
+    // Render {{variable}} and {{variable|fallback}} placeholders
+    renderTemplate(text, variables) {
+        if (!text || !text.includes('{{')) return text;
+
+        return text
+            .replace(/\{\{\s*([a-z_]+)\s*(?:\|([^}]*))?\}\}/gi, (match, name, fallback) => {
+                const value = variables[name.toLowerCase()];
+                return value ? value : (fallback || '').trim();
+            })
+            .replace(/\s+([,.!?])/g, '$1')
+            .replace(/\s{2,}/g, ' ')
+            .trim();
+    }
+}
+
+module.exports = new CallRoutingService();
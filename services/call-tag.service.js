@@ -0,0 +1,622 @@
+// Call Tag Service
+// Rule-based call tags (keywords, regex, structured_data conditions) applied after each end-of-call-report
+
+const vm = require('vm');
+const { supabaseAdmin } = require('./supabase.service');
+
+const MAX_TAGS_PER_USER = 50;
+const MAX_RULES_PER_TAG = 20;
+const MAX_KEYWORDS_PER_RULE = 50;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_TEXT_LENGTH = 100000; // Long transcripts are cut before keyword matching
+const MAX_REGEX_TEXT_LENGTH = 20000; // Tenant regexes see less text, backtracking cost grows with it
+const REGEX_TIMEOUT_MS = 50; // A regex that runs longer counts as no match instead of blocking the event loop
+const RETAG_BATCH_SIZE = 500;
+
+const TAG_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _\-&/]{0,39}$/u;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const RULE_TYPES = ['keywords', 'regex', 'structured_data'];
+const TEXT_FIELDS = ['transcript', 'summary', 'structured_data'];
+const DEFAULT_TEXT_FIELDS = ['transcript', 'summary'];
+const REGEX_FLAGS_PATTERN = /^[imsu]*$/;
+const FIELD_OPERATORS = ['equals', 'not_equals', 'contains', 'in', 'exists', 'not_exists', 'gt', 'gte', 'lt', 'lte'];
+
+class CallTagService {
+    constructor() {
+        this.retagging = false;
+        this.rerunRequested = false;
+        this.timedOutPatterns = new Set(); // Skipped after one timeout so a retag cannot hit the limit on every call
+    }
+
+    // Validate a tag and its rules (returns a list of errors)
+    validateTag(tag) {
+        const errors = [];
+
+        if (!tag.name || typeof tag.name !== 'string' || !TAG_NAME_PATTERN.test(tag.name.trim())) {
+            errors.push('Tag name is required (up to 40 letters, numbers, spaces, - _ & /)');
+        }
+
+        if (tag.description && (typeof tag.description !== 'string' || tag.description.length > 500)) {
+            errors.push('Description must be less than 500 characters');
+        }
+
+        if (tag.color && !COLOR_PATTERN.test(tag.color)) {
+            errors.push('Color must be a hex color such as #3b82f6');
+        }
+
+        if (tag.match !== undefined && !['any', 'all'].includes(tag.match)) {
+            errors.push('match must be "any" or "all"');
+        }
+
+        if (!Array.isArray(tag.rules) || tag.rules.length === 0) {
+            errors.push('At least one rule is required');
+            return errors;
+        }
+
+        if (tag.rules.length > MAX_RULES_PER_TAG) {
+            errors.push(`Maximum ${MAX_RULES_PER_TAG} rules per tag`);
+        }
+
+        tag.rules.forEach((rule, index) => {
+            errors.push(...this.validateRule(rule).map(error => `Rule ${index + 1}: ${error}`));
+        });
+
+        return errors;
+    }
+
+    // Validate one rule
+    validateRule(rule) {
+        if (!rule || typeof rule !== 'object' || !RULE_TYPES.includes(rule.type)) {
+            return [`type must be one of ${RULE_TYPES.join(', ')}`];
+        }
+
+        const errors = [];
+
+        if (rule.type !== 'structured_data' && rule.fields !== undefined &&
+            (!Array.isArray(rule.fields) || rule.fields.length === 0 || rule.fields.some(field => !TEXT_FIELDS.includes(field)))) {
+            errors.push(`fields must be a list of ${TEXT_FIELDS.join(', ')}`);
+        }
+
+        if (rule.type === 'keywords') {
+            if (!Array.isArray(rule.keywords) || rule.keywords.length === 0 ||
+                rule.keywords.some(keyword => typeof keyword !== 'string' || keyword.trim().length === 0 || keyword.length > 100)) {
+                errors.push('keywords must be a list of words or phrases');
+            } else if (rule.keywords.length > MAX_KEYWORDS_PER_RULE) {
+                errors.push(`Maximum ${MAX_KEYWORDS_PER_RULE} keywords per rule`);
+            }
+        }
+
+        if (rule.type === 'regex') {
+            if (!rule.pattern || typeof rule.pattern !== 'string' || rule.pattern.length > MAX_PATTERN_LENGTH) {
+                errors.push(`pattern is required (up to ${MAX_PATTERN_LENGTH} characters)`);
+            } else if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !REGEX_FLAGS_PATTERN.test(rule.flags))) {
+                errors.push('flags may only contain i, m, s and u');
+            } else {
+                try {
+                    new RegExp(rule.pattern, rule.flags ?? 'i');
+                    const unsafe = this.findUnsafeConstruct(rule.pattern);
+                    if (unsafe) errors.push(unsafe);
+                } catch (error) {
+                    errors.push(error.message);
+                }
+            }
+        }
+
+        if (rule.type === 'structured_data') {
+            if (!rule.field || typeof rule.field !== 'string' || rule.field.length > 100) {
+                errors.push('field is required (use dots for nested fields, e.g. order.status)');
+            }
+
+            if (!FIELD_OPERATORS.includes(rule.operator)) {
+                errors.push(`operator must be one of ${FIELD_OPERATORS.join(', ')}`);
+            } else if (['gt', 'gte', 'lt', 'lte'].includes(rule.operator) && (rule.value === '' || isNaN(Number(rule.value)))) {
+                errors.push(`${rule.operator} needs a numeric value`);
+            } else if (rule.operator === 'in' && !Array.isArray(rule.value)) {
+                errors.push('in needs a list of values');
+            } else if (!['exists', 'not_exists', 'in'].includes(rule.operator) && (rule.value === undefined || rule.value === null)) {
+                errors.push(`${rule.operator} needs a value`);
+            }
+        }
+
+        return errors;
+    }
+
+    // Get a user's tags
+    async getTags(userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('call_tags')
+                .select('*')
+                .eq('user_id', userId)
+                .order('name', { ascending: true });
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error getting call tags:', error);
+            return [];
+        }
+    }
+
+    // Get a specific tag
+    async getTag(tagId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('call_tags')
+                .select('*')
+                .eq('id', tagId)
+                .eq('user_id', userId)
+                .single();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error getting call tag:', error);
+            return null;
+        }
+    }
+
+    // Create a tag (existing calls are tagged in the background)
+    async createTag(userId, tag) {
+        try {
+            const { count } = await supabaseAdmin
+                .from('call_tags')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId);
+
+            if (count >= MAX_TAGS_PER_USER) {
+                return { success: false, error: `Maximum ${MAX_TAGS_PER_USER} tags allowed` };
+            }
+
+            const { data, error } = await supabaseAdmin
+                .from('call_tags')
+                .insert({
+                    user_id: userId,
+                    ...this.buildTagFields(tag)
+                })
+                .select()
+                .single();
+
+            if (error) {
+                if (error.code === '23505') {
+                    return { success: false, error: 'A tag with this name already exists' };
+                }
+                throw error;
+            }
+
+            await this.queueRetag(userId);
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error creating call tag:', error);
+            return { success: false, error: 'Failed to create tag' };
+        }
+    }
+
+    // Replace a tag (historical calls are re-tagged in the background)
+    async updateTag(tagId, userId, tag) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('call_tags')
+                .update({
+                    ...this.buildTagFields(tag),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', tagId)
+                .eq('user_id', userId)
+                .select();
+
+            if (error) {
+                if (error.code === '23505') {
+                    return { success: false, error: 'A tag with this name already exists' };
+                }
+                throw error;
+            }
+
+            if (!data || data.length === 0) {
+                return { success: false, error: 'Tag not found' };
+            }
+
+            await this.queueRetag(userId);
+            return { success: true, data: data[0] };
+        } catch (error) {
+            console.error('Error updating call tag:', error);
+            return { success: false, error: 'Failed to update tag' };
+        }
+    }
+
+    // Delete a tag (removed from calls in the background)
+    async deleteTag(tagId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('call_tags')
+                .delete()
+                .eq('id', tagId)
+                .eq('user_id', userId)
+                .select('id');
+
+            if (error) throw error;
+            if (!data || data.length === 0) return false;
+
+            await this.queueRetag(userId);
+            return true;
+        } catch (error) {
+            console.error('Error deleting call tag:', error);
+            return false;
+        }
+    }
+
+    // Tag a finished call with the user's active tags (failures are logged, the call is retagged on the next edit)
+    async tagCall(callLog) {
+        if (!callLog?.user_id) return null;
+
+        const tags = await this.loadActiveTags(callLog.user_id);
+        const names = this.matchTags(tags, callLog);
+
+        const { error } = await supabaseAdmin
+            .from('call_logs')
+            .update({ tags: names })
+            .eq('id', callLog.id);
+
+        if (error) throw error;
+        return names;
+    }
+
+    // Names of the tags a call matches (sorted)
+    matchTags(tags, callLog) {
+        return tags
+            .filter(tag => tag.is_active !== false && this.matchesTag(tag, callLog))
+            .map(tag => tag.name)
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    // Check a tag's rules ("any" by default)
+    matchesTag(tag, callLog) {
+        const rules = tag.rules || [];
+        if (rules.length === 0) return false;
+
+        return tag.match === 'all'
+            ? rules.every(rule => this.matchesRule(rule, callLog))
+            : rules.some(rule => this.matchesRule(rule, callLog));
+    }
+
+    // Check one rule against a call
+    matchesRule(rule, callLog) {
+        try {
+            if (rule.type === 'structured_data') {
+                return this.matchesFieldCondition(rule, callLog.structured_data);
+            }
+
+            const text = this.getMatchText(callLog, rule.fields || DEFAULT_TEXT_FIELDS);
+            if (!text) return false;
+
+            if (rule.type === 'keywords') {
+                return rule.keywords.some(keyword => this.buildKeywordPattern(keyword).test(text));
+            }
+
+            if (rule.type === 'regex') {
+                return this.testPattern(rule, text.slice(0, MAX_REGEX_TEXT_LENGTH));
+            }
+        } catch (error) {
+            console.error('Error evaluating tag rule:', error.message);
+        }
+
+        return false;
+    }
+
+    // Run a tenant regex in a separate context with a time limit (timeouts count as no match)
+    testPattern(rule, text) {
+        const key = `${rule.flags ?? 'i'}/${rule.pattern}`;
+        if (this.timedOutPatterns.has(key)) return false;
+
+        if (!this.regexContext) {
+            this.regexContext = vm.createContext({});
+        }
+
+        Object.assign(this.regexContext, { pattern: rule.pattern, flags: rule.flags ?? 'i', text });
+
+        try {
+            return vm.runInContext('new RegExp(pattern, flags).test(text)', this.regexContext, { timeout: REGEX_TIMEOUT_MS }) === true;
+        } catch (error) {
+            if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                this.timedOutPatterns.add(key);
+                console.warn(`Tag regex timed out after ${REGEX_TIMEOUT_MS}ms: ${rule.pattern}`);
+                return false;
+            }
+            throw error;
+        } finally {
+            this.regexContext.text = null;
+        }
+    }
+
+    // Helper: Reject regex constructs that can backtrack exponentially (returns an error or null)
+    findUnsafeConstruct(pattern) {
+        const groups = [{ repeats: false }];
+        let i = 0;
+
+        // Quantifier length at a position (0 if none); ? is left out, it cannot repeat a group
+        const quantifierAt = index => {
+            if (pattern[index] === '*' || pattern[index] === '+') return 1;
+            const bounded = pattern.slice(index).match(/^\{\d+(,\d*)?\}/);
+            return bounded ? bounded[0].length : 0;
+        };
+
+        while (i < pattern.length) {
+            const char = pattern[i];
+
+            if (char === '\\') {
+                if (/[1-9k]/.test(pattern[i + 1] || '')) {
+                    return 'pattern must not use backreferences';
+                }
+                i += 2;
+            } else if (char === '[') {
+                // Skip the character class
+                i++;
+                while (i < pattern.length && pattern[i] !== ']') {
+                    i += pattern[i] === '\\' ? 2 : 1;
+                }
+                i++;
+            } else if (char === '(') {
+                groups.push({ repeats: false });
+                const prefix = pattern.slice(i).match(/^\((\?(<[=!]|<[^>]*>|[:=!]))?/);
+                i += prefix[0].length;
+            } else if (char === ')') {
+                const group = groups.length > 1 ? groups.pop() : { repeats: false };
+                const quantifier = quantifierAt(i + 1);
+
+                if (group.repeats && quantifier > 0) {
+                    return 'pattern must not repeat a group that already repeats, e.g. (a+)+';
+                }
+
+                groups[groups.length - 1].repeats = groups[groups.length - 1].repeats || group.repeats || quantifier > 0;
+                i += 1 + quantifier;
+            } else {
+                const quantifier = quantifierAt(i);
+                if (quantifier > 0) {
+                    groups[groups.length - 1].repeats = true;
+                    i += quantifier;
+                } else {
+                    i++;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Check a structured_data field condition
+    matchesFieldCondition(rule, structuredData) {
+        const value = this.getFieldValue(structuredData, rule.field);
+        const present = value !== undefined && value !== null && value !== '';
+
+        switch (rule.operator) {
+            case 'exists':
+                return present;
+            case 'not_exists':
+                return !present;
+            case 'equals':
+                return present && this.normalizeValue(value) === this.normalizeValue(rule.value);
+            case 'not_equals':
+                return !present || this.normalizeValue(value) !== this.normalizeValue(rule.value);
+            case 'contains':
+                return present && (Array.isArray(value)
+                    ? value.some(item => this.normalizeValue(item) === this.normalizeValue(rule.value))
+                    : this.normalizeValue(value).includes(this.normalizeValue(rule.value)));
+            case 'in':
+                return present && rule.value.some(option => this.normalizeValue(option) === this.normalizeValue(value));
+            case 'gt':
+                return present && Number(value) > Number(rule.value);
+            case 'gte':
+                return present && Number(value) >= Number(rule.value);
+            case 'lt':
+                return present && Number(value) < Number(rule.value);
+            case 'lte':
+                return present && Number(value) <= Number(rule.value);
+            default:
+                return false;
+        }
+    }
+
+    // Ask for a user's calls to be re-tagged (durable, so a restart picks it up)
+    async queueRetag(userId) {
+        const { error } = await supabaseAdmin
+            .from('call_tag_retags')
+            .upsert({ user_id: userId, requested_at: new Date().toISOString() }, { onConflict: 'user_id' });
+
+        if (error) {
+            console.error('Error queueing call re-tag:', error);
+            return;
+        }
+
+        setImmediate(() => this.processRetags().catch(() => {})); // Already logged; the scheduled job retries
+    }
+
+    // Re-tag every user with a pending request (one pass at a time; a request during a pass triggers another)
+    async processRetags() {
+        if (this.retagging) {
+            this.rerunRequested = true;
+            return { retaggedUsers: 0 };
+        }
+
+        this.retagging = true;
+        let retaggedUsers = 0;
+
+        try {
+            do {
+                this.rerunRequested = false;
+
+                const { data: requests, error } = await supabaseAdmin
+                    .from('call_tag_retags')
+                    .select('user_id, requested_at')
+                    .order('requested_at', { ascending: true });
+
+                if (error) throw error;
+
+                for (const request of requests || []) {
+                    await this.retagUser(request.user_id);
+                    retaggedUsers++;
+
+                    // Only clear the request if no tag was edited while we were running
+                    await supabaseAdmin
+                        .from('call_tag_retags')
+                        .delete()
+                        .eq('user_id', request.user_id)
+                        .eq('requested_at', request.requested_at);
+                }
+            } while (this.rerunRequested);
+        } catch (error) {
+            console.error('Error re-tagging calls:', error);
+            throw error;
+        } finally {
+            this.retagging = false;
+        }
+
+        return { retaggedUsers };
+    }
+
+    // Recompute tags on all of a user's calls (only changed rows are written)
+    async retagUser(userId) {
+        const tags = await this.loadActiveTags(userId);
+        let lastId = null;
+        let updated = 0;
+
+        while (true) {
+            let query = supabaseAdmin
+                .from('call_logs')
+                .select('id, transcript, summary, structured_data, tags')
+                .eq('user_id', userId)
+                .order('id', { ascending: true })
+                .limit(RETAG_BATCH_SIZE);
+
+            if (lastId) {
+                query = query.gt('id', lastId);
+            }
+
+            const { data: calls, error } = await query;
+            if (error) throw error;
+            if (!calls || calls.length === 0) break;
+
+            for (const call of calls) {
+                const names = this.matchTags(tags, call);
+                const current = [...(call.tags || [])].sort((a, b) => a.localeCompare(b));
+
+                if (names.join('\n') === current.join('\n')) continue;
+
+                const { error: updateError } = await supabaseAdmin
+                    .from('call_logs')
+                    .update({ tags: names })
+                    .eq('id', call.id);
+
+                if (updateError) throw updateError;
+                updated++;
+            }
+
+            lastId = calls[calls.length - 1].id;
+            if (calls.length < RETAG_BATCH_SIZE) break;
+        }
+
+        if (updated > 0) {
+            console.log(`🏷️ Re-tagged ${updated} calls for user ${userId}`);
+        }
+
+        return updated;
+    }
+
+    // Helper: Active tags for matching (throws, so a failed read never clears tags on calls)
+    async loadActiveTags(userId) {
+        const { data, error } = await supabaseAdmin
+            .from('call_tags')
+            .select('name, match, rules, is_active')
+            .eq('user_id', userId)
+            .eq('is_active', true);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Helper: Columns stored for a tag
+    buildTagFields(tag) {
+        return {
+            name: tag.name.trim(),
+            description: tag.description || null,
+            color: tag.color || null,
+            match: tag.match || 'any',
+            rules: tag.rules.map(rule => this.normalizeRule(rule)),
+            is_active: tag.is_active !== false
+        };
+    }
+
+    // Helper: Keep only the keys a rule type uses
+    normalizeRule(rule) {
+        switch (rule.type) {
+            case 'keywords':
+                return {
+                    type: 'keywords',
+                    keywords: rule.keywords.map(keyword => keyword.trim()),
+                    fields: rule.fields || DEFAULT_TEXT_FIELDS
+                };
+            case 'regex':
+                return {
+                    type: 'regex',
+                    pattern: rule.pattern,
+                    flags: rule.flags ?? 'i',
+                    fields: rule.fields || DEFAULT_TEXT_FIELDS
+                };
+            default:
+                return {
+                    type: 'structured_data',
+                    field: rule.field,
+                    operator: rule.operator,
+                    value: rule.value ?? null
+                };
+        }
+    }
+
+    // Helper: Text a rule looks at (structured_data contributes its values)
+    getMatchText(callLog, fields) {
+        return fields
+            .map(field => {
+                if (field === 'structured_data') {
+                    return this.flattenValues(callLog.structured_data).join('\n');
+                }
+                return callLog[field] || '';
+            })
+            .filter(Boolean)
+            .join('\n')
+            .slice(0, MAX_MATCH_TEXT_LENGTH);
+    }
+
+    // Helper: Whole-word, case-insensitive match; words in a phrase may be split by any whitespace
+    buildKeywordPattern(keyword) {
+        const phrase = keyword
+            .trim()
+            .split(/\s+/)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('\\s+');
+
+        return new RegExp(`(?<![\\p{L}\\p{N}])${phrase}(?![\\p{L}\\p{N}])`, 'iu');
+    }
+
+    // Helper: Read "a.b.c" from structured_data
+    getFieldValue(structuredData, path) {
+        if (!structuredData || typeof structuredData !== 'object') return undefined;
+
+        return path.split('.').reduce(
+            (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+            structuredData
+        );
+    }
+
+    // Helper: All scalar values in structured_data
+    flattenValues(value) {
+        if (value === null || value === undefined) return [];
+        if (typeof value !== 'object') return [String(value)];
+        return Object.values(value).flatMap(item => this.flattenValues(item));
+    }
+
+    // Helper: Compare values case-insensitively as text ("Yes" equals "yes", 5 equals "5")
+    normalizeValue(value) {
+        return String(value).trim().toLowerCase();
+    }
+}
+
+module.exports = new CallTagService();
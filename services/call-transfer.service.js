@@ -0,0 +1,141 @@
+// Call Transfer Service
+// Human handoff settings per assistant: transferCall tool for VAPI and transfer tracking on call_logs
+
+const { supabaseAdmin } = require('./supabase.service');
+
+const MAX_TRANSFER_DESTINATIONS = 5;
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+const SIP_URI_PATTERN = /^sips?:[^\s@]+@[^\s]+$/i;
+
+class CallTransferService {
+    // Validate transfer settings from assistant form data
+    validateTransferSettings(data) {
+        const errors = [];
+
+        if (data.transfer_announcement !== undefined && data.transfer_announcement !== null && data.transfer_announcement !== '') {
+            if (typeof data.transfer_announcement !== 'string') {
+                errors.push('Transfer announcement must be text');
+            } else if (data.transfer_announcement.length > 300) {
+                errors.push('Transfer announcement must be less than 300 characters');
+            }
+        }
+
+        if (data.transfer_destinations === undefined || data.transfer_destinations === null) {
+            return errors;
+        }
+
+        if (!Array.isArray(data.transfer_destinations)) {
+            errors.push('Transfer destinations must be an array');
+            return errors;
+        }
+
+        if (data.transfer_destinations.length > MAX_TRANSFER_DESTINATIONS) {
+            errors.push(`Maximum ${MAX_TRANSFER_DESTINATIONS} transfer destinations allowed`);
+        }
+
+        data.transfer_destinations.forEach((destination, index) => {
+            const label = `Transfer destination ${index + 1}`;
+
+            if (!destination || typeof destination !== 'object') {
+                errors.push(`${label}: invalid destination`);
+                return;
+            }
+
+            if (destination.type === 'sip') {
+                if (!destination.sip_uri || !SIP_URI_PATTERN.test(destination.sip_uri)) {
+                    errors.push(`${label}: SIP URI must look like sip:user@host`);
+                }
+            } else if (destination.type === 'number') {
+                if (!destination.number || !E164_PATTERN.test(destination.number)) {
+                    errors.push(`${label}: phone number must be in E.164 format (e.g. +14155550123)`);
+                }
+            } else {
+                errors.push(`${label}: type must be "number" or "sip"`);
+            }
+
+            if (!destination.description || typeof destination.description !== 'string' || destination.description.trim().length === 0) {
+                errors.push(`${label}: description is required`);
+            } else if (destination.description.length > 200) {
+                errors.push(`${label}: description must be less than 200 characters`);
+            }
+
+            if (destination.message && (typeof destination.message !== 'string' || destination.message.length > 300)) {
+                errors.push(`${label}: message must be less than 300 characters`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Check if the form data has any transfer destination configured
+    hasDestinations(formData) {
+        return Array.isArray(formData.transfer_destinations) && formData.transfer_destinations.length > 0;
+    }
+
+    // Build the VAPI transferCall tool (VAPI performs the transfer itself)
+    buildTransferTool(formData) {
+        const destinations = formData.transfer_destinations.map(destination => {
+            const vapiDestination = destination.type === 'sip'
+                ? { type: 'sip', sipUri: destination.sip_uri }
+                : { type: 'number', number: destination.number };
+
+            vapiDestination.description = destination.description;
+
+            // Per-destination message wins over the assistant-wide announcement
+            const message = destination.message || formData.transfer_announcement;
+            if (message) {
+                vapiDestination.message = message;
+            }
+
+            return vapiDestination;
+        });
+
+        return {
+            type: 'transferCall',
+            destinations
+        };
+    }
+
+    // Describe a VAPI destination for storage ("+14155550123" or "sip:desk@example.com")
+    describeDestination(destination) {
+        if (!destination) return null;
+        return destination.number || destination.sipUri || destination.description || null;
+    }
+
+    // Record a transfer on the call log (throws on failure so the webhook event is retried)
+    async recordTransfer(vapiCallId, destination, transferredAt = new Date().toISOString()) {
+        if (!vapiCallId) return;
+
+        const update = {
+            transferred: true,
+            updated_at: new Date().toISOString()
+        };
+
+        const destinationLabel = this.describeDestination(destination);
+        if (destinationLabel) {
+            update.transfer_destination = destinationLabel;
+        }
+
+        // Keep the first transfer time if the report arrives after the transfer update
+        const { data: existing, error: existingError } = await supabaseAdmin
+            .from('call_logs')
+            .select('transferred_at')
+            .eq('vapi_call_id', vapiCallId)
+            .maybeSingle();
+
+        if (existingError) throw existingError;
+
+        if (!existing?.transferred_at) {
+            update.transferred_at = transferredAt;
+        }
+
+        const { error } = await supabaseAdmin
+            .from('call_logs')
+            .update(update)
+            .eq('vapi_call_id', vapiCallId);
+
+        if (error) throw error;
+    }
+}
+
+module.exports = new CallTransferService();
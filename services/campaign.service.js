@@ -0,0 +1,601 @@
+// Campaign Service
+// Outbound campaigns: contact lists from CSV, calling windows, concurrency and retries, driven by an in-process dialer
+
+const { supabaseAdmin } = require('./supabase.service');
+const outboundCallService = require('./outbound-call.service');
+const knowledgeBaseService = require('./knowledge-base.service');
+const callRoutingService = require('./call-routing.service');
+
+const MAX_CONTACTS_PER_UPLOAD = 5000;
+const MAX_CONCURRENT_CALLS = 10;
+const MAX_ATTEMPTS = 5;
+const DIALER_INTERVAL_MS = 30 * 1000;
+const STALE_DIALING_MINUTES = 60; // Contacts stuck in dialing (missed webhook) go back to retry
+const INSERT_BATCH_SIZE = 500; // Keeps each insert's returned rows under PostgREST's row cap
+const CONTACT_STATUSES = ['queued', 'dialing', 'completed', 'no-answer', 'retry', 'failed'];
+
+// CSV headers recognized as the phone number and name columns
+const PHONE_HEADERS = ['phone', 'phone_number', 'number', 'mobile', 'telephone'];
+const NAME_HEADERS = ['name', 'full_name', 'contact_name', 'first_name'];
+
+// VAPI ended reasons that mean nobody picked up
+const NO_ANSWER_REASONS = ['customer-did-not-answer', 'customer-busy', 'voicemail', 'no-answer', 'busy'];
+
+class CampaignService {
+    constructor() {
+        this.dialerTimer = null;
+        this.dialerRunning = false;
+    }
+
+    // Validate campaign settings (returns a list of errors)
+    validateCampaign(data) {
+        const errors = [];
+
+        if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+            errors.push('Campaign name is required');
+        } else if (data.name.length > 100) {
+            errors.push('Campaign name must be less than 100 characters');
+        }
+
+        if (!data.assistant_id) {
+            errors.push('Assistant is required');
+        }
+
+        if (!data.phone_number_id) {
+            errors.push('Phone number to call from is required');
+        }
+
+        if (data.max_concurrent_calls !== undefined) {
+            const concurrency = parseInt(data.max_concurrent_calls);
+            if (isNaN(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENT_CALLS) {
+                errors.push(`Concurrent calls must be between 1 and ${MAX_CONCURRENT_CALLS}`);
+            }
+        }
+
+        if (data.max_attempts !== undefined) {
+            const attempts = parseInt(data.max_attempts);
+            if (isNaN(attempts) || attempts < 1 || attempts > MAX_ATTEMPTS) {
+                errors.push(`Attempts per contact must be between 1 and ${MAX_ATTEMPTS}`);
+            }
+        }
+
+        if (data.retry_delay_minutes !== undefined) {
+            const delay = parseInt(data.retry_delay_minutes);
+            if (isNaN(delay) || delay < 5 || delay > 10080) {
+                errors.push('Retry delay must be between 5 minutes and 7 days');
+            }
+        }
+
+        if (data.calling_window) {
+            // Same shape as a routing rule time_of_day condition
+            errors.push(...callRoutingService.validateTimeWindow(data.calling_window, 'Calling window'));
+        }
+
+        return errors;
+    }
+
+    // Parse a contacts CSV into rows ready to insert
+    parseContacts(csvText) {
+        const rows = knowledgeBaseService.parseCSV(csvText || '')
+            .filter(row => row.some(value => value.trim()));
+
+        if (rows.length < 2) {
+            return { contacts: [], skipped: [], error: 'CSV needs a header row and at least one contact' };
+        }
+
+        const headers = rows[0].map(header => header.trim().toLowerCase().replace(/\s+/g, '_'));
+        const phoneIndex = headers.findIndex(header => PHONE_HEADERS.includes(header));
+        const nameIndex = headers.findIndex(header => NAME_HEADERS.includes(header));
+
+        if (phoneIndex === -1) {
+            return { contacts: [], skipped: [], error: `CSV needs a phone column (${PHONE_HEADERS.join(', ')})` };
+        }
+
+        const contacts = [];
+        const skipped = [];
+        const seen = new Set();
+
+        rows.slice(1, MAX_CONTACTS_PER_UPLOAD + 1).forEach((row, index) => {
+            const line = index + 2;
+            const phoneNumber = outboundCallService.normalizeNumber(row[phoneIndex]);
+
+            if (!phoneNumber) {
+                skipped.push({ line, reason: 'Invalid phone number' });
+                return;
+            }
+
+            if (seen.has(phoneNumber)) {
+                skipped.push({ line, reason: 'Duplicate phone number' });
+                return;
+            }
+            seen.add(phoneNumber);
+
+            // Every other column becomes a template variable for the assistant
+            const variables = {};
+            headers.forEach((header, columnIndex) => {
+                if (columnIndex !== phoneIndex && columnIndex !== nameIndex && header && row[columnIndex]) {
+                    variables[header] = row[columnIndex].trim();
+                }
+            });
+
+            contacts.push({
+                phone_number: phoneNumber,
+                name: nameIndex !== -1 ? (row[nameIndex] || '').trim() || null : null,
+                variables
+            });
+        });
+
+        if (rows.length - 1 > MAX_CONTACTS_PER_UPLOAD) {
+            skipped.push({ line: MAX_CONTACTS_PER_UPLOAD + 2, reason: `Only the first ${MAX_CONTACTS_PER_UPLOAD} contacts are imported` });
+        }
+
+        return { contacts, skipped };
+    }
+
+    // Get all campaigns for a user
+    async getCampaigns(userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('campaigns')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error getting campaigns:', error);
+            return [];
+        }
+    }
+
+    // Get a campaign with contact counts per status
+    async getCampaign(campaignId, userId) {
+        try {
+            const { data: campaign, error } = await supabaseAdmin
+                .from('campaigns')
+                .select('*')
+                .eq('id', campaignId)
+                .eq('user_id', userId)
+                .single();
+
+            if (error || !campaign) return null;
+
+            // Counted in the database: selecting the rows would stop at PostgREST's 1000-row cap
+            const counts = await Promise.all(CONTACT_STATUSES.map(async status => {
+                const { count, error: countError } = await supabaseAdmin
+                    .from('campaign_contacts')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('campaign_id', campaignId)
+                    .eq('status', status);
+
+                if (countError) throw countError;
+                return [status, count || 0];
+            }));
+
+            const statusCounts = Object.fromEntries(counts.filter(([, count]) => count > 0));
+
+            return {
+                ...campaign,
+                stats: {
+                    total: counts.reduce((sum, [, count]) => sum + count, 0),
+                    ...statusCounts
+                }
+            };
+        } catch (error) {
+            console.error('Error getting campaign:', error);
+            return null;
+        }
+    }
+
+    // Get contacts of a campaign (optionally by status)
+    async getContacts(campaignId, userId, filters = {}) {
+        try {
+            let query = supabaseAdmin
+                .from('campaign_contacts')
+                .select('*')
+                .eq('campaign_id', campaignId)
+                .eq('user_id', userId)
+                .order('created_at', { ascending: true })
+                .range(filters.offset || 0, (filters.offset || 0) + (filters.limit || 100) - 1);
+
+            if (filters.status) {
+                query = query.eq('status', filters.status);
+            }
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error getting campaign contacts:', error);
+            return [];
+        }
+    }
+
+    // Create a campaign (draft) with optional contacts
+    async createCampaign(userId, data) {
+        try {
+            const { data: campaign, error } = await supabaseAdmin
+                .from('campaigns')
+                .insert({
+                    user_id: userId,
+                    name: data.name.trim(),
+                    assistant_id: data.assistant_id,
+                    phone_number_id: data.phone_number_id,
+                    calling_window: data.calling_window || null,
+                    max_concurrent_calls: data.max_concurrent_calls ? parseInt(data.max_concurrent_calls) : 1,
+                    max_attempts: data.max_attempts ? parseInt(data.max_attempts) : 3,
+                    retry_delay_minutes: data.retry_delay_minutes ? parseInt(data.retry_delay_minutes) : 60,
+                    status: 'draft'
+                })
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            let imported = { inserted: 0, skipped: [] };
+            if (data.contacts_csv) {
+                imported = await this.addContacts(campaign.id, userId, data.contacts_csv);
+                if (!imported.success) {
+                    return { success: true, data: campaign, contacts: { inserted: 0, skipped: [], error: imported.error } };
+                }
+            }
+
+            return {
+                success: true,
+                data: campaign,
+                contacts: { inserted: imported.inserted, skipped: imported.skipped }
+            };
+        } catch (error) {
+            console.error('Error creating campaign:', error);
+            return { success: false, error: 'Failed to create campaign' };
+        }
+    }
+
+    // Import contacts from CSV into a campaign
+    async addContacts(campaignId, userId, csvText) {
+        try {
+            const parsed = this.parseContacts(csvText);
+            if (parsed.error) {
+                return { success: false, error: parsed.error };
+            }
+
+            const skipped = [...parsed.skipped];
+            const rows = parsed.contacts.map(contact => ({
+                ...contact,
+                campaign_id: campaignId,
+                user_id: userId,
+                status: 'queued',
+                attempts: 0
+            }));
+
+            // UNIQUE(campaign_id, phone_number) skips numbers already in the campaign, however many there are
+            let inserted = 0;
+            for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+                const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+
+                const { data, error } = await supabaseAdmin
+                    .from('campaign_contacts')
+                    .upsert(batch, { onConflict: 'campaign_id,phone_number', ignoreDuplicates: true })
+                    .select('phone_number');
+
+                if (error) throw error;
+
+                const insertedNumbers = new Set((data || []).map(contact => contact.phone_number));
+                batch
+                    .filter(contact => !insertedNumbers.has(contact.phone_number))
+                    .forEach(contact => skipped.push({ phone_number: contact.phone_number, reason: 'Already in campaign' }));
+                inserted += insertedNumbers.size;
+            }
+
+            return { success: true, inserted, skipped };
+        } catch (error) {
+            console.error('Error adding campaign contacts:', error);
+            return { success: false, error: 'Failed to import contacts' };
+        }
+    }
+
+    // Change campaign status (start, pause, cancel)
+    async setStatus(campaignId, userId, status) {
+        const allowedTransitions = {
+            running: ['draft', 'paused'],
+            paused: ['running'],
+            cancelled: ['draft', 'running', 'paused']
+        };
+
+        try {
+            const campaign = await this.getCampaign(campaignId, userId);
+            if (!campaign) {
+                return { success: false, error: 'Campaign not found' };
+            }
+
+            if (!allowedTransitions[status]?.includes(campaign.status)) {
+                return { success: false, error: `Cannot change a ${campaign.status} campaign to ${status}` };
+            }
+
+            if (status === 'running' && !campaign.stats.total) {
+                return { success: false, error: 'Campaign has no contacts' };
+            }
+
+            const update = { status, status_reason: null, updated_at: new Date().toISOString() };
+            if (status === 'running' && !campaign.started_at) {
+                update.started_at = new Date().toISOString();
+            }
+
+            const { data, error } = await supabaseAdmin
+                .from('campaigns')
+                .update(update)
+                .eq('id', campaignId)
+                .eq('user_id', userId)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            if (status === 'running') {
+                // Don't wait for the next tick to place the first calls
+                setImmediate(() => this.processCampaigns());
+            }
+
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error updating campaign status:', error);
+            return { success: false, error: 'Failed to update campaign' };
+        }
+    }
+
+    // Delete a campaign that is not running
+    async deleteCampaign(campaignId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('campaigns')
+                .delete()
+                .eq('id', campaignId)
+                .eq('user_id', userId)
+                .neq('status', 'running')
+                .select('id');
+
+            if (error) throw error;
+            return !!(data && data.length > 0);
+        } catch (error) {
+            console.error('Error deleting campaign:', error);
+            return false;
+        }
+    }
+
+    // Start the background dialer
+    startDialer(intervalMs = DIALER_INTERVAL_MS) {
+        if (this.dialerTimer) return;
+
+        this.dialerTimer = setInterval(() => this.processCampaigns(), intervalMs);
+        this.dialerTimer.unref();
+        console.log('📞 Campaign dialer started');
+    }
+
+    // Stop the background dialer
+    stopDialer() {
+        if (this.dialerTimer) {
+            clearInterval(this.dialerTimer);
+            this.dialerTimer = null;
+        }
+    }
+
+    // One dialer pass over all running campaigns
+    async processCampaigns() {
+        // Skip overlapping passes
+        if (this.dialerRunning) return;
+        this.dialerRunning = true;
+
+        try {
+            const { data: campaigns, error } = await supabaseAdmin
+                .from('campaigns')
+                .select('*')
+                .eq('status', 'running');
+
+            if (error) throw error;
+
+            // One campaign's failure must not hold up the others
+            for (const campaign of campaigns || []) {
+                try {
+                    await this.processCampaign(campaign);
+                } catch (error) {
+                    console.error(`Campaign ${campaign.id} dialer error:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Campaign dialer error:', error);
+        } finally {
+            this.dialerRunning = false;
+        }
+    }
+
+    // Place as many calls as the campaign's window and concurrency allow
+    async processCampaign(campaign) {
+        const now = new Date();
+
+        await this.releaseStaleContacts(campaign, now);
+
+        if (campaign.calling_window && !callRoutingService.matchesTimeOfDay(campaign.calling_window, now)) {
+            return;
+        }
+
+        const { count: dialing } = await supabaseAdmin
+            .from('campaign_contacts')
+            .select('id', { count: 'exact', head: true })
+            .eq('campaign_id', campaign.id)
+            .eq('status', 'dialing');
+
+        const slots = campaign.max_concurrent_calls - (dialing || 0);
+        if (slots <= 0) return;
+
+        const { data: contacts } = await supabaseAdmin
+            .from('campaign_contacts')
+            .select('*')
+            .eq('campaign_id', campaign.id)
+            .in('status', ['queued', 'retry'])
+            .or(`next_attempt_at.is.null,next_attempt_at.lte.${now.toISOString()}`)
+            .order('next_attempt_at', { ascending: true, nullsFirst: true })
+            .limit(slots);
+
+        if (!contacts || contacts.length === 0) {
+            if (!dialing) {
+                await this.completeIfFinished(campaign);
+            }
+            return;
+        }
+
+        for (const contact of contacts) {
+            if (!(await outboundCallService.hasCallTimeRemaining(campaign.user_id))) {
+                await this.pauseCampaign(campaign.id, 'Call time limit reached');
+                return;
+            }
+
+            await this.dialContact(campaign, contact);
+        }
+    }
+
+    // Dial one contact (claimed atomically so two passes never dial the same person)
+    async dialContact(campaign, contact) {
+        const { data: claimed } = await supabaseAdmin
+            .from('campaign_contacts')
+            .update({
+                status: 'dialing',
+                attempts: contact.attempts + 1,
+                last_attempt_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', contact.id)
+            .eq('status', contact.status)
+            .select();
+
+        if (!claimed || claimed.length === 0) return;
+
+        const result = await outboundCallService.startCall(campaign.user_id, {
+            assistantId: campaign.assistant_id,
+            phoneNumberId: campaign.phone_number_id,
+            customerNumber: contact.phone_number,
+            customerName: contact.name,
+            variables: contact.variables,
+            campaignContactId: contact.id
+        });
+
+        if (result.success) {
+            await supabaseAdmin
+                .from('campaign_contacts')
+                .update({ vapi_call_id: result.data.vapiCallId })
+                .eq('id', contact.id);
+            return;
+        }
+
+        console.error(`Campaign ${campaign.id} could not dial contact ${contact.id}:`, result.error);
+
+        // Assistant/number problems stop the whole campaign instead of burning attempts
+        if (['Assistant not found', 'Assistant is not linked to VAPI', 'Phone number not found', 'Phone number is not linked to VAPI'].includes(result.error)) {
+            await supabaseAdmin
+                .from('campaign_contacts')
+                .update({ status: contact.status, attempts: contact.attempts })
+                .eq('id', contact.id);
+            await this.pauseCampaign(campaign.id, result.error);
+            return;
+        }
+
+        await this.scheduleNextAttempt(campaign, { ...contact, attempts: contact.attempts + 1 }, result.error, 'failed');
+    }
+
+    // Record the outcome of a campaign call (called from the webhook)
+    async recordCallResult(contactId, endedReason) {
+        const { data: contact, error } = await supabaseAdmin
+            .from('campaign_contacts')
+            .select('*, campaigns(*)')
+            .eq('id', contactId)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        // Only a contact still dialing takes a result, so a retried report changes nothing twice
+        if (!contact || contact.status !== 'dialing') return;
+
+        const campaign = contact.campaigns;
+
+        if (NO_ANSWER_REASONS.includes(endedReason)) {
+            await this.scheduleNextAttempt(campaign, contact, endedReason, 'no-answer');
+        } else if (endedReason && /error|failed/.test(endedReason)) {
+            await this.scheduleNextAttempt(campaign, contact, endedReason, 'failed');
+        } else {
+            const { error: updateError } = await supabaseAdmin
+                .from('campaign_contacts')
+                .update({
+                    status: 'completed',
+                    last_ended_reason: endedReason || null,
+                    next_attempt_at: null,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', contactId);
+
+            if (updateError) throw updateError;
+        }
+    }
+
+    // Retry later, or give up with a final status once attempts run out
+    async scheduleNextAttempt(campaign, contact, reason, finalStatus) {
+        const exhausted = contact.attempts >= campaign.max_attempts;
+        const nextAttemptAt = new Date(Date.now() + campaign.retry_delay_minutes * 60 * 1000).toISOString();
+
+        const { error } = await supabaseAdmin
+            .from('campaign_contacts')
+            .update({
+                status: exhausted ? finalStatus : 'retry',
+                last_ended_reason: reason || null,
+                next_attempt_at: exhausted ? null : nextAttemptAt,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', contact.id);
+
+        if (error) throw error;
+    }
+
+    // Put contacts whose call never reported back into retry
+    async releaseStaleContacts(campaign, now) {
+        const cutoff = new Date(now.getTime() - STALE_DIALING_MINUTES * 60 * 1000).toISOString();
+
+        const { data: staleContacts } = await supabaseAdmin
+            .from('campaign_contacts')
+            .select('*')
+            .eq('campaign_id', campaign.id)
+            .eq('status', 'dialing')
+            .lt('last_attempt_at', cutoff);
+
+        for (const contact of staleContacts || []) {
+            await this.scheduleNextAttempt(campaign, contact, 'no-call-report', 'failed');
+        }
+    }
+
+    // Pause a campaign with a reason shown to the user
+    async pauseCampaign(campaignId, reason) {
+        console.log(`Pausing campaign ${campaignId}: ${reason}`);
+
+        await supabaseAdmin
+            .from('campaigns')
+            .update({ status: 'paused', status_reason: reason, updated_at: new Date().toISOString() })
+            .eq('id', campaignId);
+    }
+
+    // Mark a campaign completed when no contact is waiting for a call
+    async completeIfFinished(campaign) {
+        const { count } = await supabaseAdmin
+            .from('campaign_contacts')
+            .select('id', { count: 'exact', head: true })
+            .eq('campaign_id', campaign.id)
+            .in('status', ['queued', 'retry', 'dialing']);
+
+        if (count === 0) {
+            await supabaseAdmin
+                .from('campaigns')
+                .update({ status: 'completed', completed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+                .eq('id', campaign.id);
+        }
+    }
+}
+
+module.exports = new CampaignService();
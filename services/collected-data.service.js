@@ -0,0 +1,357 @@
+// Collected Data Service
+// Tabular view of the structured data an assistant collected, with field filters, completion rates and exports
+
+const { supabaseAdmin } = require('./supabase.service');
+const assistantService = require('./assistant.service');
+const callLogService = require('./call-log.service');
+const exportService = require('./export.service');
+
+const FILTER_OPERATORS = ['eq', 'ne', 'contains', 'gt', 'gte', 'lt', 'lte', 'empty'];
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const CALL_SORT_FIELDS = ['started_at', 'duration_seconds'];
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const PAGE_SIZE = 1000;
+const MAX_ROWS = 10000; // Filtering and completion run in memory over at most this many calls
+
+// Call columns that lead every export, before the question columns
+const CALL_COLUMNS = [
+    { key: 'call_id', label: 'Call ID' },
+    { key: 'started_at', label: 'Started At' },
+    { key: 'caller_number', label: 'Caller Number' },
+    { key: 'duration_seconds', label: 'Duration (seconds)' },
+    { key: 'status', label: 'Status' }
+];
+
+class CollectedDataService {
+    // Columns from the assistant's structured questions, named like the schema sent to VAPI
+    getColumns(assistant) {
+        const questions = assistant.configuration?.structured_questions || [];
+        const columns = [];
+
+        questions.forEach((question, index) => {
+            const field = assistantService.getStructuredFieldName(question, index);
+            // Later questions with the same field name overwrite earlier ones in the schema, so keep the last
+            const existing = columns.findIndex(column => column.field === field);
+            if (existing !== -1) columns.splice(existing, 1);
+
+            columns.push({
+                field,
+                label: question.question,
+                type: question.type || 'string',
+                required: !!question.required
+            });
+        });
+
+        return columns;
+    }
+
+    // Validate query params against the assistant's columns; returns an errors array
+    validateParams(columns, params) {
+        const errors = callLogService.validateCommonFilters({
+            status: params.status,
+            from: params.from,
+            to: params.to,
+            tz: params.tz
+        });
+        const fields = columns.map(column => column.field);
+
+        if (params.filter !== undefined) {
+            if (typeof params.filter !== 'object' || Array.isArray(params.filter)) {
+                errors.push('Filters must be given as filter[field]=value or filter[field][operator]=value');
+            } else {
+                Object.entries(params.filter).forEach(([field, condition]) => {
+                    const column = columns.find(c => c.field === field);
+                    if (!column) {
+                        errors.push(`Unknown filter field: ${field}. Valid fields: ${fields.join(', ') || 'none'}`);
+                        return;
+                    }
+                    errors.push(...this.validateCondition(column, condition));
+                });
+            }
+        }
+
+        if (params.complete !== undefined && !['true', 'false'].includes(params.complete)) {
+            errors.push('complete must be true or false');
+        }
+
+        if (params.sort && !fields.includes(params.sort) && !CALL_SORT_FIELDS.includes(params.sort)) {
+            errors.push(`Invalid sort. Valid values: ${[...CALL_SORT_FIELDS, ...fields].join(', ')}`);
+        }
+
+        if (params.order && !['asc', 'desc'].includes(params.order)) {
+            errors.push('order must be asc or desc');
+        }
+
+        if (params.format && !EXPORT_FORMATS[params.format]) {
+            errors.push(`Invalid format. Valid values: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    // Calls for an assistant as rows, filtered and sorted; returns { rows, completion, truncated }
+    async getCollectedData(assistantId, userId, columns, params) {
+        const { calls, truncated } = await this.loadCalls(assistantId, userId, params);
+
+        let rows = calls.map(call => ({
+            call_id: call.id,
+            started_at: call.started_at,
+            caller_number: call.caller_number,
+            duration_seconds: call.duration_seconds,
+            status: call.status,
+            data: columns.reduce((data, column) => {
+                data[column.field] = call.structured_data?.[column.field] ?? null;
+                return data;
+            }, {})
+        }));
+
+        const conditions = this.parseFilters(params.filter);
+        rows = rows.filter(row => conditions.every(condition =>
+            this.matchesCondition(columns.find(column => column.field === condition.field), row.data[condition.field], condition)
+        ));
+
+        const requiredColumns = columns.filter(column => column.required);
+        if (params.complete !== undefined) {
+            const wantComplete = params.complete === 'true';
+            rows = rows.filter(row => this.isComplete(row, requiredColumns) === wantComplete);
+        }
+
+        this.sortRows(rows, columns, params.sort || 'started_at', params.order === 'asc');
+
+        return {
+            rows,
+            completion: this.getCompletion(rows, requiredColumns),
+            truncated
+        };
+    }
+
+    // Completion of required fields over rows: per field and for whole rows (rates from 0 to 1)
+    getCompletion(rows, requiredColumns) {
+        const total = rows.length;
+        const rate = count => (total > 0 ? Math.round((count / total) * 10000) / 10000 : null);
+
+        const fields = requiredColumns.map(column => {
+            const filled = rows.filter(row => !this.isEmpty(row.data[column.field])).length;
+            return { field: column.field, label: column.label, filled, missing: total - filled, rate: rate(filled) };
+        });
+
+        const completeRows = requiredColumns.length > 0
+            ? rows.filter(row => this.isComplete(row, requiredColumns)).length
+            : null;
+
+        return {
+            total_calls: total,
+            required_fields: fields,
+            complete_calls: completeRows,
+            complete_rate: completeRows === null ? null : rate(completeRows)
+        };
+    }
+
+    // Build a download of rows; returns { success, data, contentType, filename }
+    exportRows(assistant, columns, rows, format) {
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            return { success: false, error: 'Invalid export format' };
+        }
+
+        const slug = (assistant.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'assistant';
+        const filename = `collected-data-${slug}-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+
+        let data;
+        if (format === 'json') {
+            data = JSON.stringify(rows, null, 2);
+        } else {
+            // Question columns get a prefixed key so a field named like a call column cannot clash
+            const exportColumns = [
+                ...CALL_COLUMNS,
+                ...columns.map(column => ({ key: `data.${column.field}`, label: column.label }))
+            ];
+            const flatRows = rows.map(row => {
+                const flat = { ...row };
+                columns.forEach(column => {
+                    flat[`data.${column.field}`] = row.data[column.field];
+                });
+                return flat;
+            });
+
+            data = format === 'csv'
+                ? exportService.toCSV(exportColumns, flatRows)
+                : exportService.toXLSX(exportColumns, flatRows, assistant.name || 'Collected Data');
+        }
+
+        return {
+            success: true,
+            data,
+            contentType: exportFormat.contentType,
+            filename
+        };
+    }
+
+    // Helper: Page through the assistant's calls, newest first, up to MAX_ROWS
+    async loadCalls(assistantId, userId, params) {
+        const { from, to } = callLogService.resolveDateRange(params);
+        const statuses = callLogService.parseList(params.status);
+        const calls = [];
+
+        for (let offset = 0; offset < MAX_ROWS; offset += PAGE_SIZE) {
+            let query = supabaseAdmin
+                .from('call_logs')
+                .select('id, started_at, caller_number, duration_seconds, status, structured_data')
+                .eq('user_id', userId)
+                .eq('assistant_id', assistantId)
+                .order('started_at', { ascending: false })
+                .order('id', { ascending: false })
+                .range(offset, offset + PAGE_SIZE - 1);
+
+            if (from) query = query.gte('started_at', from);
+            if (to) query = query.lt('started_at', to);
+            if (statuses) query = query.in('status', statuses);
+
+            const { data, error } = await query;
+            if (error) throw error;
+
+            calls.push(...data);
+            if (data.length < PAGE_SIZE) {
+                return { calls, truncated: false };
+            }
+        }
+
+        return { calls, truncated: true };
+    }
+
+    // Helper: Check one filter condition (a bare value or { operator: value })
+    validateCondition(column, condition) {
+        const errors = [];
+        const entries = typeof condition === 'object' && condition !== null && !Array.isArray(condition)
+            ? Object.entries(condition)
+            : [['eq', condition]];
+
+        entries.forEach(([operator, value]) => {
+            if (!FILTER_OPERATORS.includes(operator)) {
+                errors.push(`Invalid operator for ${column.field}: ${operator}. Valid operators: ${FILTER_OPERATORS.join(', ')}`);
+            } else if (typeof value !== 'string') {
+                errors.push(`Filter ${column.field}[${operator}] must have a single value`);
+            } else if (operator === 'empty' && !['true', 'false'].includes(value)) {
+                errors.push(`Filter ${column.field}[empty] must be true or false`);
+            } else if (NUMERIC_OPERATORS.includes(operator) && column.type === 'number' && isNaN(Number(value))) {
+                errors.push(`Filter ${column.field}[${operator}] must be a number`);
+            } else if (column.type === 'boolean' && ['eq', 'ne'].includes(operator) && this.parseBoolean(value) === null) {
+                errors.push(`Filter ${column.field}[${operator}] must be true or false`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Helper: filter[field]=value and filter[field][op]=value -> [{ field, operator, value }]
+    parseFilters(filter) {
+        if (!filter || typeof filter !== 'object') return [];
+
+        return Object.entries(filter).flatMap(([field, condition]) => (
+            typeof condition === 'object' && condition !== null
+                ? Object.entries(condition).map(([operator, value]) => ({ field, operator, value }))
+                : [{ field, operator: 'eq', value: condition }]
+        ));
+    }
+
+    // Helper: Whether a field value passes a condition (text compares case-insensitively)
+    matchesCondition(column, value, condition) {
+        const empty = this.isEmpty(value);
+
+        if (condition.operator === 'empty') {
+            return empty === (condition.value === 'true');
+        }
+
+        if (condition.operator === 'ne' && empty) return true;
+        if (empty) return false;
+
+        if (column.type === 'boolean' && ['eq', 'ne'].includes(condition.operator)) {
+            const equal = this.parseBoolean(value) === this.parseBoolean(condition.value);
+            return condition.operator === 'eq' ? equal : !equal;
+        }
+
+        const comparison = this.compareValues(column.type, value, condition.value);
+
+        switch (condition.operator) {
+            case 'eq': return comparison === 0;
+            case 'ne': return comparison !== 0;
+            case 'contains': return this.toText(value).toLowerCase().includes(condition.value.toLowerCase());
+            case 'gt': return comparison > 0;
+            case 'gte': return comparison >= 0;
+            case 'lt': return comparison < 0;
+            case 'lte': return comparison <= 0;
+            default: return false;
+        }
+    }
+
+    // Helper: Sort rows in place by a question field or call column (empty values last either way)
+    sortRows(rows, columns, sort, ascending) {
+        const column = columns.find(c => c.field === sort);
+        const getValue = column ? row => row.data[sort] : row => row[sort];
+        const type = column ? column.type : sort === 'duration_seconds' ? 'number' : 'string';
+
+        rows.sort((a, b) => {
+            const aValue = getValue(a);
+            const bValue = getValue(b);
+            const aEmpty = this.isEmpty(aValue);
+            const bEmpty = this.isEmpty(bValue);
+
+            if (aEmpty || bEmpty) {
+                return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+            }
+
+            const comparison = this.compareValues(type, aValue, bValue);
+            return ascending ? comparison : -comparison;
+        });
+    }
+
+    // Helper: Compare two values of a column type (numbers numerically, text case-insensitively)
+    compareValues(type, a, b) {
+        if (type === 'number') {
+            const aNumber = Number(a);
+            const bNumber = Number(b);
+            if (!isNaN(aNumber) && !isNaN(bNumber)) {
+                return aNumber === bNumber ? 0 : aNumber < bNumber ? -1 : 1;
+            }
+        }
+
+        if (type === 'boolean') {
+            return Number(this.parseBoolean(a)) - Number(this.parseBoolean(b));
+        }
+
+        return this.toText(a).localeCompare(this.toText(b), undefined, { sensitivity: 'base', numeric: true });
+    }
+
+    // Helper: Whether every required field of a row has a value
+    isComplete(row, requiredColumns) {
+        return requiredColumns.every(column => !this.isEmpty(row.data[column.field]));
+    }
+
+    // Helper: Missing answer (null, blank text or an empty list)
+    isEmpty(value) {
+        return value === null || value === undefined ||
+            (typeof value === 'string' && value.trim() === '') ||
+            (Array.isArray(value) && value.length === 0);
+    }
+
+    // Helper: true/false/yes/no (as values or text) -> boolean, null if not a boolean
+    parseBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        const text = String(value).trim().toLowerCase();
+        if (['true', 'yes', '1'].includes(text)) return true;
+        if (['false', 'no', '0'].includes(text)) return false;
+        return null;
+    }
+
+    // Helper: Text form of a value for matching
+    toText(value) {
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+module.exports = new CollectedDataService();
@@ -0,0 +1,349 @@
+// Contact Service
+// Per-user contacts keyed by E.164 number, built from call_logs caller numbers and structured data
+
+const { supabaseAdmin } = require('./supabase.service');
+const callRoutingService = require('./call-routing.service');
+const outboundCallService = require('./outbound-call.service');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_TIMELINE_CALLS = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// structured_data keys that usually hold the caller's email
+const EMAIL_FIELDS = ['email', 'email_address', 'caller_email', 'customer_email'];
+
+class ContactService {
+    // Validate a manual contact update (returns a list of errors)
+    validateContactUpdate(data) {
+        const errors = [];
+
+        if (data.name !== undefined && data.name !== null &&
+            (typeof data.name !== 'string' || data.name.length > 100)) {
+            errors.push('Name must be less than 100 characters');
+        }
+
+        if (data.email !== undefined && data.email !== null && data.email !== '' &&
+            (typeof data.email !== 'string' || !EMAIL_PATTERN.test(data.email))) {
+            errors.push('Email address is invalid');
+        }
+
+        if (data.notes !== undefined && data.notes !== null &&
+            (typeof data.notes !== 'string' || data.notes.length > MAX_NOTES_LENGTH)) {
+            errors.push(`Notes must be less than ${MAX_NOTES_LENGTH} characters`);
+        }
+
+        if (data.tags !== undefined) {
+            if (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string' || tag.trim().length === 0)) {
+                errors.push('Tags must be a list of text labels');
+            } else if (data.tags.length > MAX_TAGS) {
+                errors.push(`Maximum ${MAX_TAGS} tags allowed`);
+            } else if (data.tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+                errors.push(`Tags must be less than ${MAX_TAG_LENGTH} characters`);
+            }
+        }
+
+        return errors;
+    }
+
+    // Get a user's contacts (search matches name, email or number)
+    async getContacts(userId, filters = {}) {
+        try {
+            const limit = filters.limit || 50;
+            const offset = filters.offset || 0;
+
+            let query = supabaseAdmin
+                .from('contacts')
+                .select('*', { count: 'exact' })
+                .eq('user_id', userId)
+                .order('last_call_at', { ascending: false, nullsFirst: false })
+                .range(offset, offset + limit - 1);
+
+            // Strip characters that would break the PostgREST or() filter
+            const search = (filters.search || '').replace(/[,()*%\\]/g, ' ').trim();
+            if (search) {
+                query = query.or(`name.ilike.*${search}*,email.ilike.*${search}*,phone_number.ilike.*${search}*`);
+            }
+
+            if (filters.tag) {
+                query = query.contains('tags', [filters.tag]);
+            }
+
+            const { data, error, count } = await query;
+
+            if (error) throw error;
+            return { contacts: data || [], total: count || 0 };
+        } catch (error) {
+            console.error('Error getting contacts:', error);
+            return { contacts: [], total: 0 };
+        }
+    }
+
+    // Get a specific contact
+    async getContact(contactId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('contacts')
+                .select('*')
+                .eq('id', contactId)
+                .eq('user_id', userId)
+                .single();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error getting contact:', error);
+            return null;
+        }
+    }
+
+    // Update the manually managed fields of a contact
+    async updateContact(contactId, userId, data) {
+        try {
+            const updates = { updated_at: new Date().toISOString() };
+
+            if (data.name !== undefined) updates.name = data.name ? data.name.trim() : null;
+            if (data.email !== undefined) updates.email = data.email ? data.email.trim().toLowerCase() : null;
+            if (data.notes !== undefined) updates.notes = data.notes || null;
+            if (data.tags !== undefined) updates.tags = [...new Set(data.tags.map(tag => tag.trim()))];
+
+            // Hand-edited name/email are no longer overwritten by calls; clearing one hands it back to calls
+            if (data.name !== undefined || data.email !== undefined) {
+                const { data: current, error: currentError } = await supabaseAdmin
+                    .from('contacts')
+                    .select('edited_fields')
+                    .eq('id', contactId)
+                    .eq('user_id', userId)
+                    .maybeSingle();
+
+                if (currentError) throw currentError;
+                if (!current) {
+                    return { success: false, error: 'Contact not found' };
+                }
+
+                const edited = new Set(current.edited_fields || []);
+                ['name', 'email'].forEach(field => {
+                    if (updates[field] === undefined) return;
+                    if (updates[field]) edited.add(field);
+                    else edited.delete(field);
+                });
+                updates.edited_fields = [...edited];
+            }
+
+            const { data: updated, error } = await supabaseAdmin
+                .from('contacts')
+                .update(updates)
+                .eq('id', contactId)
+                .eq('user_id', userId)
+                .select();
+
+            if (error) throw error;
+
+            if (!updated || updated.length === 0) {
+                return { success: false, error: 'Contact not found' };
+            }
+
+            return { success: true, data: updated[0] };
+        } catch (error) {
+            console.error('Error updating contact:', error);
+            return { success: false, error: 'Failed to update contact' };
+        }
+    }
+
+    // Delete a contact (its calls stay in call_logs, unlinked)
+    async deleteContact(contactId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('contacts')
+                .delete()
+                .eq('id', contactId)
+                .eq('user_id', userId)
+                .select('id');
+
+            if (error) throw error;
+            return !!(data && data.length > 0);
+        } catch (error) {
+            console.error('Error deleting contact:', error);
+            return false;
+        }
+    }
+
+    // Calls with a contact, newest first
+    async getTimeline(contactId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('call_logs')
+                .select(`
+                    id,
+                    direction,
+                    status,
+                    duration_seconds,
+                    summary,
+                    structured_data,
+                    success_evaluation,
+                    transferred,
+                    started_at,
+                    ended_at,
+                    assistants (
+                        id,
+                        name
+                    )
+                `)
+                .eq('contact_id', contactId)
+                .eq('user_id', userId)
+                .order('started_at', { ascending: false })
+                .limit(MAX_TIMELINE_CALLS);
+
+            if (error) throw error;
+
+            return (data || []).map(call => ({
+                id: call.id,
+                assistantId: call.assistants?.id || null,
+                assistantName: call.assistants?.name || 'Unknown',
+                direction: call.direction,
+                status: call.status,
+                duration: call.duration_seconds,
+                summary: call.summary,
+                structuredData: call.structured_data,
+                successEvaluation: call.success_evaluation,
+                transferred: call.transferred,
+                startedAt: call.started_at,
+                endedAt: call.ended_at
+            }));
+        } catch (error) {
+            console.error('Error getting contact timeline:', error);
+            return [];
+        }
+    }
+
+    // Create or update the contact for a finished call and link the call to it
+    // callLog needs id, user_id, caller_number, structured_data and started_at
+    // Throws on failure so the webhook event is retried (safe: the call count is read from call_logs)
+    async recordCall(callLog) {
+        if (!callLog?.user_id) return null;
+
+        const phoneNumber = outboundCallService.normalizeNumber(callLog.caller_number);
+        if (!phoneNumber) return null;
+
+        const contact = await this.findOrCreateContact(callLog.user_id, phoneNumber);
+
+        const { error: linkError } = await supabaseAdmin
+            .from('call_logs')
+            .update({ contact_id: contact.id })
+            .eq('id', callLog.id);
+
+        if (linkError) throw linkError;
+
+        // Counted from call_logs so a repeated end-of-call-report is not counted twice
+        const { data: calls, count, error: countError } = await supabaseAdmin
+            .from('call_logs')
+            .select('started_at', { count: 'exact' })
+            .eq('contact_id', contact.id)
+            .order('started_at', { ascending: true })
+            .limit(1);
+
+        if (countError) throw countError;
+
+        // A report arriving late for an older call only fills gaps
+        const isLatestCall = !contact.last_call_at || !callLog.started_at ||
+            new Date(callLog.started_at) >= new Date(contact.last_call_at);
+
+        const updates = {
+            ...this.mergeStructuredData(contact, callLog.structured_data, isLatestCall),
+            call_count: count || 1,
+            first_call_at: calls?.[0]?.started_at || callLog.started_at || contact.first_call_at,
+            last_call_at: this.latest(contact.last_call_at, callLog.started_at),
+            updated_at: new Date().toISOString()
+        };
+
+        const { data: updated, error } = await supabaseAdmin
+            .from('contacts')
+            .update(updates)
+            .eq('id', contact.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return updated;
+    }
+
+    // Helper: Load the contact for a number, creating it on first call
+    async findOrCreateContact(userId, phoneNumber) {
+        const findContact = async () => {
+            const { data, error } = await supabaseAdmin
+                .from('contacts')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('phone_number', phoneNumber)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        };
+
+        const existing = await findContact();
+        if (existing) return existing;
+
+        const { data, error } = await supabaseAdmin
+            .from('contacts')
+            .insert({ user_id: userId, phone_number: phoneNumber })
+            .select()
+            .single();
+
+        // Another report for the same caller created it first
+        if (error?.code === '23505') {
+            return findContact();
+        }
+
+        if (error) throw error;
+        return data;
+    }
+
+    // Helper: Fields to update from a call's structured_data
+    // Empty fields are always filled; the latest call overwrites, except name/email edited by hand.
+    // Other scalar answers are kept in fields
+    mergeStructuredData(contact, structuredData, isLatestCall = true) {
+        if (!structuredData || typeof structuredData !== 'object') return {};
+
+        const updates = {};
+        const edited = contact.edited_fields || [];
+        const canSet = field => !contact[field] || (isLatestCall && !edited.includes(field));
+
+        const name = callRoutingService.extractCallerName(structuredData);
+        if (name && canSet('name')) updates.name = name;
+
+        const email = this.extractEmail(structuredData);
+        if (email && canSet('email')) updates.email = email;
+
+        const fields = { ...(contact.fields || {}) };
+        Object.entries(structuredData).forEach(([key, value]) => {
+            if (value === null || value === '' || typeof value === 'object') return;
+            if (isLatestCall || fields[key] === undefined) fields[key] = value;
+        });
+        updates.fields = fields;
+
+        return updates;
+    }
+
+    // Helper: Pull an email address out of structured_data
+    extractEmail(structuredData) {
+        for (const field of EMAIL_FIELDS) {
+            const value = structuredData[field];
+            if (typeof value === 'string' && EMAIL_PATTERN.test(value.trim())) {
+                return value.trim().toLowerCase();
+            }
+        }
+
+        return null;
+    }
+
+    // Helper: Later of two ISO timestamps
+    latest(a, b) {
+        if (!a) return b || null;
+        if (!b) return a;
+        return new Date(a) > new Date(b) ? a : b;
+    }
+}
+
+module.exports = new ContactService();
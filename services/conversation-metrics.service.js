@@ -0,0 +1,186 @@
+// Conversation Metrics Service
+// Talk time, silences, interruptions, speaking rate and lexicon sentiment computed from transcript turns
+
+// Word weights from -3 (very negative) to 3 (very positive), tuned for phone support conversations
+const SENTIMENT_LEXICON = {
+    // Positive
+    thanks: 2, thank: 2, thankful: 2, appreciate: 2, appreciated: 2, great: 3, excellent: 3, perfect: 3,
+    awesome: 3, amazing: 3, wonderful: 3, fantastic: 3, love: 3, lovely: 2, good: 2, nice: 2, happy: 2,
+    glad: 2, pleased: 2, helpful: 2, helped: 1, resolved: 2, fixed: 2, works: 1, working: 1, easy: 1,
+    fine: 1, okay: 1, ok: 1, sure: 1, yes: 1, absolutely: 2, definitely: 1, fast: 1, quick: 1, quickly: 1,
+    satisfied: 2, recommend: 2, welcome: 1, pleasure: 2, interested: 1, excited: 2, best: 3, better: 2,
+    cool: 1, fair: 1, correct: 1, right: 1, sorted: 2, brilliant: 3, kind: 2, friendly: 2,
+    // Negative
+    bad: -2, terrible: -3, horrible: -3, awful: -3, worst: -3, worse: -2, hate: -3, angry: -3, upset: -2,
+    annoyed: -2, annoying: -2, frustrated: -3, frustrating: -3, disappointed: -2, disappointing: -2,
+    unhappy: -2, problem: -1, problems: -1, issue: -1, issues: -1, broken: -2, wrong: -2, error: -1,
+    failed: -2, fail: -2, failing: -2, cancel: -1, cancelled: -1, refund: -1, complaint: -2, complain: -2,
+    late: -1, delay: -1, delayed: -2, waiting: -1, waited: -1, slow: -1, useless: -3,
+    ridiculous: -3, unacceptable: -3, confused: -1, confusing: -2, difficult: -1, hard: -1, expensive: -1,
+    overcharged: -3, charged: -1, scam: -3, rude: -3, sorry: -1, unfortunately: -1, mistake: -2,
+    lost: -1, missing: -1, stuck: -2, worried: -2, concern: -1, concerned: -1
+};
+
+const NEGATIONS = ['not', 'no', "don't", "doesn't", "didn't", "isn't", "wasn't", "aren't", "weren't", "can't",
+    'cannot', "won't", "wouldn't", "shouldn't", "haven't", "hasn't", 'never', 'hardly', 'dont', 'cant', 'wont'];
+const INTENSIFIERS = { very: 1.5, really: 1.5, so: 1.3, extremely: 2, super: 1.5, totally: 1.5, quite: 1.2 };
+
+const NEGATION_WINDOW = 3; // A negation flips the next three words
+const SENTIMENT_NORMALIZER = 15; // score = sum / sqrt(sum^2 + 15), so a single strong word is not +-1
+const SENTIMENT_THRESHOLD = 0.05;
+const INTERRUPTION_OVERLAP_SECONDS = 0.3; // Ignore tiny overlaps from timestamp rounding
+const WORDS_PER_SECOND_ESTIMATE = 2.5; // Talk time for turns without an end time
+
+class ConversationMetricsService {
+    // Compute call metrics from transcript turns; returns call_logs columns plus turns annotated with sentiment
+    computeMetrics(turns) {
+        const speechTurns = (turns || []).filter(turn => turn.role === 'user' || turn.role === 'assistant');
+
+        const annotatedTurns = (turns || []).map(turn => (
+            turn.role === 'user' || turn.role === 'assistant'
+                ? { ...turn, sentiment: this.scoreSentiment(turn.text).score }
+                : turn
+        ));
+
+        if (speechTurns.length === 0) {
+            return { turns: annotatedTurns, metrics: this.emptyMetrics() };
+        }
+
+        const talk = { user: 0, assistant: 0 };
+        const words = { user: 0, assistant: 0 };
+
+        speechTurns.forEach(turn => {
+            const wordCount = this.tokenize(turn.text).length;
+            words[turn.role] += wordCount;
+            talk[turn.role] += this.getTurnDuration(turn, wordCount);
+        });
+
+        const totalTalk = talk.user + talk.assistant;
+        const timed = speechTurns
+            .filter(turn => turn.start !== null && turn.start !== undefined)
+            .sort((a, b) => a.start - b.start);
+
+        // Caller sentiment is the overall call sentiment; the assistant's wording is scripted
+        const callerText = speechTurns.filter(turn => turn.role === 'user').map(turn => turn.text).join('\n');
+        const overall = this.scoreSentiment(callerText || speechTurns.map(turn => turn.text).join('\n'));
+
+        return {
+            turns: annotatedTurns,
+            metrics: {
+                caller_talk_ratio: totalTalk > 0 ? this.round(talk.user / totalTalk, 4) : null,
+                longest_silence_seconds: this.getLongestSilence(timed),
+                interruptions: timed.length > 1 ? this.countInterruptions(timed) : null,
+                caller_wpm: talk.user > 0 ? this.round(words.user / (talk.user / 60), 1) : null,
+                assistant_wpm: talk.assistant > 0 ? this.round(words.assistant / (talk.assistant / 60), 1) : null,
+                sentiment_score: overall.score,
+                sentiment: overall.label
+            }
+        };
+    }
+
+    // Lexicon sentiment of a text: score from -1 to 1 and a label
+    scoreSentiment(text) {
+        const tokens = this.tokenize(text);
+        let sum = 0;
+        let negateFor = 0;
+        let multiplier = 1;
+
+        tokens.forEach(token => {
+            if (NEGATIONS.includes(token)) {
+                negateFor = NEGATION_WINDOW;
+                return;
+            }
+
+            if (INTENSIFIERS[token]) {
+                multiplier = INTENSIFIERS[token];
+                return;
+            }
+
+            const weight = SENTIMENT_LEXICON[token];
+            if (weight) {
+                sum += weight * multiplier * (negateFor > 0 ? -0.75 : 1); // "not good" is milder than "bad"
+            }
+
+            multiplier = 1;
+            if (negateFor > 0) negateFor--;
+        });
+
+        const score = sum === 0 ? 0 : this.round(sum / Math.sqrt(sum * sum + SENTIMENT_NORMALIZER), 4);
+
+        return {
+            score,
+            label: score >= SENTIMENT_THRESHOLD ? 'positive' : score <= -SENTIMENT_THRESHOLD ? 'negative' : 'neutral'
+        };
+    }
+
+    // Helper: Longest gap in which nobody was talking (turns sorted by start)
+    getLongestSilence(timed) {
+        if (timed.length < 2) return null;
+
+        let longest = 0;
+        let lastEnd = this.getTurnEnd(timed[0]);
+
+        timed.slice(1).forEach(turn => {
+            longest = Math.max(longest, turn.start - lastEnd);
+            lastEnd = Math.max(lastEnd, this.getTurnEnd(turn));
+        });
+
+        return this.round(longest, 2);
+    }
+
+    // Helper: Turns that start while the other speaker is still talking (turns sorted by start)
+    countInterruptions(timed) {
+        let interruptions = 0;
+
+        for (let i = 1; i < timed.length; i++) {
+            const previous = timed[i - 1];
+            const turn = timed[i];
+
+            if (turn.role !== previous.role && this.getTurnEnd(previous) - turn.start > INTERRUPTION_OVERLAP_SECONDS) {
+                interruptions++;
+            }
+        }
+
+        return interruptions;
+    }
+
+    // Helper: Seconds a turn lasted (estimated from its words if VAPI sent no end time)
+    getTurnDuration(turn, wordCount) {
+        if (turn.end !== null && turn.end !== undefined && turn.start !== null && turn.start !== undefined && turn.end > turn.start) {
+            return turn.end - turn.start;
+        }
+
+        return wordCount / WORDS_PER_SECOND_ESTIMATE;
+    }
+
+    // Helper: End of a timed turn
+    getTurnEnd(turn) {
+        return turn.start + this.getTurnDuration(turn, this.tokenize(turn.text).length);
+    }
+
+    // Helper: Lowercase words (apostrophes kept for negations like "don't")
+    tokenize(text) {
+        return (text || '').toLowerCase().replace(/[’]/g, "'").match(/[a-z']+/g) || [];
+    }
+
+    // Helper: Metrics for calls without speech
+    emptyMetrics() {
+        return {
+            caller_talk_ratio: null,
+            longest_silence_seconds: null,
+            interruptions: null,
+            caller_wpm: null,
+            assistant_wpm: null,
+            sentiment_score: null,
+            sentiment: null
+        };
+    }
+
+    // Helper: Round to a number of decimals
+    round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+module.exports = new ConversationMetricsService();
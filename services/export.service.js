@@ -0,0 +1,225 @@
+// Export Service
+// Tabular exports as CSV and XLSX (a minimal single-sheet workbook written with zlib, no spreadsheet library)
+
+const zlib = require('zlib');
+
+// Cells starting with these are treated as formulas by spreadsheet apps (plain signed numbers such as phone numbers are safe)
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+const SIGNED_NUMBER_PATTERN = /^[+-]\d[\d\s().-]*$/;
+// Characters XML 1.0 does not allow
+const INVALID_XML_PATTERN = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+class ExportService {
+    // CSV with a header row; columns are [{ key, label }]
+    toCSV(columns, rows) {
+        const lines = [
+            columns.map(column => this.escapeCSV(column.label)).join(','),
+            ...rows.map(row => columns.map(column => this.escapeCSV(this.formatCell(row[column.key]))).join(','))
+        ];
+
+        // BOM so Excel opens UTF-8 (names with accents, Arabic...) correctly
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    // XLSX workbook (Buffer) with one sheet, bold header row and frozen header
+    toXLSX(columns, rows, sheetName = 'Sheet1') {
+        const sheetRows = [
+            `<row r="1">${columns.map((column, index) => this.buildCell(index, 1, column.label, 1)).join('')}</row>`,
+            ...rows.map((row, rowIndex) => `<row r="${rowIndex + 2}">${columns
+                .map((column, index) => this.buildCell(index, rowIndex + 2, row[column.key], 0))
+                .join('')}</row>`)
+        ];
+
+        const safeSheetName = this.escapeXML(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Sheet1');
+
+        return this.buildZip([
+            {
+                name: '[Content_Types].xml',
+                content: XML_HEADER +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: XML_HEADER +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: XML_HEADER +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: XML_HEADER +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/styles.xml',
+                content: XML_HEADER +
+                    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                    '</styleSheet>'
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                content: XML_HEADER +
+                    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+                    `<sheetData>${sheetRows.join('')}</sheetData>` +
+                    '</worksheet>'
+            }
+        ]);
+    }
+
+    // Helper: Text for a cell (arrays and objects are flattened)
+    formatCell(value) {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) return value.map(item => this.formatCell(item)).join('; ');
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    // Helper: Quote a CSV field and neutralize formula injection
+    escapeCSV(value) {
+        let text = String(value ?? '');
+        if (FORMULA_PREFIX_PATTERN.test(text) && !SIGNED_NUMBER_PATTERN.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Helper: One worksheet cell (numbers and booleans keep their type, everything else is an inline string)
+    buildCell(columnIndex, rowNumber, value, styleId) {
+        const ref = `${this.columnName(columnIndex)}${rowNumber}`;
+        const style = styleId ? ` s="${styleId}"` : '';
+
+        if (typeof value === 'number' && isFinite(value)) {
+            return `<c r="${ref}"${style}><v>${value}</v></c>`;
+        }
+
+        if (typeof value === 'boolean') {
+            return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+        }
+
+        const text = this.formatCell(value);
+        if (text === '') return '';
+
+        return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${this.escapeXML(text)}</t></is></c>`;
+    }
+
+    // Helper: 0 -> A, 25 -> Z, 26 -> AA
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    // Helper: Escape text for XML (cells are capped at Excel's 32767 characters)
+    escapeXML(text) {
+        return String(text)
+            .slice(0, 32767)
+            .replace(INVALID_XML_PATTERN, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Helper: Zip archive of deflated files
+    buildZip(files) {
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = Buffer.from(file.name, 'utf8');
+            const data = Buffer.from(file.content, 'utf8');
+            const compressed = zlib.deflateRawSync(data);
+            const crc = this.crc32(data);
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+            local.writeUInt16LE(20, 4); // Version needed
+            local.writeUInt16LE(0x0800, 6); // UTF-8 names
+            local.writeUInt16LE(8, 8); // Deflate
+            local.writeUInt32LE(0, 10); // Time and date
+            local.writeInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(data.length, 22);
+            local.writeUInt16LE(name.length, 26);
+            local.writeUInt16LE(0, 28);
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0); // Central directory signature
+            central.writeUInt16LE(20, 4); // Version made by
+            central.writeUInt16LE(20, 6); // Version needed
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt32LE(0, 12);
+            central.writeInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(data.length, 24);
+            central.writeUInt16LE(name.length, 28);
+            central.writeUInt32LE(offset, 42); // Offset of the local header
+
+            localParts.push(local, name, compressed);
+            centralParts.push(central, name);
+            offset += local.length + name.length + compressed.length;
+        });
+
+        const centralDirectory = Buffer.concat(centralParts);
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+        end.writeUInt16LE(files.length, 8);
+        end.writeUInt16LE(files.length, 10);
+        end.writeUInt32LE(centralDirectory.length, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat([...localParts, centralDirectory, end]);
+    }
+
+    // Helper: CRC-32 of a buffer (as a signed 32-bit int)
+    crc32(buffer) {
+        let crc = -1;
+        for (let i = 0; i < buffer.length; i++) {
+            crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return crc ^ -1;
+    }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,498 @@
+// Knowledge Base Service
+// Stores documents per assistant, splits them into chunks and ranks chunks locally with BM25
+
+const { supabaseAdmin } = require('./supabase.service');
+
+const SUPPORTED_FORMATS = ['text', 'markdown', 'csv'];
+const MAX_DOCUMENT_LENGTH = 200000; // characters
+const MAX_DOCUMENTS_PER_ASSISTANT = 20;
+const CHUNK_SIZE = 800; // characters
+const CHUNK_DELETE_BATCH_SIZE = 100;
+const CHUNK_PAGE_SIZE = 1000; // PostgREST caps a single response, and a full knowledge base has ~5000 chunks
+const PROMPT_BUDGET = 4000; // characters of knowledge injected into the system prompt
+const KNOWLEDGE_TOOL_NAME = 'search_knowledge_base';
+
+// BM25 tuning
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Common words that carry no meaning for retrieval
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'have', 'how',
+    'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'there',
+    'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+class KnowledgeBaseService {
+    // Validate document data before storing
+    validateDocument(documentData) {
+        const errors = [];
+
+        if (!documentData.title || typeof documentData.title !== 'string' || documentData.title.trim().length === 0) {
+            errors.push('Document title is required');
+        } else if (documentData.title.length > 200) {
+            errors.push('Document title must be less than 200 characters');
+        }
+
+        if (documentData.format && !SUPPORTED_FORMATS.includes(documentData.format)) {
+            errors.push(`Unsupported document format. Use one of: ${SUPPORTED_FORMATS.join(', ')}`);
+        }
+
+        if (!documentData.content || typeof documentData.content !== 'string' || documentData.content.trim().length === 0) {
+            errors.push('Document content is required');
+        } else if (documentData.content.length > MAX_DOCUMENT_LENGTH) {
+            errors.push(`Document content must be less than ${MAX_DOCUMENT_LENGTH} characters`);
+        }
+
+        return errors;
+    }
+
+    // Get all documents for an assistant (without content)
+    async getDocuments(assistantId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('knowledge_documents')
+                .select('id, title, format, chunk_count, created_at, updated_at')
+                .eq('assistant_id', assistantId)
+                .eq('user_id', userId)
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            console.error('Error getting knowledge documents:', error);
+            return [];
+        }
+    }
+
+    // Get a specific document with its content
+    async getDocument(assistantId, userId, documentId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('knowledge_documents')
+                .select('*')
+                .eq('id', documentId)
+                .eq('assistant_id', assistantId)
+                .eq('user_id', userId)
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            console.error('Error getting knowledge document:', error);
+            return null;
+        }
+    }
+
+    // Store a document and its chunks
+    async addDocument(assistantId, userId, documentData) {
+        try {
+            const existing = await this.getDocuments(assistantId, userId);
+            if (existing.length >= MAX_DOCUMENTS_PER_ASSISTANT) {
+                return { success: false, error: `Maximum ${MAX_DOCUMENTS_PER_ASSISTANT} documents per assistant` };
+            }
+
+            const format = documentData.format || 'text';
+            const chunks = this.chunkDocument(documentData.content, format);
+
+            const { data, error } = await supabaseAdmin
+                .from('knowledge_documents')
+                .insert({
+                    assistant_id: assistantId,
+                    user_id: userId,
+                    title: documentData.title.trim(),
+                    format,
+                    content: documentData.content,
+                    chunk_count: chunks.length
+                })
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            await this.saveChunks(data, chunks);
+
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error adding knowledge document:', error);
+            return { success: false, error: 'Failed to add document' };
+        }
+    }
+
+    // Replace a document's content and re-chunk it
+    async updateDocument(assistantId, userId, documentId, documentData) {
+        try {
+            const document = await this.getDocument(assistantId, userId, documentId);
+            if (!document) {
+                return { success: false, error: 'Document not found' };
+            }
+
+            const format = documentData.format || document.format;
+            const chunks = this.chunkDocument(documentData.content, format);
+
+            // Save the new chunks before removing the old ones, so a failure never leaves the document without chunks
+            const { data: oldChunks, error: oldChunksError } = await supabaseAdmin
+                .from('knowledge_chunks')
+                .select('id')
+                .eq('document_id', documentId);
+
+            if (oldChunksError) throw oldChunksError;
+
+            const newChunkIds = await this.saveChunks(document, chunks);
+
+            const { data, error } = await supabaseAdmin
+                .from('knowledge_documents')
+                .update({
+                    title: documentData.title.trim(),
+                    format,
+                    content: documentData.content,
+                    chunk_count: chunks.length,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', documentId)
+                .select()
+                .single();
+
+            if (error) {
+                await this.deleteChunks(newChunkIds);
+                throw error;
+            }
+
+            await this.deleteChunks(oldChunks.map(chunk => chunk.id));
+
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error updating knowledge document:', error);
+            return { success: false, error: 'Failed to update document' };
+        }
+    }
+
+    // Delete a document (chunks cascade)
+    async deleteDocument(assistantId, userId, documentId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('knowledge_documents')
+                .delete()
+                .eq('id', documentId)
+                .eq('assistant_id', assistantId)
+                .eq('user_id', userId)
+                .select('id');
+
+            if (error) throw error;
+
+            return !!(data && data.length > 0);
+        } catch (error) {
+            console.error('Error deleting knowledge document:', error);
+            return false;
+        }
+    }
+
+    // Helper: Insert chunk rows for a document (returns the new chunk ids)
+    async saveChunks(document, chunks) {
+        if (chunks.length === 0) return [];
+
+        const { data, error } = await supabaseAdmin
+            .from('knowledge_chunks')
+            .insert(chunks.map((content, index) => ({
+                document_id: document.id,
+                assistant_id: document.assistant_id,
+                chunk_index: index,
+                content
+            })))
+            .select('id');
+
+        if (error) throw error;
+        return data.map(chunk => chunk.id);
+    }
+
+    // Helper: Delete chunks by id (in batches to keep the request URL short)
+    async deleteChunks(chunkIds) {
+        for (let i = 0; i < chunkIds.length; i += CHUNK_DELETE_BATCH_SIZE) {
+            const { error } = await supabaseAdmin
+                .from('knowledge_chunks')
+                .delete()
+                .in('id', chunkIds.slice(i, i + CHUNK_DELETE_BATCH_SIZE));
+
+            if (error) throw error;
+        }
+    }
+
+    // Split a document into retrieval-sized chunks
+    chunkDocument(content, format = 'text') {
+        const sections = format === 'csv'
+            ? this.csvToSections(content)
+            : this.textToSections(content, format === 'markdown');
+
+        // Pack sections into chunks of roughly CHUNK_SIZE characters
+        const chunks = [];
+        let current = '';
+
+        sections.forEach(section => {
+            if (current && current.length + section.length + 1 > CHUNK_SIZE) {
+                chunks.push(current);
+                current = '';
+            }
+
+            if (section.length > CHUNK_SIZE) {
+                // Long paragraphs are split on sentence boundaries
+                (section.match(/[^.!?\n]+[.!?]*\s*/g) || [section]).forEach(sentence => {
+                    if (current && current.length + sentence.length > CHUNK_SIZE) {
+                        chunks.push(current.trim());
+                        current = '';
+                    }
+                    current += sentence;
+                });
+            } else {
+                current = current ? `${current}\n${section}` : section;
+            }
+        });
+
+        if (current.trim()) {
+            chunks.push(current.trim());
+        }
+
+        return chunks;
+    }
+
+    // Helper: Split plain text or Markdown into paragraphs (Markdown headings are kept with their section)
+    textToSections(content, isMarkdown) {
+        const paragraphs = content
+            .replace(/\r\n/g, '\n')
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(paragraph => paragraph.length > 0);
+
+        if (!isMarkdown) return paragraphs;
+
+        // Prefix each paragraph with its nearest heading so chunks stay self-explanatory
+        let heading = '';
+        return paragraphs.map(paragraph => {
+            const match = paragraph.match(/^#{1,6}\s+(.+)$/m);
+            if (match && paragraph.startsWith('#')) {
+                heading = match[1].trim();
+                return paragraph.replace(/^#{1,6}\s+/gm, '');
+            }
+            return heading ? `${heading}: ${paragraph}` : paragraph;
+        });
+    }
+
+    // Helper: Turn CSV rows into "column: value" lines
+    csvToSections(content) {
+        const rows = this.parseCSV(content);
+        if (rows.length < 2) return rows.map(row => row.join(', '));
+
+        const [headers, ...records] = rows;
+        return records
+            .filter(record => record.some(value => value.trim()))
+            .map(record => headers
+                .map((header, index) => `${header.trim()}: ${(record[index] || '').trim()}`)
+                .join('; '));
+    }
+
+    // Helper: Minimal CSV parser (quoted fields, escaped quotes, CRLF)
+    parseCSV(content) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(value => value.trim()));
+    }
+
+    // Helper: Lowercase word tokens without stopwords (Unicode-aware for non-English documents)
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(token => token.length > 1 && !STOPWORDS.has(token));
+    }
+
+    // Rank chunks against a query with BM25
+    rankChunks(chunks, query) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        if (chunks.length === 0 || queryTerms.length === 0) return [];
+
+        const tokenized = chunks.map(chunk => this.tokenize(chunk.content));
+        const avgLength = tokenized.reduce((sum, tokens) => sum + tokens.length, 0) / tokenized.length || 1;
+
+        // Document frequency per query term
+        const documentFrequency = {};
+        queryTerms.forEach(term => {
+            documentFrequency[term] = tokenized.filter(tokens => tokens.includes(term)).length;
+        });
+
+        return chunks
+            .map((chunk, index) => {
+                const tokens = tokenized[index];
+                const termCounts = tokens.reduce((acc, token) => {
+                    acc[token] = (acc[token] || 0) + 1;
+                    return acc;
+                }, {});
+
+                const score = queryTerms.reduce((sum, term) => {
+                    const frequency = termCounts[term] || 0;
+                    if (frequency === 0) return sum;
+
+                    const idf = Math.log(1 + (chunks.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+                    const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (tokens.length / avgLength));
+                    return sum + idf * (frequency * (BM25_K1 + 1)) / norm;
+                }, 0);
+
+                return { ...chunk, score: parseFloat(score.toFixed(4)) };
+            })
+            .filter(chunk => chunk.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Get all chunks for an assistant (with their document titles)
+    async getChunks(assistantId) {
+        try {
+            // Page through the chunks (id breaks chunk_index ties between documents so pages do not overlap)
+            const chunks = [];
+            for (let from = 0; ; from += CHUNK_PAGE_SIZE) {
+                const { data, error } = await supabaseAdmin
+                    .from('knowledge_chunks')
+                    .select(`
+                        id,
+                        chunk_index,
+                        content,
+                        knowledge_documents (
+                            id,
+                            title
+                        )
+                    `)
+                    .eq('assistant_id', assistantId)
+                    .order('chunk_index', { ascending: true })
+                    .order('id', { ascending: true })
+                    .range(from, from + CHUNK_PAGE_SIZE - 1);
+
+                if (error) throw error;
+
+                chunks.push(...(data || []));
+                if (!data || data.length < CHUNK_PAGE_SIZE) break;
+            }
+
+            return chunks.map(chunk => ({
+                id: chunk.id,
+                documentId: chunk.knowledge_documents?.id,
+                documentTitle: chunk.knowledge_documents?.title || 'Untitled',
+                content: chunk.content
+            }));
+        } catch (error) {
+            console.error('Error getting knowledge chunks:', error);
+            return [];
+        }
+    }
+
+    // Search an assistant's knowledge base
+    async search(assistantId, query, limit = 3) {
+        const chunks = await this.getChunks(assistantId);
+        return this.rankChunks(chunks, query).slice(0, limit);
+    }
+
+    // Build the knowledge part of the system prompt for an assistant
+    async buildPromptSection(assistantId, formData, strings, useTool = false) {
+        const chunks = await this.getChunks(assistantId);
+        if (chunks.length === 0) return '';
+
+        // Tool mode: the assistant looks things up during the call
+        if (useTool) {
+            return strings.knowledgeToolInstruction.replace('{tool}', KNOWLEDGE_TOOL_NAME);
+        }
+
+        // Prompt mode: rank chunks against what the assistant is set up to talk about
+        const contextQuery = [
+            formData.name,
+            formData.first_message,
+            ...(formData.structured_questions || []).map(q => `${q.question} ${q.description || ''}`)
+        ].join(' ');
+
+        const ranked = this.rankChunks(chunks, contextQuery);
+        const rankedIds = new Set(ranked.map(chunk => chunk.id));
+        const ordered = [...ranked, ...chunks.filter(chunk => !rankedIds.has(chunk.id))];
+
+        let section = '';
+        for (const chunk of ordered) {
+            const entry = `[${chunk.documentTitle}]\n${chunk.content}\n\n`;
+            if (section.length + entry.length > PROMPT_BUDGET) break;
+            section += entry;
+        }
+
+        return `${strings.knowledgeHeader}\n${section.trim()}`;
+    }
+
+    // Build the VAPI tool definition for knowledge base lookups
+    buildToolDefinition(server) {
+        return {
+            type: 'function',
+            function: {
+                name: KNOWLEDGE_TOOL_NAME,
+                description: 'Search the business knowledge base (FAQs, prices, policies) for information to answer the caller.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: {
+                            type: 'string',
+                            description: 'What the caller wants to know, in a few keywords'
+                        }
+                    },
+                    required: ['query']
+                }
+            },
+            server
+        };
+    }
+
+    // Check if a tool call is a knowledge base lookup
+    isKnowledgeTool(toolName) {
+        return toolName === KNOWLEDGE_TOOL_NAME;
+    }
+
+    // Format search results as the tool response spoken back to the model
+    formatToolResult(results) {
+        if (results.length === 0) {
+            return 'No matching information found in the knowledge base.';
+        }
+
+        return results
+            .map(result => `[${result.documentTitle}] ${result.content}`)
+            .join('\n\n');
+    }
+}
+
+module.exports = new KnowledgeBaseService();
@@ -0,0 +1,149 @@
+// Outbound Call Service
+// Starts outbound calls from a user's number through VAPI and counts them against user_limits call time
+
+const { supabaseAdmin } = require('./supabase.service');
+const vapiService = require('./vapi.service');
+const UserLimitsService = require('./user-limits.service');
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+// Service-role limits service (webhooks and the dialer run without a user session)
+const userLimitsService = new UserLimitsService(supabaseAdmin);
+
+class OutboundCallService {
+    // Normalize a phone number to E.164 (strips spaces and punctuation, 00 prefix becomes +)
+    normalizeNumber(number) {
+        if (!number || typeof number !== 'string') return null;
+
+        const cleaned = number.trim().replace(/[\s().-]/g, '');
+        const withPlus = cleaned.startsWith('00') ? `+${cleaned.slice(2)}` : cleaned;
+
+        return E164_PATTERN.test(withPlus) ? withPlus : null;
+    }
+
+    // Check the user still has call time left (-1 means unlimited)
+    async hasCallTimeRemaining(userId) {
+        const limitsResult = await userLimitsService.getUserLimits(userId);
+        if (!limitsResult.success) return false;
+
+        const limits = limitsResult.data;
+        return limits.max_call_time_seconds < 0 || limits.used_call_time_seconds < limits.max_call_time_seconds;
+    }
+
+    // Start a single outbound call
+    async startCall(userId, callData) {
+        try {
+            const customerNumber = this.normalizeNumber(callData.customerNumber);
+            if (!customerNumber) {
+                return { success: false, error: 'Customer number must be in E.164 format (e.g. +14155550123)' };
+            }
+
+            const { data: assistant } = await supabaseAdmin
+                .from('assistants')
+                .select('id, vapi_assistant_id')
+                .eq('id', callData.assistantId)
+                .eq('user_id', userId)
+                .single();
+
+            if (!assistant) {
+                return { success: false, error: 'Assistant not found' };
+            }
+
+            if (!assistant.vapi_assistant_id) {
+                return { success: false, error: 'Assistant is not linked to VAPI' };
+            }
+
+            const { data: phoneNumber } = await supabaseAdmin
+                .from('phone_numbers')
+                .select('id, vapi_phone_id')
+                .eq('id', callData.phoneNumberId)
+                .eq('user_id', userId)
+                .single();
+
+            if (!phoneNumber) {
+                return { success: false, error: 'Phone number not found' };
+            }
+
+            if (!phoneNumber.vapi_phone_id) {
+                return { success: false, error: 'Phone number is not linked to VAPI' };
+            }
+
+            if (!(await this.hasCallTimeRemaining(userId))) {
+                return { success: false, error: 'Call time limit reached' };
+            }
+
+            const payload = {
+                assistantId: assistant.vapi_assistant_id,
+                phoneNumberId: phoneNumber.vapi_phone_id,
+                customer: {
+                    number: customerNumber
+                }
+            };
+
+            if (callData.customerName) {
+                payload.customer.name = callData.customerName;
+            }
+
+            // Same variables as inbound routing, so first messages can use {{caller_name}}
+            payload.assistantOverrides = {
+                variableValues: {
+                    caller_name: callData.customerName || '',
+                    caller_number: customerNumber,
+                    ...(callData.variables || {})
+                }
+            };
+
+            const vapiCall = await vapiService.createCall(payload);
+            if (!vapiCall) {
+                return { success: false, error: 'VAPI rejected the call' };
+            }
+
+            // Log the call right away so the webhook can tie results back to it
+            const { data: callLog, error } = await supabaseAdmin
+                .from('call_logs')
+                .upsert({
+                    vapi_call_id: vapiCall.id,
+                    user_id: userId,
+                    assistant_id: assistant.id,
+                    phone_number_id: phoneNumber.id,
+                    caller_number: customerNumber,
+                    direction: 'outbound',
+                    campaign_contact_id: callData.campaignContactId || null,
+                    status: 'in_progress',
+                    started_at: new Date().toISOString()
+                }, { onConflict: 'vapi_call_id' })
+                .select()
+                .single();
+
+            if (error) {
+                console.error('Error logging outbound call:', error);
+            }
+
+            return {
+                success: true,
+                data: {
+                    id: callLog?.id || null,
+                    vapiCallId: vapiCall.id,
+                    status: vapiCall.status || 'queued',
+                    customerNumber
+                }
+            };
+        } catch (error) {
+            console.error('Error starting outbound call:', error);
+            return { success: false, error: 'Failed to start outbound call' };
+        }
+    }
+
+    // Count a finished outbound call against the user's call time
+    async recordCallTime(callLog, durationSeconds) {
+        if (!callLog?.user_id || !durationSeconds) return;
+
+        // addCallTime reports failures before it changes anything, so the caller can retry
+        const result = await userLimitsService.addCallTime(callLog.user_id, durationSeconds, callLog.id);
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to record outbound call time');
+        }
+    }
+}
+
+module.exports = new OutboundCallService();
@@ -1,5 +1,18 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const vapiService = require('./vapi.service');
+const businessHoursService = require('./business-hours.service');
+
+// Phone number with its assistant, whose schedule applies when the number has none of its own
+const PHONE_NUMBER_SELECT = `
+    *,
+    assistants:assigned_assistant_id (
+        id,
+        name,
+        company_name,
+        configuration
+    )
+`;
 
 class PhoneNumberService {
     constructor(supabaseClient = null) {
@@ -9,6 +22,11 @@ class PhoneNumberService {
         this.encryptionKey = process.env.ENCRYPTION_KEY || 'default-key-change-in-production';
     }
 
+    // Current mode of a number loaded with PHONE_NUMBER_SELECT (falls back to its assistant's schedule)
+    getActiveMode(phone) {
+        return businessHoursService.getStatus(businessHoursService.resolveSchedule(phone, phone.assistants));
+    }
+
     // Validation methods
     validatePhoneNumber(phoneNumber) {
         // E.164 format validation: +[1-9]\d{1,14}
@@ -66,10 +84,13 @@ class PhoneNumberService {
             name: phoneData.friendlyName
         };
 
-        // Add assistant if assigned
-        if (phoneData.assistantId) {
+        const webhookServer = vapiService.getWebhookServer();
+        if (webhookServer) {
+            // No fixed assistant: VAPI sends assistant-request so schedules apply per call
+            payload.server = webhookServer;
+        } else if (phoneData.assignedAssistantId) {
             // Get VAPI assistant ID from database
-            const vapiAssistantId = await this.getVAPIAssistantId(phoneData.assistantId);
+            const vapiAssistantId = await this.getVAPIAssistantId(phoneData.assignedAssistantId);
             if (vapiAssistantId) {
                 payload.assistantId = vapiAssistantId;
             }
@@ -78,7 +99,7 @@ class PhoneNumberService {
         try {
             const response = await axios.post(
                 `${this.vapiBaseUrl}/phone-number`,
-                payload,
+                vapiService.withWebhookSecret(payload),
                 {
                     headers: {
                         'Authorization': `Bearer ${this.vapiApiKey}`,
@@ -121,19 +142,24 @@ class PhoneNumberService {
             payload.name = updateData.friendlyName;
         }
         
-        if (updateData.assistantId) {
-            const vapiAssistantId = await this.getVAPIAssistantId(updateData.assistantId);
+        const webhookServer = vapiService.getWebhookServer();
+        if (webhookServer) {
+            // Assistant is picked per call through assistant-request
+            payload.assistantId = null;
+            payload.server = webhookServer;
+        } else if (updateData.assignedAssistantId) {
+            const vapiAssistantId = await this.getVAPIAssistantId(updateData.assignedAssistantId);
             if (vapiAssistantId) {
                 payload.assistantId = vapiAssistantId;
             }
-        } else if (updateData.assistantId === null) {
+        } else if (updateData.assignedAssistantId === null) {
             payload.assistantId = null;
         }
 
         try {
             const response = await axios.patch(
                 `${this.vapiBaseUrl}/phone-number/${vapiPhoneId}`,
-                payload,
+                vapiService.withWebhookSecret(payload),
                 {
                     headers: {
                         'Authorization': `Bearer ${this.vapiApiKey}`,
@@ -217,6 +243,8 @@ class PhoneNumberService {
         if (!this.validateTwilioAuthToken(phoneData.twilioAuthToken)) {
             validationErrors.push('Invalid Twilio Auth Token (must be at least 32 characters)');
         }
+        
+        validationErrors.push(...businessHoursService.validateSchedule(phoneData.businessHours));
 
         if (validationErrors.length > 0) {
             return {
@@ -265,9 +293,10 @@ class PhoneNumberService {
                         twilio_auth_token: this.encryptCredential(phoneData.twilioAuthToken),
                         assigned_assistant_id: phoneData.assignedAssistantId || null,
                         notes: phoneData.notes || null,
+                        business_hours: phoneData.businessHours || null,
                         status: 'active'
                     })
-                    .select()
+                    .select(PHONE_NUMBER_SELECT)
                     .single();
 
                 if (error) {
@@ -289,6 +318,8 @@ class PhoneNumberService {
                         friendlyName: data.friendly_name,
                         vapiPhoneId: data.vapi_phone_id,
                         status: data.status,
+                        businessHours: data.business_hours,
+                        activeMode: this.getActiveMode(data),
                         createdAt: data.created_at
                     }
                 };
@@ -345,14 +376,7 @@ class PhoneNumberService {
         try {
             const { data, error } = await this.supabase
                 .from('phone_numbers')
-                .select(`
-                    *,
-                    assistants:assigned_assistant_id (
-                        id,
-                        name,
-                        company_name
-                    )
-                `)
+                .select(PHONE_NUMBER_SELECT)
                 .eq('user_id', userId)
                 .order('created_at', { ascending: false });
 
@@ -375,6 +399,8 @@ class PhoneNumberService {
                 assignedAssistantId: phone.assigned_assistant_id,
                 assignedAssistantName: phone.assistants?.name || null,
                 status: phone.status,
+                businessHours: phone.business_hours,
+                activeMode: this.getActiveMode(phone),
                 createdAt: phone.created_at,
                 updatedAt: phone.updated_at,
                 notes: phone.notes
@@ -422,6 +448,15 @@ class PhoneNumberService {
                 };
             }
 
+            const scheduleErrors = businessHoursService.validateSchedule(updateData.businessHours);
+            if (scheduleErrors.length > 0) {
+                return {
+                    success: false,
+                    error: 'Validation failed',
+                    details: scheduleErrors
+                };
+            }
+
             // Update in VAPI if necessary
             if (updateData.friendlyName || updateData.assignedAssistantId !== undefined) {
                 const vapiResult = await this.updatePhoneNumberInVAPI(existing.vapi_phone_id, updateData);
@@ -435,6 +470,7 @@ class PhoneNumberService {
             if (updateData.friendlyName) updateFields.friendly_name = updateData.friendlyName;
             if (updateData.assignedAssistantId !== undefined) updateFields.assigned_assistant_id = updateData.assignedAssistantId;
             if (updateData.notes !== undefined) updateFields.notes = updateData.notes;
+            if (updateData.businessHours !== undefined) updateFields.business_hours = updateData.businessHours;
             updateFields.updated_at = new Date().toISOString();
 
             const { data, error } = await this.supabase
@@ -442,7 +478,7 @@ class PhoneNumberService {
                 .update(updateFields)
                 .eq('id', phoneId)
                 .eq('user_id', userId)
-                .select()
+                .select(PHONE_NUMBER_SELECT)
                 .single();
 
             if (error) {
@@ -461,6 +497,8 @@ class PhoneNumberService {
                     friendlyName: data.friendly_name,
                     assignedAssistantId: data.assigned_assistant_id,
                     notes: data.notes,
+                    businessHours: data.business_hours,
+                    activeMode: this.getActiveMode(data),
                     updatedAt: data.updated_at
                 }
             };
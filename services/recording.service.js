@@ -0,0 +1,219 @@
+// Recording Service
+// Call recording URLs from end-of-call reports, authenticated playback and per-plan retention
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabase.service');
+const vapiService = require('./vapi.service');
+const UserLimitsService = require('./user-limits.service');
+
+const PLAN_TYPES = ['free', 'pro', 'business', 'enterprise'];
+const USER_CHUNK_SIZE = 100;
+const RETENTION_BATCH_SIZE = 200;
+const STREAM_TIMEOUT_MS = 30000;
+const PLAYBACK_LINK_TTL_SECONDS = 60 * 60; // Long enough to listen to (and seek in) a long call
+
+// Upstream headers passed through to the browser (needed for seeking)
+const PASSTHROUGH_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+const userLimitsService = new UserLimitsService(supabaseAdmin);
+
+class RecordingService {
+    // Pull recording URLs out of an end-of-call-report (top level or artifact, old and new shapes)
+    extractRecordingUrls(event) {
+        const artifact = event.artifact || {};
+        const recording = artifact.recording || {};
+
+        return {
+            recording_url: event.recordingUrl || artifact.recordingUrl || recording.mono?.combinedUrl || null,
+            stereo_recording_url: event.stereoRecordingUrl || artifact.stereoRecordingUrl || recording.stereoUrl || null
+        };
+    }
+
+    // Pick the URL for a variant ('mono' falls back to stereo and the other way round)
+    getRecordingUrl(callLog, variant = 'mono') {
+        return variant === 'stereo'
+            ? callLog.stereo_recording_url || callLog.recording_url
+            : callLog.recording_url || callLog.stereo_recording_url;
+    }
+
+    // Load a user's call with its recording fields
+    async getCallRecording(callId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('call_logs')
+                .select('id, vapi_call_id, recording_url, stereo_recording_url, recording_deleted_at')
+                .eq('id', callId)
+                .eq('user_id', userId)
+                .single();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error getting call recording:', error);
+            return null;
+        }
+    }
+
+    // Signed playback URL for an <audio> element, which cannot send the Authorization header
+    createPlaybackLink(callId, userId, variant = 'mono', now = new Date()) {
+        const expires = Math.floor(now.getTime() / 1000) + PLAYBACK_LINK_TTL_SECONDS;
+        const token = `${userId}.${expires}.${this.signPlayback(callId, userId, variant, expires)}`;
+
+        return {
+            url: `/api/call-logs/${callId}/recording?variant=${variant}&token=${encodeURIComponent(token)}`,
+            expiresAt: new Date(expires * 1000).toISOString()
+        };
+    }
+
+    // Check a playback token for a call and variant; returns the user id or null
+    verifyPlaybackToken(callId, variant, token, now = new Date()) {
+        const [userId, expires, signature] = String(token || '').split('.');
+        if (!userId || !expires || !signature || Number(expires) < now.getTime() / 1000) return null;
+
+        const expected = Buffer.from(this.signPlayback(callId, userId, variant, expires));
+        const given = Buffer.from(signature);
+
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? userId : null;
+    }
+
+    // Helper: HMAC over what a playback link grants (keyed from the service role key, which never leaves the server)
+    signPlayback(callId, userId, variant, expires) {
+        return crypto
+            .createHmac('sha256', `recording-playback:${process.env.SUPABASE_SERVICE_ROLE_KEY}`)
+            .update(`${callId}:${userId}:${variant}:${expires}`)
+            .digest('base64url');
+    }
+
+    // Open the upstream audio as a stream (forwards Range so players can seek)
+    async openStream(url, range) {
+        if (!/^https:\/\//i.test(url)) {
+            throw new Error('Recording URL must be https');
+        }
+
+        const response = await axios.get(url, {
+            responseType: 'stream',
+            timeout: STREAM_TIMEOUT_MS,
+            headers: range ? { Range: range } : {},
+            validateStatus: status => status === 200 || status === 206
+        });
+
+        const headers = {};
+        PASSTHROUGH_HEADERS.forEach(name => {
+            if (response.headers[name]) headers[name] = response.headers[name];
+        });
+
+        return { status: response.status, headers, stream: response.data };
+    }
+
+    // Delete recordings older than each plan's retention period
+    async applyRetention(now = new Date()) {
+        const summary = { deleted: 0, failed: 0 };
+        const userIdsByPlan = await this.getUserIdsByPlan();
+
+        for (const planType of PLAN_TYPES) {
+            const retentionDays = userLimitsService.getPlanLimits(planType).recordingRetentionDays;
+            if (retentionDays === undefined || retentionDays < 0) continue;
+
+            const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+            const userIds = userIdsByPlan[planType];
+
+            for (let i = 0; i < userIds.length; i += USER_CHUNK_SIZE) {
+                const result = await this.deleteRecordingsBefore(userIds.slice(i, i + USER_CHUNK_SIZE), cutoff);
+                summary.deleted += result.deleted;
+                summary.failed += result.failed;
+            }
+        }
+
+        if (summary.deleted > 0 || summary.failed > 0) {
+            console.log(`🗑️ Recording retention: ${summary.deleted} deleted, ${summary.failed} failed`);
+        }
+
+        return summary;
+    }
+
+    // Helper: User ids grouped by plan (users without a user_limits row are on the free plan)
+    async getUserIdsByPlan() {
+        const userIdsByPlan = Object.fromEntries(PLAN_TYPES.map(planType => [planType, []]));
+
+        for (let from = 0; ; from += 1000) {
+            const { data, error } = await supabaseAdmin
+                .from('profiles')
+                .select('id, user_limits(plan_type)')
+                .order('id', { ascending: true })
+                .range(from, from + 999);
+
+            if (error) throw error;
+
+            (data || []).forEach(profile => {
+                const limits = Array.isArray(profile.user_limits) ? profile.user_limits[0] : profile.user_limits;
+                const planType = PLAN_TYPES.includes(limits?.plan_type) ? limits.plan_type : 'free';
+                userIdsByPlan[planType].push(profile.id);
+            });
+
+            if (!data || data.length < 1000) break;
+        }
+
+        return userIdsByPlan;
+    }
+
+    // Helper: Delete recordings of calls started before the cutoff for a set of users
+    async deleteRecordingsBefore(userIds, cutoff) {
+        const result = { deleted: 0, failed: 0 };
+        const failedIds = new Set();
+
+        while (true) {
+            let query = supabaseAdmin
+                .from('call_logs')
+                .select('id, vapi_call_id')
+                .in('user_id', userIds)
+                .is('recording_deleted_at', null)
+                .or('recording_url.not.is.null,stereo_recording_url.not.is.null')
+                .lt('started_at', cutoff)
+                .order('started_at', { ascending: true })
+                .limit(RETENTION_BATCH_SIZE);
+
+            // Calls VAPI refused to delete stay put until the next run
+            if (failedIds.size > 0) {
+                query = query.not('id', 'in', `(${[...failedIds].join(',')})`);
+            }
+
+            const { data: calls, error } = await query;
+            if (error) throw error;
+            if (!calls || calls.length === 0) break;
+
+            for (const call of calls) {
+                // Deleting the VAPI call removes the stored audio; transcript and analysis are already copied here
+                const deleted = !call.vapi_call_id || await vapiService.deleteCall(call.vapi_call_id);
+
+                if (!deleted) {
+                    failedIds.add(call.id);
+                    result.failed++;
+                    continue;
+                }
+
+                const { error: updateError } = await supabaseAdmin
+                    .from('call_logs')
+                    .update({
+                        recording_url: null,
+                        stereo_recording_url: null,
+                        recording_deleted_at: new Date().toISOString()
+                    })
+                    .eq('id', call.id);
+
+                if (updateError) {
+                    console.error('Error clearing recording URLs:', updateError);
+                    failedIds.add(call.id);
+                    result.failed++;
+                    continue;
+                }
+
+                result.deleted++;
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = new RecordingService();
@@ -0,0 +1,151 @@
+// Scheduler Service
+// In-process interval jobs; each job's last run is stored in scheduled_jobs so missed runs catch up after a restart
+
+const { supabaseAdmin } = require('./supabase.service');
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+class SchedulerService {
+    constructor() {
+        this.jobs = new Map();
+        this.timer = null;
+    }
+
+    // Register a job: run({ lastRunAt, now }) is called every intervalMs
+    // lastRunAt is the start of the last successful run (null on the very first run)
+    registerJob(name, { intervalMs, run }) {
+        this.jobs.set(name, {
+            name,
+            intervalMs,
+            run,
+            running: false,
+            state: null // Loaded from scheduled_jobs on first tick
+        });
+    }
+
+    // Start ticking (jobs overdue since before a restart run right away)
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+        this.timer.unref();
+        console.log(`✅ Scheduler started (${this.jobs.size} jobs)`);
+
+        this.tick();
+    }
+
+    // Stop ticking (running jobs finish)
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Run every job that is due
+    async tick() {
+        for (const job of this.jobs.values()) {
+            if (job.running) continue;
+
+            try {
+                if (!job.state) {
+                    job.state = await this.loadState(job.name);
+                }
+
+                const lastSuccess = job.state.last_success_at ? new Date(job.state.last_success_at).getTime() : 0;
+                if (Date.now() - lastSuccess >= job.intervalMs) {
+                    await this.runJob(job.name);
+                }
+            } catch (error) {
+                console.error(`Scheduler error for job ${job.name}:`, error);
+            }
+        }
+    }
+
+    // Run a job now (also used for manual runs); returns the job result
+    async runJob(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            return { success: false, error: 'Job not found' };
+        }
+
+        if (job.running) {
+            return { success: false, error: 'Job is already running' };
+        }
+
+        job.running = true;
+        const now = new Date();
+
+        try {
+            if (!job.state) {
+                job.state = await this.loadState(name);
+            }
+
+            const lastRunAt = job.state.last_success_at ? new Date(job.state.last_success_at) : null;
+            const result = await job.run({ lastRunAt, now });
+
+            job.state = await this.saveState(name, {
+                last_run_at: now.toISOString(),
+                last_success_at: now.toISOString(),
+                last_error: null,
+                last_result: result || null
+            });
+
+            return { success: true, result };
+        } catch (error) {
+            console.error(`Scheduled job ${name} failed:`, error);
+
+            job.state = await this.saveState(name, {
+                last_run_at: now.toISOString(),
+                last_error: (error?.message || String(error)).slice(0, 1000)
+            });
+
+            return { success: false, error: 'Job failed' };
+        } finally {
+            job.running = false;
+        }
+    }
+
+    // Registered jobs with their last run (for the admin view)
+    getJobs() {
+        return [...this.jobs.values()].map(job => ({
+            name: job.name,
+            intervalMinutes: Math.round(job.intervalMs / 60000),
+            running: job.running,
+            lastRunAt: job.state?.last_run_at || null,
+            lastSuccessAt: job.state?.last_success_at || null,
+            lastError: job.state?.last_error || null,
+            lastResult: job.state?.last_result || null
+        }));
+    }
+
+    // Helper: Load a job's stored state
+    async loadState(name) {
+        const { data, error } = await supabaseAdmin
+            .from('scheduled_jobs')
+            .select('*')
+            .eq('name', name)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data || { name };
+    }
+
+    // Helper: Store a job's state (keeps the in-memory copy if the write fails)
+    async saveState(name, fields) {
+        const job = this.jobs.get(name);
+        const state = { ...(job?.state || {}), ...fields, name, updated_at: new Date().toISOString() };
+
+        const { error } = await supabaseAdmin
+            .from('scheduled_jobs')
+            .upsert(state, { onConflict: 'name' });
+
+        if (error) {
+            console.error(`Error saving state for job ${name}:`, error);
+        }
+
+        return state;
+    }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,196 @@
+// Template Service
+// Built-in industry presets plus user-saved templates for assistant creation
+
+const { supabaseAdmin } = require('./supabase.service');
+
+// Built-in presets (read-only, available to every user)
+const BUILT_IN_TEMPLATES = [
+    {
+        id: 'dental-office',
+        name: 'Dental Office Receptionist',
+        industry: 'Healthcare',
+        description: 'Books, reschedules and confirms dental appointments.',
+        configuration: {
+            first_message: 'Thank you for calling! This is the front desk. Are you calling to book or change an appointment?',
+            personality_traits: ['Professional', 'Calming', 'Patient'],
+            structured_questions: [
+                { question: 'What is your full name?', field_name: 'patient_name', type: 'string', required: true },
+                { question: 'What is the best phone number to reach you?', field_name: 'phone_number', type: 'string', required: true },
+                { question: 'Are you a new or existing patient?', field_name: 'patient_status', type: 'string', required: true },
+                { question: 'What is the reason for your visit?', field_name: 'visit_reason', type: 'string', required: false, description: 'Cleaning, pain, check-up, cosmetic...' },
+                { question: 'What day and time works best for you?', field_name: 'preferred_time', type: 'string', required: false }
+            ],
+            evaluation_method: 'BinaryEvaluation',
+            background_sound: 'office',
+            max_call_duration: 300
+        }
+    },
+    {
+        id: 'real-estate-leads',
+        name: 'Real Estate Lead Capture',
+        industry: 'Real Estate',
+        description: 'Qualifies buyer and seller leads for agents.',
+        configuration: {
+            first_message: 'Hi, thanks for calling! Are you looking to buy, sell, or rent a property?',
+            personality_traits: ['Friendly', 'Energetic', 'Confident'],
+            structured_questions: [
+                { question: 'What is your name?', field_name: 'lead_name', type: 'string', required: true },
+                { question: 'What is the best number to reach you?', field_name: 'phone_number', type: 'string', required: true },
+                { question: 'Are you looking to buy, sell or rent?', field_name: 'intent', type: 'string', required: true },
+                { question: 'Which area or neighborhood are you interested in?', field_name: 'area', type: 'string', required: false },
+                { question: 'What is your budget range?', field_name: 'budget', type: 'string', required: false },
+                { question: 'What is your timeline to move?', field_name: 'timeline', type: 'string', required: false }
+            ],
+            evaluation_method: 'NumericScale',
+            background_sound: 'office',
+            max_call_duration: 300
+        }
+    },
+    {
+        id: 'restaurant-reservations',
+        name: 'Restaurant Reservations',
+        industry: 'Hospitality',
+        description: 'Takes table reservations and answers common questions.',
+        configuration: {
+            first_message: 'Hello and thanks for calling! Would you like to make a reservation?',
+            personality_traits: ['Friendly', 'Supportive'],
+            structured_questions: [
+                { question: 'What name should the reservation be under?', field_name: 'guest_name', type: 'string', required: true },
+                { question: 'How many people will be in your party?', field_name: 'party_size', type: 'number', required: true },
+                { question: 'What date and time would you like?', field_name: 'reservation_time', type: 'string', required: true },
+                { question: 'What is the best number to reach you?', field_name: 'phone_number', type: 'string', required: false },
+                { question: 'Any special requests or dietary needs?', field_name: 'special_requests', type: 'string', required: false }
+            ],
+            evaluation_method: 'Checklist',
+            background_sound: 'cafe',
+            max_call_duration: 180
+        }
+    }
+];
+
+class TemplateService {
+    // Check if a template ID belongs to the built-in catalog
+    isBuiltIn(templateId) {
+        return BUILT_IN_TEMPLATES.some(template => template.id === templateId);
+    }
+
+    // Get built-in presets plus the user's saved templates
+    async getTemplates(userId) {
+        const builtIn = BUILT_IN_TEMPLATES.map(template => ({ ...template, built_in: true }));
+
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('assistant_templates')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+
+            return [...builtIn, ...(data || []).map(template => this.formatTemplate(template))];
+        } catch (error) {
+            console.error('Error getting templates:', error);
+            return builtIn;
+        }
+    }
+
+    // Get a specific template (built-in or owned by the user)
+    async getTemplate(templateId, userId) {
+        const builtIn = BUILT_IN_TEMPLATES.find(template => template.id === templateId);
+        if (builtIn) {
+            return { ...builtIn, built_in: true };
+        }
+
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('assistant_templates')
+                .select('*')
+                .eq('id', templateId)
+                .eq('user_id', userId)
+                .single();
+
+            if (error) throw error;
+
+            return this.formatTemplate(data);
+        } catch (error) {
+            console.error('Error getting template:', error);
+            return null;
+        }
+    }
+
+    // Save a user template
+    async saveTemplate(userId, templateData) {
+        try {
+            // Templates are starting points, so the assistant name is never stored
+            const { name, ...configuration } = templateData.configuration;
+
+            const { data, error } = await supabaseAdmin
+                .from('assistant_templates')
+                .insert({
+                    user_id: userId,
+                    name: templateData.name,
+                    industry: templateData.industry || null,
+                    description: templateData.description || null,
+                    configuration
+                })
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return this.formatTemplate(data);
+        } catch (error) {
+            console.error('Error saving template:', error);
+            return null;
+        }
+    }
+
+    // Delete a user template
+    async deleteTemplate(templateId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('assistant_templates')
+                .delete()
+                .eq('id', templateId)
+                .eq('user_id', userId)
+                .select('id');
+
+            if (error) throw error;
+
+            return !!(data && data.length > 0);
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            return false;
+        }
+    }
+
+    // Merge form overrides on top of a template configuration
+    applyTemplate(template, overrides) {
+        const merged = { ...template.configuration };
+
+        Object.entries(overrides || {}).forEach(([key, value]) => {
+            // Empty form fields should not wipe out template values
+            if (value === undefined || value === null || value === '') return;
+            if (Array.isArray(value) && value.length === 0) return;
+            merged[key] = value;
+        });
+
+        merged.template_id = template.id;
+        return merged;
+    }
+
+    // Helper: Format a database row like a built-in template
+    formatTemplate(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            industry: row.industry,
+            description: row.description,
+            configuration: row.configuration,
+            built_in: false,
+            created_at: row.created_at
+        };
+    }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,282 @@
+// Tool Service
+// Custom function tools per assistant: VAPI calls our webhook, we forward to the user's URL and log the invocation
+
+const axios = require('axios');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { supabaseAdmin } = require('./supabase.service');
+const knowledgeBaseService = require('./knowledge-base.service');
+
+// Limits for custom tools
+const MAX_TOOLS_PER_ASSISTANT = 10;
+const DEFAULT_TIMEOUT_SECONDS = 10;
+const MAX_TIMEOUT_SECONDS = 20; // VAPI stops waiting for the tool server shortly after this
+const MAX_LOGGED_RESULT_LENGTH = 5000;
+const MAX_RESPONSE_BYTES = 64 * 1024; // The result goes back into the conversation, so large bodies are useless anyway
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Addresses tool calls must never reach: loopback, private, link-local (cloud metadata), CGNAT, multicast, reserved
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges by BlockList)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+class ToolService {
+    constructor() {
+        // Every connection checks the resolved address, so DNS rebinding cannot slip past a one-time check
+        this.httpsAgent = new https.Agent({
+            lookup: (hostname, options, callback) => this.lookupPublicAddress(hostname, options, callback)
+        });
+    }
+
+    // Validate the tools array from assistant form data
+    validateTools(tools) {
+        const errors = [];
+
+        if (!Array.isArray(tools)) {
+            return ['Tools must be an array'];
+        }
+
+        if (tools.length > MAX_TOOLS_PER_ASSISTANT) {
+            errors.push(`Maximum ${MAX_TOOLS_PER_ASSISTANT} tools allowed`);
+        }
+
+        const names = new Set();
+
+        tools.forEach((tool, index) => {
+            const label = `Tool ${index + 1}`;
+
+            if (!tool || typeof tool !== 'object') {
+                errors.push(`${label}: invalid tool definition`);
+                return;
+            }
+
+            if (!tool.name || !TOOL_NAME_PATTERN.test(tool.name)) {
+                errors.push(`${label}: name must be 1-64 letters, numbers, underscores or dashes`);
+            } else if (knowledgeBaseService.isKnowledgeTool(tool.name)) {
+                errors.push(`${label}: name ${tool.name} is reserved`);
+            } else if (names.has(tool.name)) {
+                errors.push(`${label}: duplicate tool name ${tool.name}`);
+            } else {
+                names.add(tool.name);
+            }
+
+            if (!tool.description || typeof tool.description !== 'string') {
+                errors.push(`${label}: description is required`);
+            } else if (tool.description.length > 500) {
+                errors.push(`${label}: description must be less than 500 characters`);
+            }
+
+            if (tool.parameters !== undefined) {
+                const { parameters } = tool;
+                if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters) || parameters.type !== 'object') {
+                    errors.push(`${label}: parameters must be a JSON schema of type "object"`);
+                } else if (parameters.properties && (typeof parameters.properties !== 'object' || Array.isArray(parameters.properties))) {
+                    errors.push(`${label}: parameters.properties must be an object`);
+                } else if (parameters.required && !Array.isArray(parameters.required)) {
+                    errors.push(`${label}: parameters.required must be an array`);
+                }
+            }
+
+            if (!this.isValidUrl(tool.url)) {
+                errors.push(`${label}: a valid https URL on a public host is required`);
+            }
+
+            if (tool.timeout_seconds !== undefined && tool.timeout_seconds !== '') {
+                const timeout = parseInt(tool.timeout_seconds);
+                if (isNaN(timeout) || timeout < 1 || timeout > MAX_TIMEOUT_SECONDS) {
+                    errors.push(`${label}: timeout must be between 1 and ${MAX_TIMEOUT_SECONDS} seconds`);
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    // Check for an absolute https URL that is not an internal host (names are checked again when called)
+    isValidUrl(url) {
+        if (!url || typeof url !== 'string') return false;
+
+        try {
+            const parsed = new URL(url);
+            const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+            return parsed.protocol === 'https:' &&
+                hostname !== 'localhost' && !hostname.endsWith('.localhost') &&
+                !(net.isIP(hostname) && this.isBlockedAddress(hostname));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Check an IP address against the blocked ranges
+    isBlockedAddress(address) {
+        const family = net.isIP(address);
+        if (!family) return true;
+
+        return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    // Helper: dns.lookup that refuses hosts resolving to a blocked address
+    lookupPublicAddress(hostname, options, callback) {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            if (addresses.some(entry => this.isBlockedAddress(entry.address))) {
+                const blockedError = new Error(`${hostname} resolves to a private or reserved address`);
+                blockedError.code = 'EBLOCKEDADDRESS';
+                return callback(blockedError);
+            }
+
+            callback(null, address, family);
+        });
+    }
+
+    // Build VAPI tool entries (VAPI calls our webhook, which forwards to the tool URL)
+    buildToolDefinitions(tools, webhookServer) {
+        if (!Array.isArray(tools)) return [];
+
+        return tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters || { type: 'object', properties: {} }
+            },
+            // Without a public SERVER_URL VAPI has to call the tool directly (not logged)
+            server: webhookServer || { url: tool.url }
+        }));
+    }
+
+    // Find a custom tool in an assistant configuration
+    findTool(configuration, toolName) {
+        const tools = configuration?.tools;
+        if (!Array.isArray(tools)) return null;
+
+        return tools.find(tool => tool.name === toolName) || null;
+    }
+
+    // Forward a tool call to its target URL
+    async invokeTool(tool, args, context = {}) {
+        const timeoutSeconds = tool.timeout_seconds ? parseInt(tool.timeout_seconds) : DEFAULT_TIMEOUT_SECONDS;
+        const startedAt = Date.now();
+
+        try {
+            // Tools saved before these checks may still point at http or internal addresses
+            if (!this.isValidUrl(tool.url)) {
+                throw new Error('Tool URL must be https on a public host');
+            }
+
+            const response = await axios.post(tool.url, {
+                tool: tool.name,
+                arguments: args,
+                call: {
+                    id: context.callId || null,
+                    customerNumber: context.customerNumber || null
+                }
+            }, {
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                timeout: timeoutSeconds * 1000,
+                httpsAgent: this.httpsAgent,
+                proxy: false, // A proxy would do the DNS lookup and skip the address check
+                maxRedirects: 0,
+                maxContentLength: MAX_RESPONSE_BYTES
+            });
+
+            return {
+                status: 'success',
+                result: this.formatResult(response.data),
+                durationMs: Date.now() - startedAt
+            };
+        } catch (error) {
+            const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+
+            console.error(`Tool ${tool.name} failed:`, error.response?.status || error.code || error.message);
+
+            return {
+                status: timedOut ? 'timeout' : 'error',
+                result: timedOut
+                    ? 'The tool took too long to respond. Please continue without this information.'
+                    : 'The tool failed. Please continue without this information.',
+                error: error.response ? `HTTP ${error.response.status}` : error.message,
+                durationMs: Date.now() - startedAt
+            };
+        }
+    }
+
+    // Tool servers may answer { result } or any JSON/text body
+    formatResult(data) {
+        if (data === undefined || data === null || data === '') {
+            return 'Done.';
+        }
+
+        const result = typeof data === 'object' && data.result !== undefined ? data.result : data;
+        return typeof result === 'string' ? result : JSON.stringify(result);
+    }
+
+    // Record a tool invocation
+    async logInvocation(invocation) {
+        try {
+            const { error } = await supabaseAdmin
+                .from('tool_invocations')
+                .insert({
+                    assistant_id: invocation.assistantId,
+                    user_id: invocation.userId,
+                    vapi_call_id: invocation.callId || null,
+                    tool_call_id: invocation.toolCallId || null,
+                    tool_name: invocation.toolName,
+                    arguments: invocation.args || {},
+                    result: invocation.result ? String(invocation.result).slice(0, MAX_LOGGED_RESULT_LENGTH) : null,
+                    status: invocation.status,
+                    error_message: invocation.error || null,
+                    duration_ms: invocation.durationMs || 0
+                });
+
+            if (error) {
+                console.error('Error logging tool invocation:', error);
+            }
+        } catch (error) {
+            console.error('Error logging tool invocation:', error);
+        }
+    }
+
+    // Get recent tool invocations for an assistant
+    async getInvocations(assistantId, userId, filters = {}) {
+        try {
+            let query = supabaseAdmin
+                .from('tool_invocations')
+                .select('*')
+                .eq('assistant_id', assistantId)
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false })
+                .limit(filters.limit || 50);
+
+            if (filters.toolName) {
+                query = query.eq('tool_name', filters.toolName);
+            }
+
+            if (filters.status) {
+                query = query.eq('status', filters.status);
+            }
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+            return data || [];
+        } catch (error) {
+            console.error('Error fetching tool invocations:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = new ToolService();
@@ -0,0 +1,202 @@
+// Transcript Service
+// Structured transcript turns from VAPI call messages, and text/JSON/WebVTT/SRT renderings of them
+
+const { supabaseAdmin } = require('./supabase.service');
+
+const TRANSCRIPT_FORMATS = {
+    text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' }
+};
+
+// VAPI message roles -> our turn roles
+const ROLE_MAP = {
+    bot: 'assistant',
+    assistant: 'assistant',
+    user: 'user',
+    customer: 'user'
+};
+
+// Speaker labels in the plain-text transcript (same as VAPI's transcript)
+const SPEAKER_LABELS = {
+    assistant: 'AI',
+    user: 'User'
+};
+
+class TranscriptService {
+    // Convert VAPI messages (artifact.messages) into turns:
+    // { role, text, start, end, tool_calls } with times in seconds from the start of the call
+    normalizeTurns(messages) {
+        if (!Array.isArray(messages)) return [];
+
+        const turns = [];
+        const toolCallsById = new Map();
+
+        messages.forEach(message => {
+            const start = this.roundSeconds(message.secondsFromStart);
+            // Without a start there is nothing to offset a duration from, so the end is unknown too
+            let end = null;
+            if (start !== null && message.duration !== undefined) {
+                end = this.roundSeconds(start + message.duration / 1000);
+            } else if (start !== null && message.endTime && message.time) {
+                end = this.roundSeconds(start + (message.endTime - message.time) / 1000);
+            }
+
+            if (message.role === 'tool_calls') {
+                const toolCalls = (message.toolCalls || []).map(toolCall => {
+                    const entry = {
+                        id: toolCall.id || null,
+                        name: toolCall.function?.name || toolCall.name || 'unknown',
+                        arguments: this.parseArguments(toolCall.function?.arguments),
+                        result: null
+                    };
+                    if (entry.id) toolCallsById.set(entry.id, entry);
+                    return entry;
+                });
+
+                turns.push({ role: 'tool', text: '', start, end, tool_calls: toolCalls });
+                return;
+            }
+
+            if (message.role === 'tool_call_result') {
+                const toolCall = toolCallsById.get(message.toolCallId);
+                if (toolCall) {
+                    toolCall.result = message.result ?? null;
+                }
+                return;
+            }
+
+            const role = ROLE_MAP[message.role];
+            const text = (message.message || message.content || '').trim();
+            if (!role || !text) return; // System prompt and empty messages are not part of the conversation
+
+            turns.push({ role, text, start, end, tool_calls: [] });
+        });
+
+        return turns;
+    }
+
+    // Plain transcript text derived from turns ("AI: ..." / "User: ..." lines)
+    buildText(turns) {
+        return turns
+            .filter(turn => SPEAKER_LABELS[turn.role])
+            .map(turn => `${SPEAKER_LABELS[turn.role]}: ${turn.text}`)
+            .join('\n');
+    }
+
+    // Load a user's call with its transcript fields
+    async getCallTranscript(callId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('call_logs')
+                .select('id, vapi_call_id, started_at, transcript, transcript_turns')
+                .eq('id', callId)
+                .eq('user_id', userId)
+                .single();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error getting call transcript:', error);
+            return null;
+        }
+    }
+
+    // Check a format name
+    isValidFormat(format) {
+        return Object.prototype.hasOwnProperty.call(TRANSCRIPT_FORMATS, format);
+    }
+
+    // Render a call's transcript in a format; returns { success, body, contentType, extension } or an error
+    formatTranscript(callLog, format) {
+        const turns = callLog.transcript_turns || [];
+        const { contentType, extension } = TRANSCRIPT_FORMATS[format];
+
+        if (format === 'json') {
+            return {
+                success: true,
+                contentType,
+                extension,
+                body: JSON.stringify({ turns, transcript: callLog.transcript || this.buildText(turns) }, null, 2)
+            };
+        }
+
+        if (format === 'text') {
+            return { success: true, contentType, extension, body: callLog.transcript || this.buildText(turns) };
+        }
+
+        // Subtitles need timed turns
+        const cues = turns.filter(turn => SPEAKER_LABELS[turn.role] && turn.start !== null);
+        if (cues.length === 0) {
+            return { success: false, error: 'No timed transcript for this call' };
+        }
+
+        const body = format === 'vtt' ? this.toWebVTT(cues) : this.toSRT(cues);
+        return { success: true, contentType, extension, body };
+    }
+
+    // WebVTT with voice tags so players can style speakers
+    toWebVTT(turns) {
+        const cues = turns.map(turn => {
+            const { start, end } = this.cueTimes(turn);
+            return `${this.formatTimestamp(start, '.')} --> ${this.formatTimestamp(end, '.')}\n<v ${SPEAKER_LABELS[turn.role]}>${this.escapeCueText(turn.text)}`;
+        });
+
+        return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+    }
+
+    // SRT (numbered cues, comma before milliseconds)
+    toSRT(turns) {
+        return turns.map((turn, index) => {
+            const { start, end } = this.cueTimes(turn);
+            return `${index + 1}\n${this.formatTimestamp(start, ',')} --> ${this.formatTimestamp(end, ',')}\n${SPEAKER_LABELS[turn.role]}: ${turn.text}`;
+        }).join('\n\n') + '\n';
+    }
+
+    // Helper: Cue start/end (turns without an end get a short display window)
+    cueTimes(turn) {
+        const end = turn.end !== null && turn.end > turn.start ? turn.end : turn.start + 2;
+        return { start: turn.start, end };
+    }
+
+    // Helper: Seconds -> HH:MM:SS.mmm (or HH:MM:SS,mmm for SRT)
+    formatTimestamp(seconds, separator) {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+
+        const pad = (value, length = 2) => value.toString().padStart(length, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+    }
+
+    // Helper: WebVTT cue text cannot contain raw "<", "&" or "-->"
+    escapeCueText(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/-->/g, '-&gt;');
+    }
+
+    // Helper: Round to milliseconds (null if missing)
+    roundSeconds(value) {
+        if (value === undefined || value === null || isNaN(value)) return null;
+        return Math.round(value * 1000) / 1000;
+    }
+
+    // Helper: Tool call arguments arrive as a JSON string or an object
+    parseArguments(args) {
+        if (!args) return {};
+        if (typeof args === 'object') return args;
+
+        try {
+            return JSON.parse(args);
+        } catch (error) {
+            return { raw: args };
+        }
+    }
+}
+
+module.exports = new TranscriptService();
@@ -67,25 +67,103 @@ class UserLimitsService {
         const plans = {
             free: {
                 maxAssistants: 2,
-                maxCallTimeSeconds: 600 // 10 minutes
+                maxCallTimeSeconds: 600, // 10 minutes
+                allowedModels: {
+                    openai: ['gpt-4o-mini', 'gpt-3.5-turbo']
+                },
+                maxTokens: 500,
+                recordingRetentionDays: 7
             },
             pro: {
                 maxAssistants: 10,
-                maxCallTimeSeconds: 3600 // 60 minutes
+                maxCallTimeSeconds: 3600, // 60 minutes
+                allowedModels: {
+                    openai: ['gpt-4o-mini', 'gpt-3.5-turbo', 'gpt-4o'],
+                    anthropic: ['claude-3-haiku-20240307']
+                },
+                maxTokens: 1000,
+                recordingRetentionDays: 30
             },
             business: {
                 maxAssistants: 50,
-                maxCallTimeSeconds: 18000 // 300 minutes
+                maxCallTimeSeconds: 18000, // 300 minutes
+                allowedModels: {
+                    openai: ['gpt-4o-mini', 'gpt-3.5-turbo', 'gpt-4o', 'gpt-4-turbo'],
+                    anthropic: ['claude-3-haiku-20240307', 'claude-3-5-sonnet-20240620'],
+                    groq: ['llama-3.1-70b-versatile']
+                },
+                maxTokens: 2000,
+                recordingRetentionDays: 90
             },
             enterprise: {
                 maxAssistants: -1, // Unlimited
-                maxCallTimeSeconds: -1 // Unlimited
+                maxCallTimeSeconds: -1, // Unlimited
+                allowedModels: {
+                    openai: ['gpt-4o-mini', 'gpt-3.5-turbo', 'gpt-4o', 'gpt-4-turbo'],
+                    anthropic: ['claude-3-haiku-20240307', 'claude-3-5-sonnet-20240620'],
+                    groq: ['llama-3.1-70b-versatile']
+                },
+                maxTokens: 4000,
+                recordingRetentionDays: -1 // Keep forever
             }
         };
 
         return plans[planType] || plans.free;
     }
 
+    // Get the user's plan type (defaults to free)
+    async getPlanType(userId) {
+        if (!this.supabase) {
+            return 'free';
+        }
+
+        try {
+            const { data, error } = await this.supabase
+                .from('user_limits')
+                .select('plan_type')
+                .eq('user_id', userId)
+                .single();
+
+            if (error || !data) {
+                return 'free';
+            }
+
+            return data.plan_type || 'free';
+        } catch (error) {
+            console.error('Error fetching plan type:', error);
+            return 'free';
+        }
+    }
+
+    // Check assistant model settings against the user's plan allow-list
+    async validateModelSettings(userId, formData) {
+        const errors = [];
+        
+        // Nothing to check when the assistant uses the default model
+        if (!formData.model_provider && !formData.model_name && !formData.max_tokens) {
+            return errors;
+        }
+
+        const planType = await this.getPlanType(userId);
+        const planLimits = this.getPlanLimits(planType);
+
+        const provider = formData.model_provider || 'openai';
+        const model = formData.model_name || 'gpt-4o-mini';
+        const allowedForProvider = planLimits.allowedModels[provider];
+
+        if (!allowedForProvider) {
+            errors.push(`Model provider "${provider}" is not available on the ${planType} plan`);
+        } else if (!allowedForProvider.includes(model)) {
+            errors.push(`Model "${model}" is not available on the ${planType} plan`);
+        }
+
+        if (formData.max_tokens && parseInt(formData.max_tokens) > planLimits.maxTokens) {
+            errors.push(`Max tokens cannot exceed ${planLimits.maxTokens} on the ${planType} plan`);
+        }
+
+        return errors;
+    }
+
     // Get current user usage and limits
     async getUserLimits(userId) {
         // Check if demo has expired first
@@ -252,24 +330,13 @@ class UserLimitsService {
         }
 
         try {
-            // Get current usage
+            // Checks demo expiry and makes sure the user has a limits row
             const limitsResult = await this.getUserLimits(userId);
             if (!limitsResult.success) return limitsResult;
 
-            const currentUsage = limitsResult.data.used_call_time_seconds;
-            const newTotal = currentUsage + durationSeconds;
-            const limit = limitsResult.data.max_call_time_seconds;
-            const limitExceeded = newTotal > limit;
-
-            // Update the usage
+            // Increment in the database so concurrent calls never overwrite each other's time
             const { data, error } = await this.supabase
-                .from('user_limits')
-                .update({
-                    used_call_time_seconds: newTotal,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('user_id', userId)
-                .select()
+                .rpc('add_user_call_time', { user_uuid: userId, call_seconds: durationSeconds })
                 .single();
 
             if (error) {
@@ -277,6 +344,11 @@ class UserLimitsService {
                 return { success: false, error: 'Failed to update call time' };
             }
 
+            const newTotal = data.total_call_seconds;
+            const currentUsage = newTotal - durationSeconds;
+            const limit = data.max_call_seconds;
+            const limitExceeded = limit >= 0 && newTotal > limit; // -1 means unlimited
+
             // Log the action
             await this.logUsageAction(userId, 'call_completed', callId, 0, durationSeconds, 'user_action');
 
@@ -4,6 +4,8 @@ class VAPIService {
     constructor() {
         this.baseUrl = process.env.VAPI_BASE_URL || 'https://api.vapi.ai';
         this.apiKey = process.env.VAPI_API_TOKEN;
+        this.serverUrl = process.env.SERVER_URL; // Public URL of this server (for tool and webhook callbacks)
+        this.webhookSecret = process.env.VAPI_WEBHOOK_SECRET; // Sent back by VAPI as X-Vapi-Secret
         
         // Log configuration status (without exposing sensitive data)
         console.log('🔧 VAPI Service Configuration:');
@@ -16,6 +18,52 @@ class VAPIService {
         }
     }
 
+    // Get the webhook URL VAPI should call back (null if SERVER_URL is not configured)
+    getWebhookUrl() {
+        if (!this.serverUrl) return null;
+        return `${this.serverUrl.replace(/\/$/, '')}/api/webhooks/vapi`;
+    }
+
+    // Server config for VAPI payloads. The shared secret is only added by withWebhookSecret() when
+    // a request is sent, so payloads that get stored, logged or returned to users never contain it
+    getWebhookServer() {
+        const url = this.getWebhookUrl();
+        if (!url) return null;
+
+        return { url };
+    }
+
+    // Copy of a payload with the webhook secret on every server config pointing at this server
+    withWebhookSecret(payload) {
+        const url = this.getWebhookUrl();
+        if (!this.webhookSecret || !url) return payload;
+
+        return this.mapServerConfigs(payload, server => (
+            server.url === url ? { ...server, secret: this.webhookSecret } : server
+        ));
+    }
+
+    // Copy of a payload without secrets in server configs (for snapshots and responses)
+    stripWebhookSecrets(payload) {
+        return this.mapServerConfigs(payload, ({ secret, ...server }) => server);
+    }
+
+    // Helper: Deep copy of a payload with every `server` object passed through mapServer
+    mapServerConfigs(value, mapServer) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.mapServerConfigs(item, mapServer));
+        }
+
+        if (!value || typeof value !== 'object') return value;
+
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+            key,
+            key === 'server' && child && typeof child === 'object' && !Array.isArray(child)
+                ? mapServer(this.mapServerConfigs(child, mapServer))
+                : this.mapServerConfigs(child, mapServer)
+        ]));
+    }
+
     // Create assistant in VAPI with retry logic
     async createAssistant(payload, retryCount = 0) {
         // Check if API key is configured
@@ -38,7 +86,7 @@ class VAPIService {
             
             const response = await axios.post(
                 `${this.baseUrl}/assistant`,
-                payload,
+                this.withWebhookSecret(payload),
                 {
                     headers: {
                         'Authorization': `Bearer ${this.apiKey}`,
@@ -84,7 +132,7 @@ class VAPIService {
         try {
             const response = await axios.patch(
                 `${this.baseUrl}/assistant/${assistantId}`,
-                payload,
+                this.withWebhookSecret(payload),
                 {
                     headers: {
                         'Authorization': `Bearer ${this.apiKey}`,
@@ -124,7 +172,7 @@ class VAPIService {
         try {
             const response = await axios.post(
                 `${this.baseUrl}/phone-number`,
-                payload,
+                this.withWebhookSecret(payload),
                 {
                     headers: {
                         'Authorization': `Bearer ${this.apiKey}`,
@@ -145,7 +193,7 @@ class VAPIService {
         try {
             const response = await axios.patch(
                 `${this.baseUrl}/phone-number/${phoneNumberId}`,
-                payload,
+                this.withWebhookSecret(payload),
                 {
                     headers: {
                         'Authorization': `Bearer ${this.apiKey}`,
@@ -179,6 +227,51 @@ class VAPIService {
             return false;
         }
     }
+
+    // Start an outbound call (never retried, a retry could dial the customer twice)
+    async createCall(payload) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/call`,
+                this.withWebhookSecret(payload),
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 30000
+                }
+            );
+
+            return response.data;
+        } catch (error) {
+            console.error('VAPI call creation error:', error.response?.data || error.message);
+            return null;
+        }
+    }
+
+    // Delete a call in VAPI (removes its stored recording); a call that is already gone counts as deleted
+    async deleteCall(callId) {
+        try {
+            await axios.delete(
+                `${this.baseUrl}/call/${callId}`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.apiKey}`
+                    }
+                }
+            );
+
+            return true;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return true;
+            }
+
+            console.error('VAPI call deletion error:', error.response?.data || error.message);
+            return false;
+        }
+    }
 }
 
 module.exports = new VAPIService();
\ No newline at end of file
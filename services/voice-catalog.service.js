@@ -0,0 +1,62 @@
+// Voice Catalog Service
+// Single source of truth for the voices users can pick and how they map to VAPI voice providers
+
+// Default voice when the form does not pick one
+const DEFAULT_VOICE_ID = 'jennifer';
+
+const VOICES = [
+    { id: 'Elliot', name: 'Elliot', provider: 'vapi', voiceId: 'Elliot', language: 'en', gender: 'male', accent: 'Canadian' },
+    { id: 'Kylie', name: 'Kylie', provider: 'vapi', voiceId: 'Kylie', language: 'en', gender: 'female', accent: 'Australian' },
+    { id: 'Rohan', name: 'Rohan', provider: 'vapi', voiceId: 'Rohan', language: 'en', gender: 'male', accent: 'Indian' },
+    { id: 'Lily', name: 'Lily', provider: 'vapi', voiceId: 'Lily', language: 'en', gender: 'female', accent: 'British' },
+    { id: 'Savannah', name: 'Savannah', provider: 'vapi', voiceId: 'Savannah', language: 'en', gender: 'female', accent: 'American' },
+    { id: 'Hana', name: 'Hana', provider: 'vapi', voiceId: 'Hana', language: 'en', gender: 'female', accent: 'Korean' },
+    { id: 'Neha', name: 'Neha', provider: 'vapi', voiceId: 'Neha', language: 'en', gender: 'female', accent: 'Indian' },
+    { id: 'Cole', name: 'Cole', provider: 'vapi', voiceId: 'Cole', language: 'en', gender: 'male', accent: 'American' },
+    { id: 'Harry', name: 'Harry', provider: 'vapi', voiceId: 'Harry', language: 'en', gender: 'male', accent: 'British' },
+    { id: 'Paige', name: 'Paige', provider: 'vapi', voiceId: 'Paige', language: 'en', gender: 'female', accent: 'American' },
+    { id: 'Spencer', name: 'Spencer', provider: 'vapi', voiceId: 'Spencer', language: 'en', gender: 'male', accent: 'American' },
+    { id: 'jennifer', name: 'Jennifer', provider: 'playht', voiceId: 'jennifer', language: 'en', gender: 'female', accent: 'American' },
+    { id: 'Elvira', name: 'Elvira', provider: 'azure', voiceId: 'es-ES-ElviraNeural', language: 'es', gender: 'female', accent: 'Spanish' },
+    { id: 'Alvaro', name: 'Álvaro', provider: 'azure', voiceId: 'es-ES-AlvaroNeural', language: 'es', gender: 'male', accent: 'Spanish' },
+    { id: 'Dalia', name: 'Dalia', provider: 'azure', voiceId: 'es-MX-DaliaNeural', language: 'es', gender: 'female', accent: 'Mexican' },
+    { id: 'Jorge', name: 'Jorge', provider: 'azure', voiceId: 'es-MX-JorgeNeural', language: 'es', gender: 'male', accent: 'Mexican' },
+    { id: 'Zariyah', name: 'Zariyah', provider: 'azure', voiceId: 'ar-SA-ZariyahNeural', language: 'ar', gender: 'female', accent: 'Saudi' },
+    { id: 'Hamed', name: 'Hamed', provider: 'azure', voiceId: 'ar-SA-HamedNeural', language: 'ar', gender: 'male', accent: 'Saudi' },
+    { id: 'Salma', name: 'Salma', provider: 'azure', voiceId: 'ar-EG-SalmaNeural', language: 'ar', gender: 'female', accent: 'Egyptian' },
+    { id: 'Shakir', name: 'Shakir', provider: 'azure', voiceId: 'ar-EG-ShakirNeural', language: 'ar', gender: 'male', accent: 'Egyptian' }
+];
+
+class VoiceCatalogService {
+    // Get voices for the config endpoint (optionally filtered by language)
+    getVoices(filters = {}) {
+        return VOICES
+            .filter(voice => !filters.language || voice.language === filters.language)
+            .map(voice => ({
+                ...voice,
+                description: `${voice.gender === 'male' ? 'Male' : 'Female'}, ${voice.accent}`
+            }));
+    }
+
+    // Get a specific voice by its catalog ID
+    getVoice(voiceId) {
+        return VOICES.find(voice => voice.id === voiceId) || null;
+    }
+
+    // Check if a voice ID exists in the catalog
+    isValidVoice(voiceId) {
+        return !!this.getVoice(voiceId);
+    }
+
+    // Build the VAPI voice block (falls back to the default voice for unknown IDs)
+    buildVoiceConfig(voiceId, defaultVoiceId = DEFAULT_VOICE_ID) {
+        const voice = this.getVoice(voiceId) || this.getVoice(defaultVoiceId) || this.getVoice(DEFAULT_VOICE_ID);
+
+        return {
+            provider: voice.provider,
+            voiceId: voice.voiceId
+        };
+    }
+}
+
+module.exports = new VoiceCatalogService();
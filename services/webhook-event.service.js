@@ -0,0 +1,303 @@
+// Webhook Event Service
+// Durable inbox for VAPI webhooks: every event is stored first, then processed by a worker with retries
+
+const { supabaseAdmin } = require('./supabase.service');
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 25;
+const WORKER_INTERVAL_MS = 15 * 1000;
+const RETRY_BASE_SECONDS = 30; // 30s, 1m, 2m, 4m between attempts
+const STALE_PROCESSING_MINUTES = 10;
+const EVENT_STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead'];
+
+class WebhookEventService {
+    constructor() {
+        this.handlers = {};
+        this.workerTimer = null;
+        this.processing = false;
+        this.rerunRequested = false;
+    }
+
+    // Register the handler for each event type (handlers must throw on failure so the event is retried)
+    registerHandlers(handlers) {
+        this.handlers = { ...this.handlers, ...handlers };
+    }
+
+    // Store a raw event (returns { duplicate: true } if this delivery was stored before)
+    async storeEvent(eventId, event, status = 'pending') {
+        const { data, error } = await supabaseAdmin
+            .from('webhook_events')
+            .insert({
+                event_id: eventId,
+                event_type: event.type || 'unknown',
+                vapi_call_id: event.call?.id || null,
+                payload: event,
+                status,
+                processed_at: status === 'processed' ? new Date().toISOString() : null
+            })
+            .select()
+            .single();
+
+        if (error?.code === '23505') {
+            return { duplicate: true };
+        }
+
+        if (error) throw error;
+        return { duplicate: false, data };
+    }
+
+    // Process pending events without waiting for the next worker tick
+    kick() {
+        setImmediate(() => this.processPending());
+    }
+
+    // Start the background worker
+    startWorker() {
+        if (this.workerTimer) return;
+
+        this.workerTimer = setInterval(() => this.processPending(), WORKER_INTERVAL_MS);
+        this.workerTimer.unref();
+        console.log('✅ Webhook event worker started');
+
+        // Pick up anything left over from before a restart
+        this.kick();
+    }
+
+    // Stop the background worker
+    stopWorker() {
+        if (this.workerTimer) {
+            clearInterval(this.workerTimer);
+            this.workerTimer = null;
+        }
+    }
+
+    // Process due events in arrival order (one pass at a time; a kick during a pass triggers another)
+    async processPending() {
+        if (this.processing) {
+            this.rerunRequested = true;
+            return;
+        }
+
+        this.processing = true;
+
+        try {
+            do {
+                this.rerunRequested = false;
+                await this.releaseStaleEvents();
+
+                const { data: events, error } = await supabaseAdmin
+                    .from('webhook_events')
+                    .select('*')
+                    .in('status', ['pending', 'failed'])
+                    .or(`next_attempt_at.is.null,next_attempt_at.lte.${new Date().toISOString()}`)
+                    .order('created_at', { ascending: true })
+                    .limit(BATCH_SIZE);
+
+                if (error) throw error;
+
+                for (const event of events || []) {
+                    await this.processEvent(event);
+                }
+
+                if ((events || []).length === BATCH_SIZE) {
+                    this.rerunRequested = true;
+                }
+            } while (this.rerunRequested);
+        } catch (error) {
+            console.error('Error processing webhook events:', error);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    // Claim and run a single event
+    async processEvent(event) {
+        // Claim atomically so two server instances never run the same event
+        const { data: claimed } = await supabaseAdmin
+            .from('webhook_events')
+            .update({
+                status: 'processing',
+                attempts: (event.attempts || 0) + 1,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', event.id)
+            .eq('status', event.status)
+            .select();
+
+        if (!claimed || claimed.length === 0) return;
+
+        const handler = this.handlers[event.event_type];
+
+        try {
+            if (handler) {
+                await handler(event.payload);
+            } else {
+                console.log('Unhandled event type:', event.event_type);
+            }
+
+            await this.updateEvent(event.id, {
+                status: 'processed',
+                last_error: null,
+                next_attempt_at: null,
+                processed_at: new Date().toISOString()
+            });
+        } catch (error) {
+            await this.markFailed(claimed[0], error);
+        }
+    }
+
+    // Schedule a retry, or dead-letter the event once attempts run out
+    async markFailed(event, error) {
+        const message = error?.message || String(error);
+        const dead = event.attempts >= MAX_ATTEMPTS;
+        const delaySeconds = RETRY_BASE_SECONDS * Math.pow(2, event.attempts - 1);
+
+        console.error(`Webhook event ${event.id} (${event.event_type}) failed on attempt ${event.attempts}:`, message);
+
+        if (dead) {
+            console.error(`☠️ Webhook event ${event.id} moved to dead letter after ${event.attempts} attempts`);
+        }
+
+        await this.updateEvent(event.id, {
+            status: dead ? 'dead' : 'failed',
+            last_error: message.slice(0, 1000),
+            next_attempt_at: dead ? null : new Date(Date.now() + delaySeconds * 1000).toISOString()
+        });
+    }
+
+    // Put events stuck in processing (server restarted mid-event) back in the queue
+    async releaseStaleEvents() {
+        const cutoff = new Date(Date.now() - STALE_PROCESSING_MINUTES * 60 * 1000).toISOString();
+
+        await supabaseAdmin
+            .from('webhook_events')
+            .update({
+                status: 'failed',
+                last_error: 'Processing did not finish',
+                updated_at: new Date().toISOString()
+            })
+            .eq('status', 'processing')
+            .lt('updated_at', cutoff);
+    }
+
+    // Helper: Update an event row
+    async updateEvent(eventId, fields) {
+        const { error } = await supabaseAdmin
+            .from('webhook_events')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', eventId);
+
+        if (error) {
+            console.error('Error updating webhook event:', error);
+        }
+    }
+
+    // List events (for the admin view)
+    async getEvents(filters = {}) {
+        try {
+            const limit = filters.limit || 50;
+            const offset = filters.offset || 0;
+
+            let query = supabaseAdmin
+                .from('webhook_events')
+                .select('id, event_id, event_type, vapi_call_id, status, attempts, last_error, next_attempt_at, processed_at, created_at, updated_at', { count: 'exact' })
+                .order('created_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (filters.status) {
+                query = query.eq('status', filters.status);
+            }
+
+            if (filters.vapiCallId) {
+                query = query.eq('vapi_call_id', filters.vapiCallId);
+            }
+
+            const { data, error, count } = await query;
+
+            if (error) throw error;
+            return { events: data || [], total: count || 0 };
+        } catch (error) {
+            console.error('Error getting webhook events:', error);
+            return { events: [], total: 0 };
+        }
+    }
+
+    // Get a single event including its payload
+    async getEvent(eventId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('webhook_events')
+                .select('*')
+                .eq('id', eventId)
+                .single();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Error getting webhook event:', error);
+            return null;
+        }
+    }
+
+    // Queue an event to run again (handlers are idempotent per vapi_call_id)
+    async replayEvent(eventId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('webhook_events')
+                .update({
+                    status: 'pending',
+                    attempts: 0,
+                    last_error: null,
+                    next_attempt_at: null,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', eventId)
+                .neq('status', 'processing')
+                .select();
+
+            if (error) throw error;
+
+            if (!data || data.length === 0) {
+                return { success: false, error: 'Event not found or currently processing' };
+            }
+
+            this.kick();
+            return { success: true, data: data[0] };
+        } catch (error) {
+            console.error('Error replaying webhook event:', error);
+            return { success: false, error: 'Failed to replay event' };
+        }
+    }
+
+    // Queue every dead-lettered event to run again
+    async replayDeadEvents() {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('webhook_events')
+                .update({
+                    status: 'pending',
+                    attempts: 0,
+                    last_error: null,
+                    next_attempt_at: null,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('status', 'dead')
+                .select('id');
+
+            if (error) throw error;
+
+            this.kick();
+            return { success: true, replayed: (data || []).length };
+        } catch (error) {
+            console.error('Error replaying dead webhook events:', error);
+            return { success: false, error: 'Failed to replay events' };
+        }
+    }
+
+    // Check a status filter value
+    isValidStatus(status) {
+        return EVENT_STATUSES.includes(status);
+    }
+}
+
+module.exports = new WebhookEventService();
@@ -0,0 +1,88 @@
+// VAPI Webhook Tests
+// A delivery that failed with a 500 must be processed when VAPI sends it again
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-service-role-key';
+process.env.VAPI_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const webhookEventService = require('../services/webhook-event.service');
+const vapiWebhookRoutes = require('../api/webhooks/vapi');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf.toString('utf8');
+        }
+    }));
+    app.use('/api/webhooks/vapi', vapiWebhookRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/webhooks/vapi`;
+
+    // No worker runs in tests
+    webhookEventService.kick = () => {};
+});
+
+after(() => {
+    server.close();
+});
+
+// Send the same delivery VAPI would (same event id on every attempt)
+function deliver(eventId) {
+    return fetch(baseUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Vapi-Secret': 'test-webhook-secret',
+            'X-Vapi-Event-Id': eventId
+        },
+        body: JSON.stringify({ message: { type: 'end-of-call-report', timestamp: Date.now(), call: { id: 'call-1' } } })
+    });
+}
+
+test('a delivery that failed with a 500 is stored when sent again', async () => {
+    const stored = [];
+    let failNext = true;
+
+    webhookEventService.storeEvent = async (eventId) => {
+        if (failNext) {
+            failNext = false;
+            throw new Error('database unavailable');
+        }
+        stored.push(eventId);
+        return { duplicate: false };
+    };
+
+    const first = await deliver('evt-retry');
+    assert.strictEqual(first.status, 500);
+
+    const retry = await deliver('evt-retry');
+    assert.strictEqual(retry.status, 200);
+    assert.deepStrictEqual(await retry.json(), { received: true, duplicate: false });
+    assert.deepStrictEqual(stored, ['evt-retry']);
+});
+
+test('an acknowledged delivery sent again is not processed twice', async () => {
+    const stored = [];
+
+    webhookEventService.storeEvent = async (eventId) => {
+        stored.push(eventId);
+        return { duplicate: false };
+    };
+
+    assert.strictEqual((await deliver('evt-once')).status, 200);
+
+    const again = await deliver('evt-once');
+    assert.strictEqual(again.status, 200);
+    assert.deepStrictEqual(await again.json(), { received: true, duplicate: true });
+    assert.deepStrictEqual(stored, ['evt-once']);
+});